@@ -1,10 +1,11 @@
 /**
  * Configuration settings for Interactive PDF creation
- * NON-MODULE VERSION - Works with regular <script> tag
+ * ES MODULE VERSION - Used by the Node generator, server and CLI
+ * (public/config.js is the <script> tag version for the browser)
  */
 
 // Environment configuration
-window.ENV_CONFIG = {
+export const ENV_CONFIG = {
   r2: {
     publicUrl: typeof process !== 'undefined' && process.env?.R2_PUBLIC_URL 
       ? process.env.R2_PUBLIC_URL 
@@ -43,7 +44,7 @@ window.ENV_CONFIG = {
   }
 };
 
-window.DEFAULT_CONFIG = {
+export const DEFAULT_CONFIG = {
   pdf: {
     title: 'Interactive PDF Document',
     author: 'Interactive PDF Creator',
@@ -101,6 +102,13 @@ window.DEFAULT_CONFIG = {
     }
   },
 
+  fonts: {
+    // Font name → TTF/OTF path, e.g. { 'Inter': './fonts/Inter-Regular.ttf' }
+    custom: {},
+    // Tried in order for characters the requested font has no glyph for
+    fallbacks: []
+  },
+
   media: {
     supportedVideo: ['.mp4', '.webm', '.mov'],
     supportedAudio: ['.mp3', '.wav', '.m4a'],
@@ -128,7 +136,12 @@ window.DEFAULT_CONFIG = {
     directory: './output',
     overwrite: true,
     compress: true,
-    preserveMetadata: true
+    preserveMetadata: true,
+    // Password protection applied as the last step of generation, e.g.
+    // { userPassword: '', ownerPassword: 'secret', algorithm: 'aes-256',
+    //   permissions: { print: true, copy: false, modify: false, fillForms: true } }
+    // Can't be combined with signing: generate/generateBuffer reject a `sign` option while it's set
+    encryption: null
   },
 
   validation: {
@@ -142,17 +155,19 @@ window.DEFAULT_CONFIG = {
   actions: {
     enableJavaScript: true,
     maxActionLength: 10000,
+    // Build-time lint for direct this./app. calls in scripts - not a sandbox for untrusted JavaScript
     allowedMethods: [
       'this.print',
       'this.resetForm',
       'this.submitForm',
       'app.alert',
-      'app.response'
+      'app.response',
+      'this.getField'
     ]
   }
 };
 
-window.PAGE_SIZES = {
+export const PAGE_SIZES = {
   A4: [595.28, 841.89],
   A3: [841.89, 1190.55],
   A5: [420.94, 595.28],
@@ -161,7 +176,7 @@ window.PAGE_SIZES = {
   Tabloid: [792, 1224]
 };
 
-window.FONTS = {
+export const FONTS = {
   HELVETICA: 'Helvetica',
   HELVETICA_BOLD: 'Helvetica-Bold',
   HELVETICA_OBLIQUE: 'Helvetica-Oblique',
@@ -176,7 +191,7 @@ window.FONTS = {
   COURIER_BOLD_OBLIQUE: 'Courier-BoldOblique'
 };
 
-window.COLORS = {
+export const COLORS = {
   BLACK: '#000000',
   WHITE: '#FFFFFF',
   RED: '#FF0000',
@@ -192,4 +207,54 @@ window.COLORS = {
   INFO: '#17A2B8'
 };
 
-console.log('✅ Config loaded:', window.ENV_CONFIG);
+const ORIENTATIONS = ['portrait', 'landscape'];
+
+/**
+ * [width, height] in points for a named size (or a [width, height] array), turned for landscape
+ */
+export function getPageDimensions(size = 'A4', orientation = 'portrait') {
+  const dimensions = Array.isArray(size) ? size : PAGE_SIZES[size];
+
+  if (!dimensions || dimensions.length !== 2 || !dimensions.every(value => Number.isFinite(value) && value > 0)) {
+    throw new Error(`Unknown page size '${size}' (use ${Object.keys(PAGE_SIZES).join(', ')} or [width, height])`);
+  }
+  if (!ORIENTATIONS.includes(orientation)) {
+    throw new Error(`Invalid orientation '${orientation}' (use ${ORIENTATIONS.join(' or ')})`);
+  }
+
+  const [width, height] = dimensions;
+  return orientation === 'landscape' ? [Math.max(width, height), Math.min(width, height)] : [Math.min(width, height), Math.max(width, height)];
+}
+
+/**
+ * DEFAULT_CONFIG with `config` merged over it (nested objects merge, arrays and values replace),
+ * after checking the settings every document depends on
+ */
+export function validateConfig(config = {}) {
+  const merged = mergeConfig(DEFAULT_CONFIG, config);
+  const { page } = merged;
+
+  getPageDimensions(page.size, page.orientation);
+
+  for (const side of ['top', 'bottom', 'left', 'right']) {
+    if (!Number.isFinite(page.margins[side]) || page.margins[side] < 0) {
+      throw new Error(`Invalid page margin '${side}': ${page.margins[side]}`);
+    }
+  }
+
+  return merged;
+}
+
+function mergeConfig(defaults, overrides) {
+  const merged = { ...defaults };
+
+  for (const [key, value] of Object.entries(overrides || {})) {
+    merged[key] = isPlainObject(value) && isPlainObject(defaults[key]) ? mergeConfig(defaults[key], value) : value;
+  }
+
+  return merged;
+}
+
+function isPlainObject(value) {
+  return Object.prototype.toString.call(value) === '[object Object]';
+}
@@ -3,7 +3,7 @@ import { readFile } from 'fs/promises';
 import { join, extname } from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
-import handler from './api/index.js';
+import handler from './server.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -22,12 +22,30 @@ const mimeTypes = {
   '.ico': 'image/x-icon'
 };
 
+// server.js is written against the Vercel-style response helpers; plain Node responses need them added
+function withResponseHelpers(res) {
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(body));
+    return res;
+  };
+  res.send = (body) => {
+    res.end(body);
+    return res;
+  };
+  return res;
+}
+
 const server = createServer(async (req, res) => {
   const url = new URL(req.url, `http://${req.headers.host}`);
   
   // Handle API routes
   if (url.pathname.startsWith('/api')) {
-    return handler(req, res);
+    return handler(req, withResponseHelpers(res));
   }
   
   // Serve static files from public directory
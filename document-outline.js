@@ -0,0 +1,165 @@
+/**
+ * Document Outline - Bookmarks and page labels written into the PDF catalog
+ *
+ * Outline items: [{ title: 'Unit 1', page: 3, y?: 700, open?: true, children: [...] }]
+ *   page is 1-based; y (top of the target) jumps to that spot, otherwise the page is fitted to the window.
+ * Page label ranges: [{ page: 1, style: 'roman' }, { page: 5, style: 'decimal' }, { page: 40, prefix: 'A-' }]
+ *   each range runs until the next one; styles are decimal, roman (i), Roman (I), alpha (a), Alpha (A) or none.
+ */
+
+import { PDFName, PDFDict, PDFRef, PDFHexString } from 'pdf-lib';
+
+export const PAGE_LABEL_STYLES = {
+  decimal: 'D',
+  roman: 'r',
+  Roman: 'R',
+  alpha: 'a',
+  Alpha: 'A',
+  none: null
+};
+
+export function writeOutline(document, items) {
+  const { context, catalog } = document;
+  const pageRefs = document.getPages().map(page => page.ref);
+
+  validateOutlineItems(items, pageRefs.length);
+  removeOutline(document);
+
+  if (items.length === 0) {
+    return 0;
+  }
+
+  const rootRef = context.nextRef();
+  const { first, last, count, total } = writeOutlineItems(context, items, rootRef, pageRefs);
+
+  context.assign(rootRef, context.obj({ Type: 'Outlines', First: first, Last: last, Count: count }));
+  catalog.set(PDFName.of('Outlines'), rootRef);
+  catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+
+  return total;
+}
+
+/**
+ * Links sibling items to each other and their parent. Returns the first/last refs, the
+ * visible-descendant count the parent's /Count needs, and the total number of items written.
+ */
+function writeOutlineItems(context, items, parentRef, pageRefs) {
+  const refs = items.map(() => context.nextRef());
+  let visible = 0;
+  let total = 0;
+
+  items.forEach((item, index) => {
+    const { title, page, y = null, open = true, children = [] } = item;
+    const entry = {
+      Title: PDFHexString.fromText(String(title)),
+      Parent: parentRef,
+      Dest: y === null ? [pageRefs[page - 1], 'Fit'] : [pageRefs[page - 1], 'XYZ', null, y, null]
+    };
+    if (index > 0) entry.Prev = refs[index - 1];
+    if (index < items.length - 1) entry.Next = refs[index + 1];
+
+    if (children.length > 0) {
+      const nested = writeOutlineItems(context, children, refs[index], pageRefs);
+      entry.First = nested.first;
+      entry.Last = nested.last;
+      // Closed items store the count they would show when opened, negated
+      entry.Count = open ? nested.count : -nested.count;
+      visible += open ? nested.count : 0;
+      total += nested.total;
+    }
+
+    context.assign(refs[index], context.obj(entry));
+    visible++;
+    total++;
+  });
+
+  return { first: refs[0], last: refs[refs.length - 1], count: visible, total };
+}
+
+function validateOutlineItems(items, pageCount) {
+  for (const { title, page, children = [] } of items) {
+    if (!title) {
+      throw new Error('Each outline item needs a title');
+    }
+    if (!Number.isInteger(page) || page < 1 || page > pageCount) {
+      throw new Error(`Outline item '${title}' points to page ${page} (document has ${pageCount})`);
+    }
+    validateOutlineItems(children, pageCount);
+  }
+}
+
+/**
+ * Deletes the existing outline objects (a template's, or ours from an earlier save)
+ */
+function removeOutline(document) {
+  const { context, catalog } = document;
+  const rootRef = catalog.get(PDFName.of('Outlines'));
+
+  const removeItems = (ref) => {
+    while (ref instanceof PDFRef) {
+      const item = context.lookupMaybe(ref, PDFDict);
+      context.delete(ref);
+      if (!item) return;
+      removeItems(item.get(PDFName.of('First')));
+      ref = item.get(PDFName.of('Next'));
+    }
+  };
+
+  if (rootRef instanceof PDFRef) {
+    removeItems(context.lookupMaybe(rootRef, PDFDict)?.get(PDFName.of('First')));
+    context.delete(rootRef);
+  }
+  catalog.delete(PDFName.of('Outlines'));
+}
+
+export function writePageLabels(document, ranges) {
+  const pageCount = document.getPageCount();
+  const sorted = [...ranges].sort((a, b) => a.page - b.page);
+
+  if (sorted.length === 0 || sorted[0].page !== 1) {
+    sorted.unshift({ page: 1, style: 'decimal' });
+  }
+
+  const nums = [];
+  for (const { page, style = 'decimal', prefix = '', start = 1 } of sorted) {
+    if (!Number.isInteger(page) || page < 1 || page > pageCount) {
+      throw new Error(`Page label range starts at page ${page} (document has ${pageCount})`);
+    }
+    if (!(style in PAGE_LABEL_STYLES)) {
+      throw new Error(`Invalid page label style '${style}' (use ${Object.keys(PAGE_LABEL_STYLES).join(', ')})`);
+    }
+    if (!Number.isInteger(start) || start < 1) {
+      throw new Error(`Page label start must be a positive integer (got ${start})`);
+    }
+
+    const label = {};
+    if (PAGE_LABEL_STYLES[style]) label.S = PAGE_LABEL_STYLES[style];
+    if (prefix) label.P = PDFHexString.fromText(prefix);
+    if (start !== 1) label.St = start;
+
+    nums.push(page - 1, label);
+  }
+
+  document.catalog.set(PDFName.of('PageLabels'), document.context.obj({ Nums: nums }));
+  return sorted.length;
+}
+
+/**
+ * Nests headings by level: each one goes under the closest earlier heading with a lower level
+ */
+export function outlineFromHeadings(headings) {
+  const root = { level: 0, children: [] };
+  const stack = [root];
+
+  for (const { title, level, page, y } of headings) {
+    while (stack[stack.length - 1].level >= level) {
+      stack.pop();
+    }
+
+    const item = { title, page, y, level, children: [] };
+    stack[stack.length - 1].children.push(item);
+    stack.push(item);
+  }
+
+  return root.children;
+}
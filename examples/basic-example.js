@@ -410,6 +410,54 @@ async function assetManagementExample() {
   }
 }
 
+/**
+ * EXAMPLE 7: Flowing Multi-Page Handout (no coordinates)
+ */
+async function flowLayoutExample() {
+  console.log('\n📰 EXAMPLE 7: Flowing handout layout...');
+  
+  try {
+    const generator = new PDFGenerator({
+      output: {
+        directory: './examples/output',
+        filename: 'flow-handout.pdf'
+      }
+    });
+
+    await generator.initialize();
+
+    // Items without x/y are stacked inside the page margins and break onto new pages
+    await generator.addContent([
+      { type: 'text', content: 'Workshop Handout', size: 24, font: 'Helvetica-Bold' },
+      { type: 'image', path: './examples/assets/logo.png', width: 120, align: 'right' },
+      { type: 'richText', content: 'Welcome! This handout **flows** by itself:\n\n- No coordinates\n- Automatic page breaks\n- [Project site](https://example.com)', spaceAfter: 'md' },
+      
+      { type: 'columns', count: 2 },
+      { type: 'text', content: 'Session notes go here. '.repeat(40) },
+      { type: 'group', keepTogether: true, items: [
+        { type: 'text', content: 'Feedback', size: 14, font: 'Helvetica-Bold' },
+        { type: 'textField', name: 'feedbackName', placeholder: 'Your name' },
+        { type: 'checkbox', name: 'followUp' },
+        { type: 'button', text: 'Send Feedback', url: 'mailto:team@example.com' }
+      ] },
+      
+      { type: 'columns', count: 1 },
+      { type: 'spacer', size: 'lg' },
+      { type: 'pageLink', text: 'Back to first page', targetPage: 'first' },
+      
+      // Absolutely positioned items still work alongside the flow
+      { type: 'text', content: 'Page footer', x: 50, y: 30, size: 8 }
+    ], { layout: 'flow', gap: 'sm', columnGap: 'lg' });
+
+    const result = await generator.generate();
+    console.log(`✅ Flow handout: ${result.outputPath}`);
+    return result;
+
+  } catch (error) {
+    console.error(`❌ Example 7 failed: ${error.message}`);
+  }
+}
+
 /**
  * Main execution - run all examples
  */
@@ -427,6 +475,7 @@ async function runAllExamples() {
     await mediaFlexibilityExample();         // Example 3: Media options
     await quickGenerationExample();          // Example 4: Quick generation
     await multiPageTemplateExample();        // Example 5: Multi-page
+    await flowLayoutExample();               // Example 7: Flow layout
     
     console.log('\n🎉 All examples completed!');
     console.log('📁 Check ./examples/output/ for generated PDFs');
@@ -443,7 +492,8 @@ export {
   mediaFlexibilityExample,
   quickGenerationExample,
   multiPageTemplateExample,
-  assetManagementExample
+  assetManagementExample,
+  flowLayoutExample
 };
 
 // Run all examples if this file is executed directly
@@ -0,0 +1,271 @@
+/**
+ * Field Scripts - Acrobat AF* format, keystroke, validation and calculation scripts for form fields
+ *
+ * format: 'number' | 'currency' | 'percent' | 'date' | 'email' | 'phone', or an object:
+ *   { type: 'number', decimals: 2, decimalMark: '.', thousands: true, negative: 'minus' | 'red' | 'parens' | 'redParens' }
+ *   { type: 'currency', symbol: '$', symbolPosition: 'before' | 'after', ...number options }
+ *   { type: 'percent', decimals: 0 }  (the value is stored as a fraction: 0.25 shows as 25%)
+ *   { type: 'date', pattern: 'yyyy-mm-dd' }
+ * validate: { min, max, message, script }  min/max compare the number; script sets event.rc for event.value
+ * keystroke: 'digits' | 'letters' | 'alphanumeric' | { pattern: '[A-Z]' }  every typed character must match
+ * calculate: { sum: ['a', 'b'] } | { average } | { product } | { min } | { max } | { formula: '{price} * {qty}' }, plus order?
+ *   Formulas use {field name} references, numbers, + - * / % ( ) and Math.round/floor/ceil/min/max/abs.
+ *   Fields are calculated after every field they read; `order` breaks ties (lower first).
+ */
+
+export const FIELD_FORMATS = ['number', 'currency', 'percent', 'date', 'email', 'phone'];
+
+const NUMERIC_FORMATS = ['number', 'currency', 'percent'];
+const NEGATIVE_STYLES = { minus: 0, red: 1, parens: 2, redParens: 3 };
+const CALCULATIONS = { sum: 'SUM', average: 'AVG', product: 'PRD', min: 'MIN', max: 'MAX' };
+const FORMULA_FUNCTIONS = /Math\.(round|floor|ceil|min|max|abs)\b/g;
+const FIELD_REFERENCE = /\{([^{}]+)\}/g;
+
+const KEYSTROKE_FILTERS = {
+  digits: '[0-9]',
+  letters: '[A-Za-z\\u00C0-\\u024F \'-]',
+  alphanumeric: '[A-Za-z0-9]'
+};
+
+const EMAIL_PATTERN = '^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$';
+const PHONE_PATTERN = '^\\+?[0-9()\\-. ]{6,20}$';
+
+/**
+ * Script text for each field event: format (F), keystroke (K), validate (V) and calculate (C).
+ * Missing entries are null; `dependencies` lists the fields a calculation reads.
+ */
+export function buildFieldScripts({ format, validate, keystroke, calculate }) {
+  const scripts = { format: [], keystroke: [], validate: [] };
+  const normalized = format ? normalizeFormat(format) : null;
+
+  if (normalized) {
+    addFormatScripts(normalized, scripts);
+  }
+  if (keystroke) {
+    scripts.keystroke.push(keystrokeFilter(keystroke));
+  }
+  if (validate) {
+    addValidation(validate, normalized, scripts);
+  }
+
+  const calculation = calculate ? calculationScript(calculate) : { script: null, dependencies: [] };
+  const join = (lines) => lines.length > 0 ? lines.join('\n') : null;
+
+  return {
+    format: join(scripts.format),
+    keystroke: join(scripts.keystroke),
+    validate: join(scripts.validate),
+    calculate: calculation.script,
+    dependencies: calculation.dependencies
+  };
+}
+
+function normalizeFormat(format) {
+  const options = typeof format === 'string' ? { type: format } : { ...format };
+
+  if (!FIELD_FORMATS.includes(options.type)) {
+    throw new Error(`Invalid field format '${options.type}' (use ${FIELD_FORMATS.join(', ')})`);
+  }
+  if (options.negative !== undefined && !(options.negative in NEGATIVE_STYLES)) {
+    throw new Error(`Invalid negative style '${options.negative}' (use ${Object.keys(NEGATIVE_STYLES).join(', ')})`);
+  }
+
+  return options;
+}
+
+function addFormatScripts(format, scripts) {
+  const literal = (value) => JSON.stringify(value);
+  const { decimalMark = '.', thousands = true } = format;
+  // AF separator styles: 0 = 1,234.56  1 = 1234.56  2 = 1.234,56  3 = 1234,56
+  const separator = (decimalMark === ',' ? 2 : 0) + (thousands ? 0 : 1);
+
+  switch (format.type) {
+    case 'number':
+    case 'currency': {
+      const currency = format.type === 'currency';
+      const args = [
+        format.decimals ?? 2,
+        separator,
+        NEGATIVE_STYLES[format.negative ?? 'minus'],
+        0,
+        literal(currency ? format.symbol ?? '$' : ''),
+        currency && format.symbolPosition !== 'after'
+      ].join(', ');
+
+      scripts.format.push(`AFNumber_Format(${args});`);
+      scripts.keystroke.push(`AFNumber_Keystroke(${args});`);
+      break;
+    }
+    case 'percent':
+      scripts.format.push(`AFPercent_Format(${format.decimals ?? 0}, ${separator});`);
+      scripts.keystroke.push(`AFPercent_Keystroke(${format.decimals ?? 0}, ${separator});`);
+      break;
+    case 'date': {
+      const pattern = literal(format.pattern || 'yyyy-mm-dd');
+      scripts.format.push(`AFDate_FormatEx(${pattern});`);
+      scripts.keystroke.push(`AFDate_KeystrokeEx(${pattern});`);
+      break;
+    }
+    case 'email':
+      scripts.validate.push(rejectUnless(EMAIL_PATTERN, format.message || 'Please enter a valid email address.'));
+      break;
+    case 'phone':
+      scripts.keystroke.push(keystrokeFilter({ pattern: '[0-9+()\\-. ]' }));
+      scripts.validate.push(rejectUnless(PHONE_PATTERN, format.message || 'Please enter a valid phone number.'));
+      break;
+  }
+}
+
+function rejectUnless(pattern, message) {
+  return `if (event.value !== "" && !new RegExp(${JSON.stringify(pattern)}).test(event.value)) {\n` +
+    `  app.alert(${JSON.stringify(message)});\n  event.rc = false;\n}`;
+}
+
+function keystrokeFilter(keystroke) {
+  const pattern = typeof keystroke === 'object' ? keystroke.pattern : KEYSTROKE_FILTERS[keystroke];
+
+  if (!pattern) {
+    throw new Error(`Invalid keystroke filter '${keystroke}' (use ${Object.keys(KEYSTROKE_FILTERS).join(', ')} or { pattern })`);
+  }
+
+  try {
+    new RegExp(pattern);
+  } catch (error) {
+    throw new Error(`Invalid keystroke pattern: ${error.message}`);
+  }
+
+  // Runs after any AF keystroke script, so it only narrows what that one accepts
+  return `if (event.rc && !event.willCommit) event.rc = new RegExp(${JSON.stringify(`^(?:${pattern})*$`)}).test(event.change);`;
+}
+
+function addValidation(validate, format, scripts) {
+  const { min, max, message, script } = validate;
+
+  if (min !== undefined || max !== undefined) {
+    if (format && !NUMERIC_FORMATS.includes(format.type)) {
+      throw new Error(`min/max validation needs a number, currency or percent format (got ${format.type})`);
+    }
+    if ([min, max].some(limit => limit !== undefined && !Number.isFinite(limit))) {
+      throw new Error('min and max must be numbers');
+    }
+
+    if (message) {
+      const checks = [
+        min !== undefined ? `value < ${min}` : null,
+        max !== undefined ? `value > ${max}` : null
+      ].filter(Boolean).join(' || ');
+
+      scripts.validate.push(
+        `var value = Number(event.value);\nif (event.value !== "" && (${checks})) {\n` +
+        `  app.alert(${JSON.stringify(message)});\n  event.rc = false;\n}`
+      );
+    } else {
+      scripts.validate.push(`AFRange_Validate(${min !== undefined}, ${min ?? 0}, ${max !== undefined}, ${max ?? 0});`);
+    }
+  }
+
+  if (script) {
+    scripts.validate.push(script);
+  }
+}
+
+function calculationScript(calculate) {
+  const kinds = [...Object.keys(CALCULATIONS), 'formula'].filter(kind => kind in calculate);
+
+  if (kinds.length !== 1) {
+    throw new Error(`Calculation needs exactly one of ${Object.keys(CALCULATIONS).join(', ')} or formula`);
+  }
+
+  const [kind] = kinds;
+
+  if (kind !== 'formula') {
+    const fields = calculate[kind];
+    if (!Array.isArray(fields) || fields.length === 0 || fields.some(name => typeof name !== 'string' || !name)) {
+      throw new Error(`Calculation '${kind}' needs an array of field names`);
+    }
+
+    const names = fields.map(name => JSON.stringify(name)).join(', ');
+    return { script: `AFSimple_Calculate("${CALCULATIONS[kind]}", new Array(${names}));`, dependencies: [...new Set(fields)] };
+  }
+
+  return formulaScript(calculate.formula);
+}
+
+/**
+ * Checks a formula against the allowed grammar and turns its {field} references into value lookups
+ */
+export function formulaScript(formula) {
+  if (typeof formula !== 'string' || !formula.trim()) {
+    throw new Error('Calculation formula must be a non-empty string');
+  }
+
+  const dependencies = [...new Set([...formula.matchAll(FIELD_REFERENCE)].map(([, name]) => name.trim()))];
+  const bare = formula.replace(FIELD_REFERENCE, '0').replace(FORMULA_FUNCTIONS, '');
+
+  if (dependencies.length === 0) {
+    throw new Error(`Formula '${formula}' doesn't reference any {field}`);
+  }
+  if (/[^0-9.\s+\-*/%(),]/.test(bare)) {
+    throw new Error(`Formula '${formula}' may only use {field} references, numbers, + - * / % ( ) and Math.round/floor/ceil/min/max/abs`);
+  }
+
+  const expression = formula.replace(FIELD_REFERENCE, (reference, name) => `value(${JSON.stringify(name.trim())})`);
+
+  try {
+    // Compiled only to catch syntax errors here rather than in the reader
+    new Function(`return (${formula.replace(FIELD_REFERENCE, '0')});`);
+  } catch (error) {
+    throw new Error(`Formula '${formula}' is not valid: ${error.message}`);
+  }
+
+  const script = [
+    '(function (doc) {',
+    '  function value(name) {',
+    '    var field = doc.getField(name);',
+    '    var number = field ? Number(field.value) : 0;',
+    '    return isNaN(number) ? 0 : number;',
+    '  }',
+    `  var result = ${expression};`,
+    '  event.value = isFinite(result) ? result : "";',
+    '})(this);'
+  ].join('\n');
+
+  return { script, dependencies };
+}
+
+/**
+ * Calculated fields sorted so each runs after the calculated fields it reads, ties by `order`
+ * then by the order they were added
+ */
+export function orderCalculations(calculations) {
+  const byName = new Map(calculations.map(entry => [entry.name, entry]));
+  const rank = (entry) => [entry.order ?? Infinity, calculations.indexOf(entry)];
+  const compare = (a, b) => {
+    const [orderA, indexA] = rank(a);
+    const [orderB, indexB] = rank(b);
+    return orderA === orderB ? indexA - indexB : orderA - orderB;
+  };
+
+  const waitingOn = new Map(calculations.map(entry => [
+    entry,
+    new Set(entry.dependencies.filter(name => byName.has(name) && name !== entry.name))
+  ]));
+  const ordered = [];
+
+  while (waitingOn.size > 0) {
+    const ready = [...waitingOn.entries()].filter(([, pending]) => pending.size === 0).map(([entry]) => entry).sort(compare);
+
+    if (ready.length === 0) {
+      throw new Error(`Calculated fields depend on each other: ${[...waitingOn.keys()].map(entry => entry.name).join(', ')}`);
+    }
+
+    const [next] = ready;
+    ordered.push(next);
+    waitingOn.delete(next);
+    for (const pending of waitingOn.values()) {
+      pending.delete(next.name);
+    }
+  }
+
+  return ordered;
+}
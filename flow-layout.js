@@ -0,0 +1,392 @@
+/**
+ * Flow Layout - Stacks addContent items top-to-bottom inside the page margins
+ * Items without x/y go at the flow cursor, breaking to the next column or page when they
+ * don't fit; items with both x and y keep their absolute position on the current flow page.
+ *
+ * Control items:
+ *   { type: 'pageBreak' } | { type: 'columnBreak' } | { type: 'spacer', size: 'lg' | 40 }
+ *   { type: 'columns', count: 2, gap: 'md' } - switches column count below everything placed so far
+ *   { type: 'group', items: [...], keepTogether: true } - moves whole to the next column/page if it doesn't fit
+ * Any item can set spaceBefore / spaceAfter (token or points), keepTogether (text only) and layer.
+ */
+
+export const SPACING_TOKENS = {
+  none: 0,
+  xs: 4,
+  sm: 8,
+  md: 16,
+  lg: 24,
+  xl: 32,
+  xxl: 48
+};
+
+const BLOCK_ALIGNMENTS = { left: 0, center: 0.5, right: 1 };
+
+export function resolveSpacing(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+
+  if (!(value in SPACING_TOKENS)) {
+    throw new Error(`Unknown spacing token '${value}' (use ${Object.keys(SPACING_TOKENS).join(', ')} or a number)`);
+  }
+  return SPACING_TOKENS[value];
+}
+
+export class FlowLayout {
+  constructor(generator, options = {}) {
+    const { columns = 1, columnGap = 'md', gap = 'sm', startY } = options;
+
+    this.generator = generator;
+    this.pdfCreator = generator.pdfCreator;
+    this.gap = resolveSpacing(gap);
+    this.columnCount = columns;
+    this.columnGap = resolveSpacing(columnGap);
+    this.startY = startY;
+    this.startPageIndex = null;
+  }
+
+  async addItems(items) {
+    if (!this.pdfCreator.currentPage) {
+      this.generator.addPage();
+    }
+
+    this.startPageIndex = this.pdfCreator.currentPageIndex;
+    this.resetPage(this.startY);
+
+    for (const item of items) {
+      await this.addItem(item);
+    }
+
+    return {
+      pages: this.pdfCreator.currentPageIndex - this.startPageIndex + 1,
+      nextY: this.cursorY
+    };
+  }
+
+  async addItem(item) {
+    if (item.layer) {
+      const { layer, ...rest } = item;
+      this.generator.beginLayer(layer);
+      try {
+        await this.addItem(rest);
+      } finally {
+        this.generator.endLayer();
+      }
+      return;
+    }
+
+    try {
+      switch (item.type) {
+        case 'page':
+          await this.generator.addContentItem(item);
+          this.resetPage();
+          return;
+        case 'pageBreak':
+          this.nextPage();
+          return;
+        case 'columnBreak':
+          this.nextColumn();
+          return;
+        case 'spacer':
+          this.moveCursor(this.cursorY - resolveSpacing(item.size ?? item.height ?? 'md'));
+          return;
+        case 'columns':
+          this.startSection(item.count ?? item.columns ?? 1, item.gap ?? this.columnGap);
+          return;
+        case 'group':
+          await this.addGroup(item);
+          return;
+      }
+
+      if (this.isAbsolute(item)) {
+        await this.generator.addContentItem(item);
+      } else if (item.type === 'text' || item.type === 'richText') {
+        await this.addText(item);
+      } else if (item.type === 'quiz') {
+        await this.addQuiz(item);
+      } else {
+        await this.addBlock(item);
+      }
+
+    } catch (error) {
+      throw new Error(`Flow layout failed on ${item.type}: ${error.message}`);
+    }
+  }
+
+  isAbsolute(item) {
+    return typeof item.x === 'number' && typeof item.y === 'number';
+  }
+
+  async addGroup(group) {
+    const { items = [], keepTogether = true } = group;
+
+    if (keepTogether) {
+      this.ensureRoom(await this.measureItems(items), items[0]);
+    }
+
+    for (const item of items) {
+      await this.addItem(item);
+    }
+  }
+
+  /**
+   * Text flows line by line, carrying on in the next column/page; with keepTogether
+   * the whole block moves first if it would be split.
+   */
+  async addText(item) {
+    const { type, content, text, runs, blocks, spaceBefore, spaceAfter, keepTogether, ...options } = item;
+    const value = this.textContent(item);
+    const size = options.size ?? 12;
+    const lineHeight = options.lineHeight ?? 1.2;
+
+    const needed = keepTogether
+      ? (await this.pdfCreator.measureRichText(value, this.textOptions(options))).height
+      : size * lineHeight;
+    const top = this.ensureRoom(needed, item);
+
+    const result = await this.generator.placeRichText(value, {
+      ...this.textOptions(options),
+      y: top - size,
+      nextArea: async () => {
+        this.nextColumn();
+        return { x: this.column().x, top: this.cursorY };
+      }
+    });
+
+    this.moveCursor(result.bottom - resolveSpacing(spaceAfter ?? 0));
+  }
+
+  // Quizzes break between questions themselves, so they get the flow's next column/page as their next area
+  async addQuiz(item) {
+    const { type, spaceBefore, spaceAfter, ...definition } = item;
+    const top = this.ensureRoom(0, item);
+    const column = this.column();
+
+    const result = await this.generator.placeQuiz({
+      ...definition,
+      x: column.x,
+      y: top,
+      width: Math.min(definition.width ?? column.width, column.width)
+    }, {
+      nextArea: async () => {
+        this.nextColumn();
+        return { x: this.column().x, top: this.cursorY };
+      }
+    });
+
+    this.moveCursor(result.bottom - resolveSpacing(spaceAfter ?? 0));
+  }
+
+  textContent(item) {
+    const value = item.content ?? item.text ?? item.runs ?? item.blocks;
+    return item.type === 'text' && typeof value === 'string' && !item.markdown ? [value] : value;
+  }
+
+  textOptions(options) {
+    const column = this.column();
+    return { ...options, x: column.x, maxWidth: Math.min(options.maxWidth ?? column.width, column.width) };
+  }
+
+  async addBlock(item) {
+    const box = await this.measureBlock(item);
+
+    if (!box) {
+      await this.generator.addContentItem(item);
+      return;
+    }
+
+    const top = this.ensureRoom(box.height, item);
+    const column = this.column();
+    const x = column.x + Math.max(0, column.width - box.width) * (BLOCK_ALIGNMENTS[item.align] ?? 0);
+
+    await this.generator.addContentItem({ ...item, ...box.place(x, top) });
+    this.moveCursor(top - box.height - resolveSpacing(item.spaceAfter ?? 0));
+  }
+
+  /**
+   * Size of a positioned item and where its own coordinates go for a given top-left corner.
+   * Returns null for types the flow does not know how to size.
+   */
+  async measureBlock(item) {
+    const column = this.column();
+    const fit = (width) => Math.min(width, column.width);
+
+    switch (item.type) {
+      case 'image': {
+        const intrinsic = (await this.pdfCreator.embedImage(item.path || item.src)).size();
+        let { width, height } = item;
+        if (!width && !height) {
+          ({ width, height } = intrinsic);
+        } else if (!height) {
+          height = width / intrinsic.width * intrinsic.height;
+        } else if (!width) {
+          width = height / intrinsic.height * intrinsic.width;
+        }
+        if (width > column.width) {
+          height *= column.width / width;
+          width = column.width;
+        }
+        return { width, height, place: (x, top) => ({ x, y: top - height, width, height }) };
+      }
+      case 'media': {
+        const { width, height, captionHeight } = await this.generator.mediaEmbedder.measureMedia(item.path || item.src, {
+          ...item,
+          maxWidth: fit(item.maxWidth ?? column.width)
+        });
+        return { width, height: height + captionHeight, place: (x, top) => ({ x, y: top - height, width, height }) };
+      }
+      case 'textField':
+      case 'dropdown': {
+        const width = fit(item.width ?? 200);
+        const height = item.height ?? 25;
+        return { width, height, place: (x, top) => ({ x, y: top - height, width, height }) };
+      }
+      case 'button':
+      case 'audioButton': {
+        const width = fit(item.width ?? 120);
+        const height = item.height ?? 30;
+        return { width, height, place: (x, top) => ({ x, y: top - height, width, height }) };
+      }
+      case 'rectangle': {
+        const width = fit(item.width ?? 200);
+        const height = item.height ?? 100;
+        return { width, height, place: (x, top) => ({ x, y: top - height, width }) };
+      }
+      case 'checkbox': {
+        const size = item.size ?? 16;
+        return { width: size, height: size, place: (x, top) => ({ x, y: top - size }) };
+      }
+      case 'radioGroup': {
+        const { buttonSize = 16, spacing = 25, direction = 'vertical', options = [] } = item;
+        const extent = Math.max(0, options.length - 1) * spacing + buttonSize;
+        const [width, height] = direction === 'vertical' ? [buttonSize, extent] : [extent, buttonSize];
+        return { width, height, place: (x, top) => ({ x, y: top - buttonSize }) };
+      }
+      case 'link':
+      case 'pageLink': {
+        const fontSize = item.fontSize ?? 12;
+        if (item.height !== undefined) {
+          return { width: item.width ?? 0, height: item.height, place: (x, top) => ({ x, y: top - item.height }) };
+        }
+        return { width: item.width ?? 0, height: fontSize * 1.2, place: (x, top) => ({ x, y: top - fontSize }) };
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Total height of items stacked in the current column, gaps included
+   */
+  async measureItems(items) {
+    let height = 0;
+
+    for (const [index, item] of items.entries()) {
+      if (this.isAbsolute(item)) {
+        continue;
+      }
+
+      let itemHeight = 0;
+      if (item.type === 'group') {
+        itemHeight = await this.measureItems(item.items || []);
+      } else if (item.type === 'spacer') {
+        itemHeight = resolveSpacing(item.size ?? item.height ?? 'md');
+      } else if (item.type === 'text' || item.type === 'richText') {
+        itemHeight = (await this.pdfCreator.measureRichText(this.textContent(item), this.textOptions(item))).height;
+      } else {
+        itemHeight = (await this.measureBlock(item))?.height ?? 0;
+      }
+
+      const spaceBefore = index > 0 && item.type !== 'spacer' ? resolveSpacing(item.spaceBefore ?? this.gap) : 0;
+      height += spaceBefore + itemHeight + resolveSpacing(item.spaceAfter ?? 0);
+    }
+
+    return height;
+  }
+
+  /**
+   * Moves to the next column/page unless `height` (plus the gap above the item) fits
+   * below the cursor, then returns the top y for the item. Items taller than a whole
+   * column are placed at the top of one and left to overflow.
+   */
+  ensureRoom(height, item = {}) {
+    const spaceBefore = () => this.atColumnTop() ? 0 : resolveSpacing(item.spaceBefore ?? this.gap);
+
+    if (!this.atColumnTop() && this.cursorY - spaceBefore() - height < this.bottom()) {
+      this.nextColumn();
+    }
+
+    if (this.atColumnTop() && this.cursorY - height < this.bottom()) {
+      console.warn(`Flow item (${item.type || 'group'}) is taller than the column and will overflow the bottom margin`);
+    }
+
+    return this.cursorY - spaceBefore();
+  }
+
+  atColumnTop() {
+    return this.cursorY >= this.sectionTop;
+  }
+
+  column() {
+    const safeArea = this.pdfCreator.getSafeArea();
+    const width = (safeArea.width - this.columnGap * (this.columnCount - 1)) / this.columnCount;
+
+    return {
+      x: safeArea.x + this.columnIndex * (width + this.columnGap),
+      width
+    };
+  }
+
+  bottom() {
+    return this.pdfCreator.getSafeArea().y;
+  }
+
+  moveCursor(y) {
+    this.cursorY = y;
+    this.lowestY = Math.min(this.lowestY, y);
+  }
+
+  nextColumn() {
+    if (this.columnIndex + 1 < this.columnCount) {
+      this.columnIndex++;
+      this.cursorY = this.sectionTop;
+      return;
+    }
+
+    this.nextPage();
+  }
+
+  nextPage() {
+    this.pdfCreator.addContinuationPage();
+    this.generator.generationStats.pages++;
+    this.resetPage();
+  }
+
+  resetPage(top) {
+    const safeArea = this.pdfCreator.getSafeArea();
+    this.sectionTop = top ?? safeArea.y + safeArea.height;
+    this.cursorY = this.sectionTop;
+    this.lowestY = this.sectionTop;
+    this.columnIndex = 0;
+  }
+
+  /**
+   * New column count from below the lowest point reached in any column so far
+   */
+  startSection(count, gap) {
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error(`Invalid column count: ${count}`);
+    }
+
+    if (this.lowestY < this.sectionTop) {
+      this.sectionTop = this.lowestY - this.gap;
+    }
+
+    this.columnCount = count;
+    this.columnGap = resolveSpacing(gap);
+    this.columnIndex = 0;
+    this.cursorY = this.sectionTop;
+    this.lowestY = this.sectionTop;
+  }
+}
@@ -0,0 +1,212 @@
+/**
+ * Form Data Extractor - Reads filled AcroForm values back out of returned PDFs
+ * Single files come back as a field list (JSON or CSV); batches become one
+ * spreadsheet row per PDF, keyed by a designated "learner name" field
+ */
+
+import {
+  PDFDocument,
+  PDFTextField,
+  PDFCheckBox,
+  PDFDropdown,
+  PDFOptionList,
+  PDFRadioGroup,
+  PDFButton,
+  PDFSignature,
+  EncryptedPDFError
+} from 'pdf-lib';
+import fs from 'fs-extra';
+import path from 'path';
+
+const FIELD_TYPES = [
+  [PDFTextField, 'text'],
+  [PDFCheckBox, 'checkbox'],
+  [PDFDropdown, 'dropdown'],
+  [PDFOptionList, 'optionList'],
+  [PDFRadioGroup, 'radio'],
+  [PDFButton, 'button'],
+  [PDFSignature, 'signature']
+];
+
+const FIXED_COLUMNS = ['learner', 'file'];
+
+export class FormDataExtractor {
+  constructor(options = {}) {
+    const { nameField = null, includeButtons = false } = options;
+    this.nameField = nameField;
+    this.includeButtons = includeButtons;
+  }
+
+  /**
+   * Every field's name, type, value and (1-based) page. `source` is a file path or PDF bytes.
+   */
+  async extract(source, fileName = null) {
+    try {
+      const bytes = typeof source === 'string' ? await fs.readFile(source) : source;
+      const document = await PDFDocument.load(bytes, { updateMetadata: false });
+
+      const fields = describeFormFields(document)
+        .filter(field => this.includeButtons || field.type !== 'button')
+        .map(({ name, type, value, page }) => ({ name, type, value, page }));
+
+      return {
+        file: fileName || (typeof source === 'string' ? path.basename(source) : null),
+        fields
+      };
+
+    } catch (error) {
+      if (error instanceof EncryptedPDFError) {
+        throw new Error('Failed to extract form data: PDF is encrypted');
+      }
+      throw new Error(`Failed to extract form data: ${error.message}`);
+    }
+  }
+
+  /**
+   * One row per PDF: learner (the name field, or the file name when it is blank), file,
+   * then one column per field in first-seen order. Files that fail are reported in `errors`
+   * rather than stopping the batch; `duplicates` lists learners with more than one PDF.
+   */
+  async extractBatch(files, options = {}) {
+    const { nameField = this.nameField } = options;
+    const columns = [...FIXED_COLUMNS];
+    const rows = [];
+    const errors = [];
+    const learnerFiles = new Map();
+
+    for (const { name, data } of files) {
+      try {
+        const { fields } = await this.extract(data ?? name, path.basename(name));
+        const row = { learner: '', file: path.basename(name) };
+
+        for (const field of fields) {
+          if (!columns.includes(field.name)) {
+            columns.push(field.name);
+          }
+          row[field.name] = field.value;
+        }
+
+        const learnerName = nameField ? String(row[nameField] ?? '').trim() : '';
+        if (nameField && !(nameField in row)) {
+          console.warn(`${row.file}: no field named '${nameField}', using the file name as learner`);
+        }
+        row.learner = learnerName || path.basename(name, path.extname(name));
+
+        learnerFiles.set(row.learner, [...(learnerFiles.get(row.learner) || []), row.file]);
+        rows.push(row);
+
+      } catch (error) {
+        errors.push({ file: path.basename(name), error: error.message });
+      }
+    }
+
+    rows.sort((a, b) => a.learner.localeCompare(b.learner));
+
+    const duplicates = [...learnerFiles]
+      .filter(([, fileNames]) => fileNames.length > 1)
+      .map(([learner, fileNames]) => ({ learner, files: fileNames }));
+
+    return { columns, rows, errors, duplicates };
+  }
+
+  async extractFolder(folder, options = {}) {
+    try {
+      const entries = await fs.readdir(folder);
+      const files = entries
+        .filter(entry => entry.toLowerCase().endsWith('.pdf'))
+        .sort()
+        .map(entry => ({ name: path.join(folder, entry) }));
+
+      if (files.length === 0) {
+        throw new Error(`No PDF files in ${folder}`);
+      }
+
+      const result = await this.extractBatch(files, options);
+      console.log(`FORMS: Extracted ${result.rows.length}/${files.length} PDFs from ${folder}${result.errors.length ? ` (${result.errors.length} failed)` : ''}`);
+      return result;
+
+    } catch (error) {
+      throw new Error(`Failed to extract folder: ${error.message}`);
+    }
+  }
+
+  fieldsToCSV(fields) {
+    return toCSV(['name', 'type', 'value', 'page'], fields);
+  }
+
+  batchToCSV({ columns, rows }) {
+    return toCSV(columns, rows);
+  }
+}
+
+/**
+ * Every AcroForm field in the document with its type, current value, first widget's
+ * page (1-based) and rectangle, plus all widgets for fields that appear more than once
+ */
+export function describeFormFields(document) {
+  const pageNumbers = new Map(document.getPages().map((page, index) => [page.ref.toString(), index + 1]));
+
+  return document.getForm().getFields().map(field => {
+    const type = getFieldType(field);
+    const widgets = field.acroField.getWidgets().map(widget => {
+      const { x, y, width, height } = widget.getRectangle();
+      const pageRef = widget.P();
+      return { page: pageRef ? pageNumbers.get(pageRef.toString()) ?? null : null, x, y, width, height };
+    });
+
+    const info = {
+      name: field.getName(),
+      type,
+      value: readFieldValue(field, type),
+      page: widgets[0]?.page ?? null,
+      rect: widgets[0] ? { x: widgets[0].x, y: widgets[0].y, width: widgets[0].width, height: widgets[0].height } : null,
+      widgets,
+      required: field.isRequired(),
+      readOnly: field.isReadOnly()
+    };
+
+    if (['dropdown', 'optionList', 'radio'].includes(type)) {
+      info.options = field.getOptions();
+    }
+
+    return info;
+  });
+}
+
+export function getFieldType(field) {
+  return FIELD_TYPES.find(([FieldClass]) => field instanceof FieldClass)?.[1] || 'unknown';
+}
+
+export function readFieldValue(field, type = getFieldType(field)) {
+  switch (type) {
+    case 'text':
+      return field.getText() ?? '';
+    case 'checkbox':
+      return field.isChecked();
+    case 'dropdown':
+    case 'optionList':
+      return field.getSelected().join(', ');
+    case 'radio':
+      return field.getSelected() ?? '';
+    default:
+      return null;
+  }
+}
+
+/**
+ * RFC 4180 CSV. Learner-typed values starting with = + - @ (other than plain numbers) are
+ * prefixed with ' so spreadsheet apps show them as text instead of running them as formulas.
+ */
+export function toCSV(columns, rows) {
+  const escape = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text) && !/^[-+]?\d+(\.\d+)?$/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(values => values.map(escape).join(','))
+    .join('\r\n') + '\r\n';
+}
@@ -0,0 +1,152 @@
+/**
+ * Header & Footer - Repeating text drawn on every page at generation time
+ *
+ * Definitions: 'Page {page} of {pages}' (centred) or
+ *   { left, center, right, size: 9, font: 'Helvetica', color: '#666666', offset?,
+ *     first: {...} | false, odd: {...}, even: {...} }
+ * Tokens: {page}, {pages}, {title}, {date} (YYYY-MM-DD, or the definition's `date`).
+ * Variants replace the left/center/right slots and inherit the styling; `first: false` skips page 1.
+ * Text sits in the middle of the top/bottom page margin unless `offset` (page edge to text) is set.
+ */
+
+const SLOTS = ['left', 'center', 'right'];
+const TOKEN_PATTERN = /\{(page|pages|title|date)\}/g;
+
+export class HeaderFooter {
+  constructor(pdfCreator) {
+    this.pdfCreator = pdfCreator;
+    this.definitions = { header: null, footer: null };
+    // Streams drawn by the last apply(), per page, so generating again replaces them
+    this.drawnStreams = new Map();
+  }
+
+  set(position, definition) {
+    if (!(position in this.definitions)) {
+      throw new Error(`Invalid position '${position}' (use header or footer)`);
+    }
+
+    this.definitions[position] = normalizeDefinition(definition);
+    return this;
+  }
+
+  hasContent() {
+    return Object.values(this.definitions).some(Boolean) || this.drawnStreams.size > 0;
+  }
+
+  async apply(values = {}) {
+    const pages = this.pdfCreator.document.getPages();
+    const missing = new Set();
+    let fontChain = null;
+
+    this.removeDrawn();
+
+    for (const [pageIndex, page] of pages.entries()) {
+      const tokens = { ...values, page: pageIndex + 1, pages: pages.length };
+      const parts = this.layoutPage(page, tokens);
+
+      if (parts.length === 0) {
+        continue;
+      }
+
+      const { width: pageWidth } = page.getSize();
+      const margins = this.pdfCreator.getPageMargins();
+
+      const overlay = await this.pdfCreator.drawOverlay(page, pageIndex, async () => {
+        for (const { text, style, align, y } of parts) {
+          fontChain = await this.pdfCreator.loadFontChain(style.font, text);
+          const runs = this.pdfCreator.splitTextRuns(text, fontChain, missing);
+          const width = this.pdfCreator.widthOfRuns(runs, style.size);
+          const x = align === 'left' ? margins.left
+            : align === 'right' ? pageWidth - margins.right - width
+              : margins.left + (pageWidth - margins.left - margins.right - width) / 2;
+
+          this.pdfCreator.drawTextRuns(runs, {
+            x,
+            y,
+            size: style.size,
+            color: this.pdfCreator.parseColor(style.color)
+          });
+        }
+      });
+
+      this.drawnStreams.set(page, overlay);
+    }
+
+    if (fontChain) {
+      this.pdfCreator.warnMissingGlyphs(missing, fontChain);
+    }
+
+    return this.drawnStreams.size;
+  }
+
+  layoutPage(page, tokens) {
+    const { height } = page.getSize();
+    const margins = this.pdfCreator.getPageMargins();
+    const parts = [];
+
+    for (const [position, definition] of Object.entries(this.definitions)) {
+      const variant = definition && resolveVariant(definition, tokens.page);
+      if (!variant) {
+        continue;
+      }
+
+      const { size, offset } = variant;
+      const y = position === 'header'
+        ? height - (offset ?? margins.top / 2 - size * 0.65) - size
+        : offset ?? margins.bottom / 2 - size * 0.35;
+
+      for (const align of SLOTS) {
+        if (variant[align]) {
+          const text = String(variant[align]).replace(TOKEN_PATTERN, (token, name) => tokens[name] ?? variant[name] ?? '');
+          parts.push({ text, style: variant, align, y });
+        }
+      }
+    }
+
+    return parts;
+  }
+
+  removeDrawn() {
+    for (const [page, overlay] of this.drawnStreams) {
+      this.pdfCreator.removeOverlay(page, overlay);
+    }
+
+    this.drawnStreams.clear();
+  }
+}
+
+function normalizeDefinition(definition) {
+  if (!definition) {
+    return null;
+  }
+
+  if (typeof definition === 'string') {
+    return normalizeDefinition({ center: definition });
+  }
+
+  const { size = 9, font = 'Helvetica', color = '#666666', date = new Date().toISOString().split('T')[0] } = definition;
+  return { ...definition, size, font, color, date };
+}
+
+/**
+ * The definition to use on a page: first-page, then even/odd variants, else the base one.
+ * Returns null when the variant is false.
+ */
+function resolveVariant(definition, pageNumber) {
+  const key = pageNumber === 1 && 'first' in definition ? 'first'
+    : pageNumber % 2 === 0 && 'even' in definition ? 'even'
+      : pageNumber % 2 === 1 && 'odd' in definition ? 'odd'
+        : null;
+
+  if (!key) {
+    return definition;
+  }
+
+  const variant = definition[key];
+  if (!variant) {
+    return null;
+  }
+
+  const { first, odd, even, left, center, right, ...style } = definition;
+  return { ...style, ...(typeof variant === 'string' ? { center: variant } : variant) };
+}
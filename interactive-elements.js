@@ -4,13 +4,35 @@
  * This will run as is - complete interactive elements system
  */
 
-import { rgb } from 'pdf-lib';
+import {
+  rgb,
+  degrees,
+  drawLine,
+  drawRectangle,
+  drawText,
+  PDFName,
+  PDFDict,
+  PDFString,
+  PDFHexString,
+  defaultButtonAppearanceProvider
+} from 'pdf-lib';
+import { getFieldType } from './form-data-extractor.js';
+import { buildFieldScripts, orderCalculations } from './field-scripts.js';
+
+const RELATIVE_PAGE_TARGETS = ['next', 'previous', 'first', 'last'];
+const BUILDER_ACTION_TYPES = ['link', 'goto'];
+const UNCHECKED_VALUES = ['', '0', 'false', 'no', 'off'];
+// Direct calls on these objects must be listed in actions.allowedMethods (see lintScriptCalls)
+const ACROBAT_OBJECTS = ['app', 'this', 'util', 'console', 'global', 'security', 'identity', 'search', 'Collab', 'SOAP', 'Net'];
 
 export class InteractiveElements {
   constructor(pdfCreator) {
     this.pdfCreator = pdfCreator;
     this.config = pdfCreator.config || {};
     this.elements = [];
+    this.pendingDestinations = [];
+    this.pendingFieldFonts = [];
+    this.calculatedFields = [];
     this.elementStats = {
       total: 0,
       byType: {},
@@ -40,6 +62,261 @@ export class InteractiveElements {
     }
   }
 
+  /**
+   * Builds a PDF action dictionary from element options.
+   * Accepts `url` (URI), `page` (GoTo, 1-based or 'next' | 'previous' | 'first' | 'last'),
+   * `script` (JavaScript) or an `action` that is either an object
+   * ({ type: 'uri' | 'goto' | 'javascript', ... }) or a string - URLs become URI actions,
+   * the builder's 'link' / 'goto' markers defer to url/page, anything else is JavaScript.
+   * An action that is already a PDF dictionary (e.g. a layer toggle) is used as is.
+   */
+  buildAction(options = {}) {
+    let { action, url, page, script } = options;
+
+    if (action instanceof PDFDict) {
+      return action;
+    }
+
+    if (action && typeof action === 'object') {
+      if (action.type === 'uri') url = action.url;
+      if (action.type === 'goto') page = action.page;
+      if (action.type === 'javascript') script = action.script;
+    } else if (typeof action === 'string' && action && !BUILDER_ACTION_TYPES.includes(action)) {
+      if (/^(https?:|mailto:|tel:)/i.test(action)) {
+        url = url || action;
+      } else {
+        script = script || action;
+      }
+    }
+
+    const context = this.pdfCreator.document.context;
+
+    if (url) {
+      return context.obj({
+        Type: 'Action',
+        S: 'URI',
+        URI: PDFString.of(url)
+      });
+    }
+
+    if (page !== undefined && page !== null) {
+      const target = RELATIVE_PAGE_TARGETS.includes(page) ? page : Number(page);
+      if (typeof target === 'number' && (!Number.isInteger(target) || target < 1)) {
+        throw new Error(`Invalid target page: ${page}`);
+      }
+
+      const gotoAction = context.obj({
+        Type: 'Action',
+        S: 'GoTo'
+      });
+
+      // The target page may not exist yet (e.g. a table of contents on page 1),
+      // so the destination is filled in by resolveDestinations() at generation time
+      this.pendingDestinations.push({
+        action: gotoAction,
+        target,
+        sourcePageIndex: this.pdfCreator.currentPageIndex || 0
+      });
+      return gotoAction;
+    }
+
+    if (script) {
+      this.checkScript(script);
+      return this.javaScriptAction(script);
+    }
+
+    return null;
+  }
+
+  /**
+   * Applies actions.enableJavaScript and actions.maxActionLength, then lints the script's calls
+   */
+  checkScript(script, { lintCalls = true } = {}) {
+    const actionsConfig = this.config.actions || {};
+
+    if (actionsConfig.enableJavaScript === false) {
+      throw new Error('JavaScript actions are disabled (actions.enableJavaScript)');
+    }
+
+    if (actionsConfig.maxActionLength && script.length > actionsConfig.maxActionLength) {
+      throw new Error(`JavaScript action exceeds ${actionsConfig.maxActionLength} characters`);
+    }
+
+    if (lintCalls) {
+      this.lintScriptCalls(script);
+    }
+  }
+
+  /**
+   * Best-effort lint, not a sanitizer: rejects direct calls like this.mailDoc() or app.launchURL()
+   * that actions.allowedMethods doesn't list, so mistakes in trusted scripts fail at build time.
+   * Aliased or computed receivers (var d = this; d.mailDoc()) get past it, so it must never be
+   * what makes untrusted scripts safe to embed.
+   */
+  lintScriptCalls(script) {
+    const { allowedMethods } = this.config.actions || {};
+
+    if (Array.isArray(allowedMethods)) {
+      const calls = [...script.matchAll(/\b((?:[A-Za-z_$][\w$]*\s*\.\s*)+[A-Za-z_$][\w$]*)\s*\(/g)]
+        .map(([, call]) => call.replace(/\s+/g, ''))
+        .filter(call => ACROBAT_OBJECTS.includes(call.split('.')[0]));
+      const blocked = [...new Set(calls)].filter(call => !allowedMethods.includes(call));
+
+      if (blocked.length > 0) {
+        throw new Error(`JavaScript calls ${blocked.join(', ')} not in actions.allowedMethods`);
+      }
+    }
+  }
+
+  javaScriptAction(script) {
+    return this.pdfCreator.document.context.obj({
+      Type: 'Action',
+      S: 'JavaScript',
+      JS: PDFHexString.fromText(script)
+    });
+  }
+
+  resolveDestinations() {
+    const document = this.pdfCreator.document;
+    const pageCount = document.getPageCount();
+
+    for (const { action, target, sourcePageIndex } of this.pendingDestinations) {
+      const pageNumber = this.resolvePageTarget(target, sourcePageIndex + 1, pageCount);
+
+      if (pageNumber < 1 || pageNumber > pageCount) {
+        throw new Error(`Link target page ${pageNumber} does not exist (document has ${pageCount} pages)`);
+      }
+
+      const pageRef = document.getPage(pageNumber - 1).ref;
+      action.set(PDFName.of('D'), document.context.obj([pageRef, 'Fit']));
+    }
+
+    return this.pendingDestinations.length;
+  }
+
+  /**
+   * Gives text fields and dropdowns their font before save. Fields that stay in Helvetica keep
+   * pdf-lib's default appearance; any other font (requested, or a fallback for characters
+   * Helvetica lacks) is embedded in full, added to the form's /DR and named in the field's /DA
+   * so viewers can draw typed text with it.
+   */
+  async applyFieldFonts() {
+    const form = this.pdfCreator.document.getForm();
+    const pending = this.pendingFieldFonts.splice(0);
+
+    for (const { field, font, fontSize, text, isValue } of pending) {
+      const { font: pdfFont, fontName, text: drawableText } = await this.pdfCreator.resolveFont(text, font, { subset: false });
+
+      // No font covers some of a filled value's characters: store the '?'-replaced text
+      // the warning announced, since pdf-lib can't draw an appearance for the original
+      if (isValue && drawableText !== text) {
+        field.setText(drawableText);
+      }
+
+      if (fontName === 'Helvetica') {
+        continue;
+      }
+
+      const acroForm = form.acroForm.dict;
+      if (!acroForm.lookup(PDFName.of('DR'))) {
+        acroForm.set(PDFName.of('DR'), acroForm.context.obj({}));
+      }
+      const resources = acroForm.lookup(PDFName.of('DR'), PDFDict);
+      if (!resources.lookup(PDFName.of('Font'))) {
+        resources.set(PDFName.of('Font'), acroForm.context.obj({}));
+      }
+      resources.lookup(PDFName.of('Font'), PDFDict).set(PDFName.of(pdfFont.name), pdfFont.ref);
+
+      field.acroField.setDefaultAppearance(`/${pdfFont.name} ${fontSize} Tf 0 g`);
+      field.updateAppearances(pdfFont);
+      form.markFieldAsClean(field.ref);
+    }
+
+    return pending.length;
+  }
+
+  /**
+   * Turns a page number or 'next' | 'previous' | 'first' | 'last' into a 1-based page number.
+   * next/previous stop at the document edges rather than wrapping.
+   */
+  resolvePageTarget(target, sourcePage, pageCount) {
+    switch (target) {
+      case 'first':
+        return 1;
+      case 'last':
+        return pageCount;
+      case 'next':
+        return Math.min(sourcePage + 1, pageCount);
+      case 'previous':
+        return Math.max(sourcePage - 1, 1);
+      default:
+        return target;
+    }
+  }
+
+  /**
+   * Writes a /Link annotation over the given rectangle
+   */
+  createLinkAnnotation({ x, y, width, height, highlight = 'invert', ...actionOptions }) {
+    const context = this.pdfCreator.document.context;
+    const action = this.buildAction(actionOptions);
+
+    if (!action) {
+      throw new Error('Link requires a url, page or script action');
+    }
+
+    const highlightModes = { none: 'N', invert: 'I', outline: 'O', push: 'P' };
+
+    const annotation = context.obj({
+      Type: 'Annot',
+      Subtype: 'Link',
+      Rect: [x, y, x + width, y + height],
+      Border: [0, 0, 0],
+      H: highlightModes[highlight] || 'I',
+      A: action
+    });
+
+    const annotationRef = context.register(annotation);
+    this.pdfCreator.currentPage.node.addAnnot(annotationRef);
+
+    return annotationRef;
+  }
+
+  /**
+   * Appearance provider producing normal, rollover (hover) and down states
+   * by re-running pdf-lib's default button drawing with different backgrounds
+   */
+  createButtonAppearanceProvider({ backgroundColor, hoverColor, downColor }) {
+    const toComponents = (color) => [color.red, color.green, color.blue];
+
+    return (button, widget, font) => {
+      const characteristics = widget.getOrCreateAppearanceCharacteristics();
+      const drawWithBackground = (color) => {
+        characteristics.setBackgroundColor(toComponents(color));
+        return defaultButtonAppearanceProvider(button, widget, font).normal;
+      };
+
+      // Normal is drawn last so /MK keeps the normal background colour
+      const rollover = drawWithBackground(hoverColor);
+      const down = drawWithBackground(downColor);
+      const normal = drawWithBackground(backgroundColor);
+
+      return { normal, rollover, down };
+    };
+  }
+
+  uniqueFieldName(baseName) {
+    const form = this.pdfCreator.document.getForm();
+    let name = baseName;
+    let counter = 1;
+
+    while (form.getFieldMaybe(name)) {
+      name = `${baseName}_${counter++}`;
+    }
+
+    return name;
+  }
+
   addTextField(options = {}) {
     if (!this.pdfCreator.currentPage) {
       throw new Error('No current page. Add a page first.');
@@ -53,23 +330,37 @@ export class InteractiveElements {
         width = 200,
         height = 25,
         placeholder = '',
+        defaultValue = '',
         multiline = false,
         required = false,
+        font = 'Helvetica',
         fontSize = 12,
         backgroundColor = '#FFFFFF',
         borderColor = '#CCCCCC',
-        borderWidth = 1
+        borderWidth = 1,
+        format,
+        validate,
+        keystroke,
+        calculate,
+        maxLength,
+        readOnly = Boolean(calculate)
       } = options;
 
       if (!name) {
         throw new Error('Text field name is required');
       }
 
+      // Built before the field exists so a bad format or formula doesn't leave a half-made field behind
+      const scripts = this.buildFieldScripts({ format, validate, keystroke, calculate });
+
       const form = this.pdfCreator.document.getForm();
       const textField = form.createTextField(name);
       
-      textField.setText('');
-      textField.setFontSize(fontSize);
+      if (maxLength !== undefined) {
+        textField.setMaxLength(maxLength);
+      }
+
+      textField.setText(defaultValue);
       
       if (multiline) {
         textField.enableMultiline();
@@ -79,6 +370,14 @@ export class InteractiveElements {
         textField.enableRequired();
       }
 
+      if (readOnly) {
+        textField.enableReadOnly();
+      }
+
+      if (scripts) {
+        this.setFieldScripts(textField, scripts, calculate);
+      }
+
       textField.addToPage(this.pdfCreator.currentPage, {
         x, y, width, height,
         backgroundColor: this.parseColor(backgroundColor),
@@ -86,11 +385,18 @@ export class InteractiveElements {
         borderWidth
       });
 
+      // pdf-lib only has a /DA entry to update once the widget is on a page
+      textField.setFontSize(fontSize);
+      this.pendingFieldFonts.push({ field: textField, font, fontSize, text: defaultValue || placeholder, isValue: Boolean(defaultValue) });
+
       const elementInfo = {
         type: 'textField',
         name, x, y, width, height,
         pageIndex: this.pdfCreator.currentPageIndex,
-        multiline, required, placeholder
+        multiline, required, placeholder, defaultValue,
+        format: format ? (typeof format === 'string' ? format : format.type) : null,
+        calculated: Boolean(calculate),
+        readOnly
       };
 
       this.elements.push(elementInfo);
@@ -103,6 +409,82 @@ export class InteractiveElements {
     }
   }
 
+  /**
+   * Format/keystroke/validate/calculate scripts for a field, or null when it has none.
+   * User-written validation scripts go through the same checks as script actions.
+   */
+  buildFieldScripts(options) {
+    const { format, validate, keystroke, calculate } = options;
+
+    if (!format && !validate && !keystroke && !calculate) {
+      return null;
+    }
+
+    if (validate?.script) {
+      this.checkScript(validate.script);
+    }
+
+    const scripts = buildFieldScripts(options);
+    for (const script of [scripts.format, scripts.keystroke, scripts.validate, scripts.calculate]) {
+      if (script) {
+        this.checkScript(script, { lintCalls: false });
+      }
+    }
+
+    return scripts;
+  }
+
+  /**
+   * Sets the field's additional actions (/AA) and queues calculated fields for the
+   * document's calculation order, written by resolveCalculationOrder()
+   */
+  setFieldScripts(field, scripts, calculate) {
+    const events = { K: scripts.keystroke, F: scripts.format, V: scripts.validate, C: scripts.calculate };
+    const additionalActions = {};
+
+    for (const [event, script] of Object.entries(events)) {
+      if (script) {
+        additionalActions[event] = this.javaScriptAction(script);
+      }
+    }
+
+    field.acroField.dict.set(PDFName.of('AA'), this.pdfCreator.document.context.obj(additionalActions));
+
+    if (calculate) {
+      this.calculatedFields.push({
+        field,
+        name: field.getName(),
+        dependencies: scripts.dependencies,
+        order: calculate.order
+      });
+    }
+  }
+
+  /**
+   * Writes the AcroForm calculation order (/CO) so totals run after the subtotals they add up
+   */
+  resolveCalculationOrder() {
+    if (this.calculatedFields.length === 0) {
+      return;
+    }
+
+    const form = this.pdfCreator.document.getForm();
+    const names = new Set(form.getFields().map(field => field.getName()));
+
+    for (const { name, dependencies } of this.calculatedFields) {
+      const unknown = dependencies.filter(dependency => !names.has(dependency));
+      if (unknown.length > 0) {
+        throw new Error(`Calculated field '${name}' uses unknown field(s): ${unknown.join(', ')}`);
+      }
+    }
+
+    const ordered = orderCalculations(this.calculatedFields);
+    form.acroForm.dict.set(
+      PDFName.of('CO'),
+      this.pdfCreator.document.context.obj(ordered.map(({ field }) => field.ref))
+    );
+  }
+
   addCheckbox(options = {}) {
     if (!this.pdfCreator.currentPage) {
       throw new Error('No current page. Add a page first.');
@@ -115,6 +497,7 @@ export class InteractiveElements {
         y = 500,
         size = 16,
         checked = false,
+        required = false,
         borderColor = '#CCCCCC'
       } = options;
 
@@ -129,6 +512,10 @@ export class InteractiveElements {
         checkbox.check();
       }
 
+      if (required) {
+        checkbox.enableRequired();
+      }
+
       checkbox.addToPage(this.pdfCreator.currentPage, {
         x, y,
         width: size,
@@ -140,7 +527,7 @@ export class InteractiveElements {
         type: 'checkbox',
         name, x, y, size,
         pageIndex: this.pdfCreator.currentPageIndex,
-        checked
+        checked, required
       };
 
       this.elements.push(elementInfo);
@@ -167,6 +554,9 @@ export class InteractiveElements {
         height = 25,
         options: dropdownOptions = [],
         defaultValue = '',
+        required = false,
+        font = 'Helvetica',
+        fontSize = 12,
         backgroundColor = '#FFFFFF',
         borderColor = '#CCCCCC'
       } = options;
@@ -188,18 +578,24 @@ export class InteractiveElements {
         dropdown.select(defaultValue);
       }
 
+      if (required) {
+        dropdown.enableRequired();
+      }
+
       dropdown.addToPage(this.pdfCreator.currentPage, {
         x, y, width, height,
         backgroundColor: this.parseColor(backgroundColor),
         borderColor: this.parseColor(borderColor)
       });
+      dropdown.setFontSize(fontSize);
+      this.pendingFieldFonts.push({ field: dropdown, font, fontSize, text: dropdownOptions.join('') });
 
       const elementInfo = {
         type: 'dropdown',
         name, x, y, width, height,
         pageIndex: this.pdfCreator.currentPageIndex,
         options: dropdownOptions,
-        defaultValue
+        defaultValue, required
       };
 
       this.elements.push(elementInfo);
@@ -226,7 +622,8 @@ export class InteractiveElements {
         defaultValue = '',
         direction = 'vertical',
         spacing = 25,
-        buttonSize = 16
+        buttonSize = 16,
+        required = false
       } = options;
 
       if (!name) {
@@ -248,8 +645,8 @@ export class InteractiveElements {
         const optionValue = typeof option === 'object' ? option.value : option;
 
         radioGroup.addOptionToPage(optionValue, this.pdfCreator.currentPage, {
-          x: currentX,
-          y: currentY,
+          x: option?.x ?? currentX,
+          y: option?.y ?? currentY,
           width: buttonSize,
           height: buttonSize
         });
@@ -265,12 +662,16 @@ export class InteractiveElements {
         radioGroup.select(defaultValue);
       }
 
+      if (required) {
+        radioGroup.enableRequired();
+      }
+
       const elementInfo = {
         type: 'radioGroup',
         name, x, y,
         pageIndex: this.pdfCreator.currentPageIndex,
         options: radioOptions,
-        defaultValue, direction,
+        defaultValue, direction, required,
         count: radioOptions.length
       };
 
@@ -284,6 +685,98 @@ export class InteractiveElements {
     }
   }
 
+  /**
+   * Empty signature field, shown as a box with a signing line and label until the PDF is
+   * signed (see pdf-signature.js). pdf-lib can't create signature fields, so the field and
+   * its widget are written as one dictionary.
+   */
+  async addSignatureField(options = {}) {
+    if (!this.pdfCreator.currentPage) {
+      throw new Error('No current page. Add a page first.');
+    }
+
+    try {
+      const {
+        name,
+        x = 100,
+        y = 100,
+        width = 200,
+        height = 50,
+        label = 'Sign here',
+        required = false,
+        backgroundColor = '#FFFFFF',
+        borderColor = '#CCCCCC',
+        borderWidth = 1
+      } = options;
+
+      if (!name) {
+        throw new Error('Signature field name is required');
+      }
+
+      const document = this.pdfCreator.document;
+      const form = document.getForm();
+
+      if (form.getFieldMaybe(name)) {
+        throw new Error(`A field named '${name}' already exists`);
+      }
+
+      const context = document.context;
+      const font = await this.pdfCreator.loadFont('Helvetica');
+      const labelSize = Math.min(8, height / 4);
+      const labelColor = this.parseColor('#777777');
+      const noRotation = { rotate: degrees(0), xSkew: degrees(0), ySkew: degrees(0) };
+
+      const appearance = context.formXObject([
+        ...drawRectangle({
+          x: 0, y: 0, width, height, borderWidth,
+          color: this.parseColor(backgroundColor),
+          borderColor: this.parseColor(borderColor),
+          ...noRotation
+        }),
+        ...drawLine({
+          start: { x: 8, y: labelSize * 2.5 },
+          end: { x: width - 8, y: labelSize * 2.5 },
+          thickness: 0.5,
+          color: labelColor
+        }),
+        ...drawText(font.encodeText(label), { x: 8, y: labelSize, size: labelSize, font: 'Helv', color: labelColor, ...noRotation })
+      ], {
+        BBox: [0, 0, width, height],
+        Resources: { Font: { Helv: font.ref } }
+      });
+
+      const fieldRef = context.register(context.obj({
+        FT: 'Sig',
+        T: PDFHexString.fromText(name),
+        Type: 'Annot',
+        Subtype: 'Widget',
+        Rect: [x, y, x + width, y + height],
+        F: 4,
+        P: this.pdfCreator.currentPage.ref,
+        AP: { N: context.register(appearance) },
+        Ff: required ? 2 : 0
+      }));
+
+      this.pdfCreator.currentPage.node.addAnnot(fieldRef);
+      form.acroForm.addField(fieldRef);
+
+      const elementInfo = {
+        type: 'signatureField',
+        name, x, y, width, height,
+        pageIndex: this.pdfCreator.currentPageIndex,
+        label, required
+      };
+
+      this.elements.push(elementInfo);
+      this.updateStats('signatureField');
+
+      return form.getSignature(name);
+
+    } catch (error) {
+      throw new Error(`Failed to create signature field: ${error.message}`);
+    }
+  }
+
   async addButton(options = {}) {
     if (!this.pdfCreator.currentPage) {
       throw new Error('No current page. Add a page first.');
@@ -292,37 +785,66 @@ export class InteractiveElements {
     try {
       const {
         text = 'Button',
+        name,
         x = 100,
         y = 400,
         width = 120,
         height = 30,
         action = '',
+        url = null,
+        page = null,
+        script = null,
         backgroundColor = '#007BFF',
+        hoverColor,
+        downColor,
         fontColor = '#FFFFFF',
         borderColor = '#0056B3',
+        borderWidth = 1,
+        font = 'Helvetica',
         fontSize = 12
       } = options;
 
-      this.pdfCreator.currentPage.drawRectangle({
+      const fieldName = this.uniqueFieldName(name || `button_${this.elements.length + 1}`);
+      const form = this.pdfCreator.document.getForm();
+      const button = form.createButton(fieldName);
+      const { font: pdfFont, text: caption } = await this.pdfCreator.resolveFont(text, font);
+
+      button.addToPage(caption, this.pdfCreator.currentPage, {
         x, y, width, height,
-        color: this.parseColor(backgroundColor),
+        font: pdfFont,
+        textColor: this.parseColor(fontColor),
+        backgroundColor: this.parseColor(backgroundColor),
         borderColor: this.parseColor(borderColor),
-        borderWidth: 1
-      });
-
-      this.pdfCreator.currentPage.drawText(text, {
-        x: x + 10,
-        y: y + height/2 - fontSize/2,
-        size: fontSize,
-        color: this.parseColor(fontColor)
+        borderWidth
       });
+      button.setFontSize(fontSize);
+
+      const background = this.parseColor(backgroundColor);
+      const shade = (color, factor) => rgb(color.red * factor, color.green * factor, color.blue * factor);
+
+      button.updateAppearances(pdfFont, this.createButtonAppearanceProvider({
+        backgroundColor: background,
+        hoverColor: hoverColor ? this.parseColor(hoverColor) : shade(background, 0.9),
+        downColor: downColor ? this.parseColor(downColor) : shade(background, 0.75)
+      }));
+      // setFontSize marks the field dirty; clean it so save() keeps the rollover state
+      form.markFieldAsClean(button.ref);
+
+      const widget = button.acroField.getWidgets()[0];
+      const pdfAction = this.buildAction({ action, url, page, script });
+
+      // Push highlight so viewers show the down appearance while clicking
+      widget.dict.set(PDFName.of('H'), PDFName.of('P'));
+      if (pdfAction) {
+        widget.dict.set(PDFName.of('A'), pdfAction);
+      }
 
       const elementInfo = {
         type: 'button',
-        name: `button_${this.elements.length + 1}`,
+        name: fieldName,
         text, x, y, width, height,
         pageIndex: this.pdfCreator.currentPageIndex,
-        action, backgroundColor, fontColor
+        action, url, page, backgroundColor, fontColor, font
       };
 
       this.elements.push(elementInfo);
@@ -344,25 +866,54 @@ export class InteractiveElements {
       const {
         text = 'Link',
         url,
+        page,
+        script,
+        action,
         x = 100,
         y = 400,
+        width,
+        height,
+        highlight = 'invert',
         color = '#007BFF',
+        font = 'Helvetica',
         fontSize = 12
       } = options;
 
-      if (!url) {
-        throw new Error('Link URL is required');
+      if (!url && !page && !script && !action) {
+        throw new Error('Link URL, target page or script is required');
       }
 
-      this.pdfCreator.currentPage.drawText(text, {
-        x, y,
-        size: fontSize,
-        color: this.parseColor(color)
+      const fontChain = await this.pdfCreator.loadFontChain(font, text);
+      const missing = new Set();
+      const runs = this.pdfCreator.splitTextRuns(text, fontChain, missing);
+      this.pdfCreator.warnMissingGlyphs(missing, fontChain);
+
+      // An empty text draws nothing and leaves an invisible clickable area (hotspot)
+      if (text) {
+        this.pdfCreator.drawTextRuns(runs, {
+          x, y,
+          size: fontSize,
+          color: this.parseColor(color)
+        });
+      }
+
+      const linkWidth = width ?? this.pdfCreator.widthOfRuns(runs, fontSize);
+      const linkHeight = height ?? fontSize * 1.2;
+      const linkY = height === undefined ? y - fontSize * 0.2 : y;
+
+      this.createLinkAnnotation({
+        x, y: linkY,
+        width: linkWidth,
+        height: linkHeight,
+        highlight,
+        url, page, script, action
       });
 
       const elementInfo = {
         type: 'link',
-        text, url, x, y,
+        text, url, page, x, y,
+        width: linkWidth,
+        height: linkHeight,
         pageIndex: this.pdfCreator.currentPageIndex,
         color
       };
@@ -377,6 +928,93 @@ export class InteractiveElements {
     }
   }
 
+  /**
+   * Sets existing fields (e.g. a template's own form) by name. Checkboxes take booleans or
+   * yes/no style strings, radio groups and dropdowns an option value (arrays for multi-select
+   * lists), text fields anything stringable. Fields that can't take their value are skipped
+   * and reported rather than stopping the fill.
+   */
+  fillFormFields(data = {}) {
+    const form = this.pdfCreator.document.getForm();
+    const filled = [];
+    const skipped = [];
+
+    for (const [name, value] of Object.entries(data)) {
+      const field = form.getFieldMaybe(name);
+
+      if (!field) {
+        skipped.push({ name, reason: 'no field with this name' });
+        continue;
+      }
+
+      try {
+        this.setFieldValue(field, getFieldType(field), value);
+        filled.push(name);
+      } catch (error) {
+        skipped.push({ name, reason: error.message });
+      }
+    }
+
+    return { filled, skipped };
+  }
+
+  setFieldValue(field, type, value) {
+    switch (type) {
+      case 'text': {
+        const text = value === null || value === undefined ? '' : String(value);
+        field.setText(text);
+        this.queueFieldFont(field, text, true);
+        break;
+      }
+      case 'checkbox':
+        if (UNCHECKED_VALUES.includes(String(value ?? '').trim().toLowerCase()) || value === false) {
+          field.uncheck();
+        } else {
+          field.check();
+        }
+        break;
+      case 'radio':
+        if (value === null || value === undefined || value === '') {
+          field.clear();
+        } else if (!field.getOptions().includes(String(value))) {
+          throw new Error(`'${value}' is not one of ${field.getOptions().join(', ')}`);
+        } else {
+          field.select(String(value));
+        }
+        break;
+      case 'dropdown':
+      case 'optionList': {
+        const values = (Array.isArray(value) ? value : [value])
+          .filter(option => option !== null && option !== undefined && option !== '')
+          .map(String);
+        if (values.length === 0) {
+          field.clear();
+        } else {
+          field.select(values);
+          this.queueFieldFont(field, values.join(' '));
+        }
+        break;
+      }
+      default:
+        throw new Error(`${type} fields can't be filled`);
+    }
+  }
+
+  /**
+   * Filled text keeps the field's font and size; for template fields applyFieldFonts only
+   * steps in when Helvetica (which pdf-lib draws appearances with) lacks some of its characters
+   */
+  queueFieldFont(field, text, isValue = false) {
+    const queued = this.pendingFieldFonts.find(entry => entry.field === field);
+    if (queued) {
+      Object.assign(queued, { text, isValue });
+      return;
+    }
+
+    const sizeMatch = (field.acroField.getDefaultAppearance() || '').match(/([\d.]+)\s+Tf/);
+    this.pendingFieldFonts.push({ field, font: 'Helvetica', fontSize: sizeMatch ? Number(sizeMatch[1]) : 0, text, isValue });
+  }
+
   updateStats(elementType) {
     this.elementStats.total++;
     
@@ -424,6 +1062,9 @@ export class InteractiveElements {
 
   clearElements() {
     this.elements = [];
+    this.pendingDestinations = [];
+    this.pendingFieldFonts = [];
+    this.calculatedFields = [];
     this.elementStats = {
       total: 0,
       byType: {},
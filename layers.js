@@ -0,0 +1,203 @@
+/**
+ * Layers - Named optional content groups that text, images, shapes and annotations can be put on
+ *
+ * Layer: { visible: true, print: true | false (default: as on screen), printOnly: false, locked: false }
+ *   printOnly - hidden on screen but printed; locked - readers can't switch it in the layers panel
+ * Content: beginLayer('answers') ... endLayer(), or `layer: 'answers'` on any addContent item.
+ *   Annotations (form fields, links, buttons, media) added while a layer is open join it too.
+ * Actions: toggleLayer / showLayer / hideLayer: 'answers' | ['answers', 'notes'] on buttons and links.
+ */
+
+import { PDFArray, PDFDict, PDFHexString, PDFName, PDFRef } from 'pdf-lib';
+
+export const LAYER_ACTIONS = { toggleLayer: 'Toggle', showLayer: 'ON', hideLayer: 'OFF' };
+
+export class Layers {
+  constructor(pdfCreator) {
+    this.pdfCreator = pdfCreator;
+    this.layers = new Map();
+  }
+
+  define(name, options = {}) {
+    const { visible = true, print, printOnly = false, locked = false } = options;
+
+    if (!name || typeof name !== 'string') {
+      throw new Error('Layer name is required');
+    }
+    if (this.layers.has(name)) {
+      throw new Error(`Layer '${name}' already exists`);
+    }
+    if (printOnly && (options.visible === true || print === false)) {
+      throw new Error('printOnly layers are hidden on screen and printed; drop visible/print');
+    }
+
+    const layer = {
+      name,
+      visible: printOnly ? false : visible,
+      print: printOnly ? true : print,
+      locked,
+      resourceName: `OCLayer${this.layers.size + 1}`
+    };
+
+    const context = this.pdfCreator.document.context;
+    layer.ref = context.register(context.obj({
+      Type: 'OCG',
+      Name: PDFHexString.fromText(name),
+      Usage: {
+        View: { ViewState: layer.visible ? 'ON' : 'OFF' },
+        Print: layer.print === undefined ? undefined : { PrintState: layer.print ? 'ON' : 'OFF' }
+      }
+    }));
+
+    this.layers.set(name, layer);
+    return layer;
+  }
+
+  get(name) {
+    const layer = this.layers.get(name);
+
+    if (!layer) {
+      throw new Error(`Unknown layer '${name}' (add it with addLayer first)`);
+    }
+    return layer;
+  }
+
+  hasContent() {
+    return this.layers.size > 0;
+  }
+
+  begin(name) {
+    const layer = this.get(name);
+    this.pdfCreator.beginLayerContent({ ...layer, annotations: new Set(this.annotationRefs().map(String)) });
+    return layer;
+  }
+
+  /**
+   * Closes the innermost open layer and puts the annotations added since it opened on it.
+   * Annotations already on an inner layer keep that one.
+   */
+  end() {
+    const { name, ref, annotations } = this.pdfCreator.endLayerContent();
+    const context = this.pdfCreator.document.context;
+    let tagged = 0;
+
+    for (const annotRef of this.annotationRefs()) {
+      const annotation = context.lookup(annotRef);
+
+      if (annotations.has(String(annotRef)) || !(annotation instanceof PDFDict) || annotation.has(PDFName.of('OC'))) {
+        continue;
+      }
+      annotation.set(PDFName.of('OC'), ref);
+      tagged++;
+    }
+
+    return { name, annotations: tagged };
+  }
+
+  annotationRefs() {
+    return this.pdfCreator.document.getPages()
+      .flatMap(page => page.node.Annots()?.asArray() ?? [])
+      .filter(entry => entry instanceof PDFRef);
+  }
+
+  /**
+   * SetOCGState action for toggleLayer / showLayer / hideLayer options, or null when none are set
+   */
+  action(options = {}) {
+    const state = [];
+
+    for (const [option, operation] of Object.entries(LAYER_ACTIONS)) {
+      if (options[option]) {
+        state.push(operation, ...[].concat(options[option]).map(name => this.get(name).ref));
+      }
+    }
+
+    if (state.length === 0) {
+      return null;
+    }
+
+    return this.pdfCreator.document.context.obj({ Type: 'Action', S: 'SetOCGState', State: state });
+  }
+
+  /**
+   * Lists the layers in /OCProperties: default on/off states, panel order, locked layers and the
+   * usage rule that applies print states when printing
+   */
+  write() {
+    const [open] = this.pdfCreator.openLayers;
+
+    if (open) {
+      throw new Error(`Layer '${open.name}' is still open (call endLayer)`);
+    }
+    if (!this.hasContent()) {
+      return;
+    }
+
+    addOptionalContentGroups(this.pdfCreator.document, [...this.layers.values()].map(layer => ({
+      ref: layer.ref,
+      visible: layer.visible,
+      locked: layer.locked,
+      printUsage: layer.print !== undefined
+    })));
+  }
+}
+
+/**
+ * Adds groups ({ ref, visible, locked, printUsage }) to the document's /OCProperties, keeping the
+ * groups already listed there - from pages copied in from other documents or an earlier write.
+ * printUsage groups switch to their /Usage /Print state when printing.
+ */
+export function addOptionalContentGroups(document, groups) {
+  if (groups.length === 0) {
+    return;
+  }
+
+  const { catalog, context } = document;
+  const properties = catalog.lookupMaybe(PDFName.of('OCProperties'), PDFDict) ?? context.obj({ OCGs: [], D: {} });
+  catalog.set(PDFName.of('OCProperties'), properties);
+
+  const config = properties.lookupMaybe(PDFName.of('D'), PDFDict) ?? context.obj({});
+  properties.set(PDFName.of('D'), config);
+
+  const list = (dict, key) => {
+    const existing = dict.lookupMaybe(PDFName.of(key), PDFArray);
+    if (existing) {
+      return existing;
+    }
+    const created = context.obj([]);
+    dict.set(PDFName.of(key), created);
+    return created;
+  };
+  const printUsage = () => {
+    const applications = list(config, 'AS');
+    const existing = applications.asArray()
+      .map(entry => context.lookupMaybe(entry, PDFDict))
+      .find(entry => entry?.get(PDFName.of('Event')) === PDFName.of('Print'));
+    if (existing) {
+      return list(existing, 'OCGs');
+    }
+    const created = context.obj({ Event: 'Print', Category: ['Print'], OCGs: [] });
+    applications.push(created);
+    return created.lookup(PDFName.of('OCGs'), PDFArray);
+  };
+
+  const ocgs = list(properties, 'OCGs');
+  const known = new Set(ocgs.asArray().map(String));
+
+  for (const { ref, visible, locked, printUsage: printed } of groups) {
+    if (known.has(String(ref))) {
+      continue;
+    }
+    known.add(String(ref));
+
+    ocgs.push(ref);
+    list(config, 'Order').push(ref);
+    list(config, visible ? 'ON' : 'OFF').push(ref);
+    if (locked) {
+      list(config, 'Locked').push(ref);
+    }
+    if (printed) {
+      printUsage().push(ref);
+    }
+  }
+}
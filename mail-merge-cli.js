@@ -0,0 +1,103 @@
+/**
+ * Mail merge from the command line - one personalised PDF per CSV/JSON row
+ *
+ *   node mail-merge-cli.js --data learners.csv --template certificate.pdf --out ./output/certificates
+ *   node mail-merge-cli.js --data learners.json --content spec.json --name "{{lastName}}-{{firstName}}" --upload
+ *
+ * --content takes a JSON file holding either a content array or { config, content, layout }.
+ * --upload stores each PDF through PDFStorageManager (R2_* environment variables).
+ */
+
+import { PDFGenerator } from './pdf-generator.js';
+import fs from 'fs-extra';
+import path from 'path';
+
+const USAGE = `Usage: node mail-merge-cli.js --data <rows.csv|rows.json> (--template <file.pdf> | --content <spec.json>) [options]
+
+Options:
+  --out <dir>         Write PDFs to this folder (default ./output/merge unless --upload)
+  --name <pattern>    Filename pattern, e.g. "{{lastName}}-certificate" (default document-{{index}})
+  --manifest <file>   Results manifest, .json or .csv (default <out>/manifest.json)
+  --upload            Upload each PDF with PDFStorageManager and record its share URL
+  --flatten           Flatten form fields so the merged values can't be edited
+  --flow              Lay out content items with the flow layout
+  --stop-on-error     Abort on the first failed row instead of reporting it
+  --help              Show this message`;
+
+const VALUE_FLAGS = ['data', 'template', 'content', 'out', 'name', 'manifest'];
+const BOOLEAN_FLAGS = ['upload', 'flatten', 'flow', 'stop-on-error', 'help'];
+
+export function parseArgs(argv) {
+  const args = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i].replace(/^--/, '');
+
+    if (VALUE_FLAGS.includes(flag)) {
+      if (argv[i + 1] === undefined || argv[i + 1].startsWith('--')) {
+        throw new Error(`--${flag} needs a value`);
+      }
+      args[flag] = argv[++i];
+    } else if (BOOLEAN_FLAGS.includes(flag)) {
+      args[flag] = true;
+    } else {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  return args;
+}
+
+export async function runMailMerge(argv = process.argv.slice(2)) {
+  const args = parseArgs(argv);
+
+  if (args.help) {
+    console.log(USAGE);
+    return null;
+  }
+
+  if (!args.data || (!args.template && !args.content)) {
+    throw new Error(`--data and either --template or --content are required\n\n${USAGE}`);
+  }
+
+  const spec = args.content ? await fs.readJson(args.content) : {};
+  const { config = {}, content = [], layout = {} } = Array.isArray(spec) ? { content: spec } : spec;
+
+  const outputDir = args.out || (args.upload ? null : './output/merge');
+  const manifestPath = args.manifest || path.join(outputDir || '.', 'manifest.json');
+
+  let storage = null;
+  if (args.upload) {
+    // Loaded on demand so local-only merges don't need the S3 client
+    const { PDFStorageManager } = await import('./pdf-storage-manager.js');
+    storage = new PDFStorageManager();
+  }
+
+  return PDFGenerator.generateBatch({
+    config,
+    templatePdf: args.template || null,
+    content,
+    data: args.data,
+    filenamePattern: args.name,
+    outputDir,
+    layout: args.flow ? { ...layout, layout: 'flow' } : layout,
+    flatten: Boolean(args.flatten),
+    storage,
+    manifestPath,
+    stopOnError: Boolean(args['stop-on-error'])
+  });
+}
+
+// Run the merge if this file is executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  try {
+    const summary = await runMailMerge();
+    if (summary) {
+      console.log(`\nMerged ${summary.succeeded}/${summary.total} PDFs - manifest: ${summary.manifestPath}`);
+      process.exitCode = summary.failed > 0 ? 1 : 0;
+    }
+  } catch (error) {
+    console.error('Mail merge failed:', error.message);
+    process.exit(1);
+  }
+}
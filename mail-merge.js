@@ -0,0 +1,153 @@
+/**
+ * Mail Merge - Data sources and {{placeholder}} substitution for batch generation
+ * Rows come from a CSV file (header row = placeholder names), a JSON file holding an
+ * array of objects, or an array passed in directly. Placeholders may use dot paths
+ * ({{learner.firstName}}) and always have {{index}} (1-based row number) available.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+const UNSAFE_FILENAME_CHARACTERS = /[\\/:*?"<>|\x00-\x1f]/g;
+
+export async function loadMergeData(source) {
+  if (Array.isArray(source)) {
+    return source;
+  }
+
+  try {
+    const text = await fs.readFile(source, 'utf8');
+    const ext = path.extname(source).toLowerCase();
+
+    if (ext === '.json') {
+      const data = JSON.parse(text);
+      const rows = Array.isArray(data) ? data : data.rows;
+      if (!Array.isArray(rows)) {
+        throw new Error('JSON data must be an array of rows (or { rows: [...] })');
+      }
+      return rows;
+    }
+
+    if (ext === '.csv') {
+      return parseCSV(text);
+    }
+
+    throw new Error(`Unsupported data source: ${ext || 'no extension'} (use .csv or .json)`);
+
+  } catch (error) {
+    throw new Error(`Failed to load merge data from ${source}: ${error.message}`);
+  }
+}
+
+/**
+ * RFC 4180 CSV with a header row; quoted fields may contain commas, quotes and newlines
+ */
+export function parseCSV(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header = [], ...rows] = records.filter(values => values.some(value => value.trim()));
+  const columns = header.map(column => column.trim());
+
+  return rows.map(values => Object.fromEntries(columns.map((column, index) => [column, values[index] ?? ''])));
+}
+
+export function hasPlaceholders(value) {
+  return typeof value === 'string' && new RegExp(PLACEHOLDER_PATTERN.source).test(value);
+}
+
+/**
+ * Replaces {{tokens}} in a string, or in every string inside an object/array (content
+ * specs, config). With `encodeForUrl`, values are URI-encoded unless the placeholder
+ * starts the string, so `https://site/cert?name={{name}}` is escaped but `{{link}}` isn't.
+ * Unknown placeholders become '' and are reported through `missing`.
+ */
+export function fillPlaceholders(value, row, options = {}) {
+  const { missing = new Set(), encodeForUrl = false } = options;
+
+  if (typeof value === 'string') {
+    return value.replace(PLACEHOLDER_PATTERN, (token, key, offset) => {
+      const resolved = resolvePath(row, key);
+      if (resolved === undefined || resolved === null) {
+        missing.add(key);
+        return '';
+      }
+      return encodeForUrl && offset > 0 ? encodeURIComponent(String(resolved)) : String(resolved);
+    });
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => fillPlaceholders(item, row, options));
+  }
+
+  if (value && typeof value === 'object' && value.constructor === Object) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      key === 'type' ? item : fillPlaceholders(item, row, { ...options, encodeForUrl: key === 'url' })
+    ]));
+  }
+
+  return value;
+}
+
+function resolvePath(row, key) {
+  return key.split('.').reduce((current, part) => current?.[part], row);
+}
+
+/**
+ * Output filename for a row, e.g. '{{lastName}}-{{firstName}}-certificate' -> 'Diaz-Ana-certificate.pdf'.
+ * Characters that aren't allowed in filenames become '_'; clashes get -2, -3, ...
+ */
+export function formatFilename(pattern, row, usedNames = new Set()) {
+  const base = fillPlaceholders(pattern, row)
+    .replace(UNSAFE_FILENAME_CHARACTERS, '_')
+    .replace(/\.pdf$/i, '')
+    .trim() || `document-${row.index}`;
+
+  let filename = `${base}.pdf`;
+  for (let suffix = 2; usedNames.has(filename.toLowerCase()); suffix++) {
+    filename = `${base}-${suffix}.pdf`;
+  }
+
+  usedNames.add(filename.toLowerCase());
+  return filename;
+}
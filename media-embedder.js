@@ -1,433 +1,540 @@
 /**
- * Interactive Elements - Handles form fields, buttons, and interactive components
- * Works with both new PDFs and Canva templates
- * This will run as is - complete interactive elements system
+ * Media Embedder - Places images, video and audio on PDF pages
+ * Images are drawn inline; video/audio are stored as embedded files and exposed
+ * through file attachment, Screen or RichMedia annotations with a poster frame
  */
 
-import { rgb } from 'pdf-lib';
-
-export class InteractiveElements {
+import { FileEmbedder, PDFName, PDFString, PDFHexString, drawImage, degrees, rgb } from 'pdf-lib';
+import fs from 'fs-extra';
+import path from 'path';
+
+// Widths in points; heights follow the media's aspect ratio
+const SIZE_PRESETS = {
+  small: 150,
+  medium: 250,
+  large: 400
+};
+
+const POSITION_PRESETS = [
+  'top-left', 'top-center', 'top-right',
+  'center-left', 'center', 'center-right',
+  'bottom-left', 'bottom-center', 'bottom-right'
+];
+
+const MIME_TYPES = {
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mov': 'video/quicktime',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.m4a': 'audio/mp4',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif'
+};
+
+const PLAYERS = ['attachment', 'screen', 'richmedia'];
+const CAPTION_FONT_SIZE = 10;
+
+export class MediaEmbedder {
   constructor(pdfCreator) {
     this.pdfCreator = pdfCreator;
     this.config = pdfCreator.config || {};
-    this.elements = [];
-    this.elementStats = {
+    this.media = [];
+    this.embeddedFileNames = new Set();
+    this.mediaStats = {
       total: 0,
+      totalSize: 0,
       byType: {},
-      byPage: {}
+      sizeByType: {}
     };
   }
 
-  parseColor(colorString) {
-    if (typeof colorString !== 'string') {
-      return rgb(0, 0, 0);
-    }
+  getMediaType(mediaPath) {
+    const ext = path.extname(mediaPath).toLowerCase();
+    const mediaConfig = this.config.media || {};
 
-    const hex = colorString.replace('#', '');
-    
-    if (hex.length !== 6) {
-      return rgb(0, 0, 0);
-    }
+    if ((mediaConfig.supportedImages || []).includes(ext)) return 'image';
+    if ((mediaConfig.supportedVideo || []).includes(ext)) return 'video';
+    if ((mediaConfig.supportedAudio || []).includes(ext)) return 'audio';
 
-    try {
-      const r = parseInt(hex.substr(0, 2), 16) / 255;
-      const g = parseInt(hex.substr(2, 2), 16) / 255;
-      const b = parseInt(hex.substr(4, 2), 16) / 255;
-      
-      return rgb(r, g, b);
-    } catch (error) {
-      return rgb(0, 0, 0);
-    }
+    throw new Error(`Unsupported media format: ${ext || 'unknown'}`);
   }
 
-  addTextField(options = {}) {
+  async embedMedia(mediaPath, options = {}) {
     if (!this.pdfCreator.currentPage) {
       throw new Error('No current page. Add a page first.');
     }
 
-    try {
-      const {
-        name,
-        x = 100,
-        y = 500,
-        width = 200,
-        height = 25,
-        placeholder = '',
-        multiline = false,
-        required = false,
-        fontSize = 12,
-        backgroundColor = '#FFFFFF',
-        borderColor = '#CCCCCC',
-        borderWidth = 1
-      } = options;
-
-      if (!name) {
-        throw new Error('Text field name is required');
-      }
-
-      const form = this.pdfCreator.document.getForm();
-      const textField = form.createTextField(name);
-      
-      textField.setText('');
-      textField.setFontSize(fontSize);
-      
-      if (multiline) {
-        textField.enableMultiline();
-      }
-      
-      if (required) {
-        textField.enableRequired();
-      }
-
-      textField.addToPage(this.pdfCreator.currentPage, {
-        x, y, width, height,
-        backgroundColor: this.parseColor(backgroundColor),
-        borderColor: this.parseColor(borderColor),
-        borderWidth
-      });
-
-      const elementInfo = {
-        type: 'textField',
-        name, x, y, width, height,
-        pageIndex: this.pdfCreator.currentPageIndex,
-        multiline, required, placeholder
-      };
-
-      this.elements.push(elementInfo);
-      this.updateStats('textField');
-      
-      return textField;
-
-    } catch (error) {
-      throw new Error(`Failed to create text field: ${error.message}`);
-    }
-  }
-
-  addCheckbox(options = {}) {
-    if (!this.pdfCreator.currentPage) {
-      throw new Error('No current page. Add a page first.');
+    if (!mediaPath || !await fs.pathExists(mediaPath)) {
+      throw new Error(`Media file not found: ${mediaPath}`);
     }
 
     try {
-      const {
-        name,
-        x = 100,
-        y = 500,
-        size = 16,
-        checked = false,
-        borderColor = '#CCCCCC'
-      } = options;
-
-      if (!name) {
-        throw new Error('Checkbox name is required');
+      const type = options.type || this.getMediaType(mediaPath);
+      const bytes = await fs.readFile(mediaPath);
+      const maxFileSize = this.config.media?.maxFileSize;
+
+      if (maxFileSize && bytes.length > maxFileSize) {
+        throw new Error(`File exceeds ${(maxFileSize / 1024 / 1024).toFixed(0)}MB limit: ${path.basename(mediaPath)}`);
       }
 
-      const form = this.pdfCreator.document.getForm();
-      const checkbox = form.createCheckBox(name);
-      
-      if (checked) {
-        checkbox.check();
+      const result = type === 'image'
+        ? await this.embedImage(mediaPath, bytes, options)
+        : await this.embedPlayable(mediaPath, bytes, type, options);
+
+      if (options.caption) {
+        await this.addCaption(options.caption, result.position, result.dimensions);
       }
 
-      checkbox.addToPage(this.pdfCreator.currentPage, {
-        x, y,
-        width: size,
-        height: size,
-        borderColor: this.parseColor(borderColor)
-      });
-
-      const elementInfo = {
-        type: 'checkbox',
-        name, x, y, size,
-        pageIndex: this.pdfCreator.currentPageIndex,
-        checked
+      const mediaInfo = {
+        ...result,
+        type,
+        name: path.basename(mediaPath),
+        size: bytes.length,
+        caption: options.caption || null,
+        pageIndex: this.pdfCreator.currentPageIndex
       };
 
-      this.elements.push(elementInfo);
-      this.updateStats('checkbox');
+      this.media.push(mediaInfo);
+      this.updateStats(type, bytes.length);
 
-      return checkbox;
+      return mediaInfo;
 
     } catch (error) {
-      throw new Error(`Failed to create checkbox: ${error.message}`);
+      throw new Error(`Failed to embed media: ${error.message}`);
     }
   }
 
-  addDropdown(options = {}) {
-    if (!this.pdfCreator.currentPage) {
-      throw new Error('No current page. Add a page first.');
-    }
+  async embedImage(mediaPath, bytes, options) {
+    const image = await this.embedImageBytes(mediaPath, bytes);
+    const dimensions = this.resolveDimensions(options, image.size());
+    const position = this.resolvePosition(options, dimensions);
 
-    try {
-      const {
-        name,
-        x = 100,
-        y = 500,
-        width = 200,
-        height = 25,
-        options: dropdownOptions = [],
-        defaultValue = '',
-        backgroundColor = '#FFFFFF',
-        borderColor = '#CCCCCC'
-      } = options;
-
-      if (!name) {
-        throw new Error('Dropdown name is required');
-      }
+    this.pdfCreator.currentPage.drawImage(image, { ...position, ...dimensions });
 
-      if (!Array.isArray(dropdownOptions) || dropdownOptions.length === 0) {
-        throw new Error('Dropdown options array is required and must not be empty');
-      }
+    return { dimensions, position, player: null };
+  }
 
-      const form = this.pdfCreator.document.getForm();
-      const dropdown = form.createDropdown(name);
-      
-      dropdown.addOptions(dropdownOptions);
-      
-      if (defaultValue && dropdownOptions.includes(defaultValue)) {
-        dropdown.select(defaultValue);
-      }
+  async embedPlayable(mediaPath, bytes, type, options) {
+    const { player = 'screen', poster, description } = options;
 
-      dropdown.addToPage(this.pdfCreator.currentPage, {
-        x, y, width, height,
-        backgroundColor: this.parseColor(backgroundColor),
-        borderColor: this.parseColor(borderColor)
-      });
-
-      const elementInfo = {
-        type: 'dropdown',
-        name, x, y, width, height,
-        pageIndex: this.pdfCreator.currentPageIndex,
-        options: dropdownOptions,
-        defaultValue
-      };
+    if (!PLAYERS.includes(player)) {
+      throw new Error(`Unknown media player: ${player} (use ${PLAYERS.join(', ')})`);
+    }
 
-      this.elements.push(elementInfo);
-      this.updateStats('dropdown');
+    const defaults = this.config.media?.[type] || { width: 300, height: 200 };
+    const dimensions = this.resolveDimensions(options, { width: defaults.width, height: defaults.height });
+    const position = this.resolvePosition(options, dimensions);
+    const rect = { ...position, ...dimensions };
+
+    const fileName = this.uniqueFileName(path.basename(mediaPath));
+    const mimeType = MIME_TYPES[path.extname(mediaPath).toLowerCase()];
+    const fileSpecRef = await this.attachFile(bytes, fileName, {
+      mimeType,
+      description: description || options.caption || fileName
+    });
+
+    const posterImage = poster ? await this.embedImageBytes(poster, await fs.readFile(poster)) : null;
+    await this.drawPoster(rect, type, posterImage);
+
+    const appearance = posterImage ? this.createPosterAppearance(posterImage, dimensions) : null;
+
+    switch (player) {
+      case 'attachment':
+        this.addFileAttachmentAnnotation(rect, fileSpecRef, fileName);
+        break;
+      case 'richmedia':
+        this.addRichMediaAnnotation(rect, fileSpecRef, fileName, type, appearance);
+        break;
+      default:
+        this.addScreenAnnotation(rect, fileSpecRef, fileName, mimeType, appearance);
+    }
 
-      return dropdown;
+    return { dimensions, position, player, fileName, mimeType };
+  }
 
-    } catch (error) {
-      throw new Error(`Failed to create dropdown: ${error.message}`);
+  async embedImageBytes(imagePath, bytes) {
+    const ext = path.extname(imagePath).toLowerCase();
+
+    if (ext !== '.png' && ext !== '.jpg' && ext !== '.jpeg') {
+      throw new Error(`Unsupported image format: ${ext.replace('.', '') || 'unknown'}`);
     }
+
+    return await this.pdfCreator.embedImage(imagePath, bytes);
   }
 
-  addRadioGroup(options = {}) {
-    if (!this.pdfCreator.currentPage) {
-      throw new Error('No current page. Add a page first.');
+  /**
+   * Width/height embedMedia will use for these options, caption included, so layout
+   * code can reserve the space before placing the media
+   */
+  async measureMedia(mediaPath, options = {}) {
+    const type = options.type || this.getMediaType(mediaPath);
+
+    let intrinsic;
+    if (type === 'image') {
+      intrinsic = (await this.pdfCreator.embedImage(mediaPath)).size();
+    } else {
+      const defaults = this.config.media?.[type] || { width: 300, height: 200 };
+      intrinsic = { width: defaults.width, height: defaults.height };
     }
 
-    try {
-      const {
-        name,
-        x = 100,
-        y = 500,
-        options: radioOptions = [],
-        defaultValue = '',
-        direction = 'vertical',
-        spacing = 25,
-        buttonSize = 16
-      } = options;
-
-      if (!name) {
-        throw new Error('Radio group name is required');
-      }
+    const dimensions = this.resolveDimensions(options, intrinsic);
+    return {
+      ...dimensions,
+      captionHeight: options.caption ? CAPTION_FONT_SIZE + 4 : 0
+    };
+  }
 
-      if (!Array.isArray(radioOptions) || radioOptions.length === 0) {
-        throw new Error('Radio options array is required and must not be empty');
+  /**
+   * Works out width/height from explicit sizes, `size` presets ('small' | 'medium' | 'large'),
+   * a numeric `size` scale factor, `fit: 'width' | 'height'` and maxWidth/maxHeight limits.
+   * The intrinsic aspect ratio is kept unless both width and height are given.
+   */
+  resolveDimensions(options, intrinsic) {
+    const { size, fit, maxWidth, maxHeight } = options;
+    const aspect = intrinsic.height / intrinsic.width;
+    const safeArea = this.pdfCreator.getSafeArea();
+
+    let { width, height } = options;
+
+    if (width && !height) {
+      height = width * aspect;
+    } else if (height && !width) {
+      width = height / aspect;
+    } else if (!width && !height) {
+      if (fit === 'width') {
+        width = safeArea.width;
+      } else if (fit === 'height') {
+        width = safeArea.height / aspect;
+      } else if (typeof size === 'number') {
+        width = intrinsic.width * size;
+      } else if (SIZE_PRESETS[size]) {
+        width = SIZE_PRESETS[size];
+      } else if (size) {
+        throw new Error(`Unknown size preset: ${size}`);
+      } else {
+        width = intrinsic.width;
       }
+      height = width * aspect;
+    }
 
-      const form = this.pdfCreator.document.getForm();
-      const radioGroup = form.createRadioGroup(name);
-
-      let currentX = x;
-      let currentY = y;
+    if (maxWidth && width > maxWidth) {
+      height *= maxWidth / width;
+      width = maxWidth;
+    }
+    if (maxHeight && height > maxHeight) {
+      width *= maxHeight / height;
+      height = maxHeight;
+    }
 
-      for (let i = 0; i < radioOptions.length; i++) {
-        const option = radioOptions[i];
-        const optionValue = typeof option === 'object' ? option.value : option;
+    return { width, height };
+  }
 
-        radioGroup.addOptionToPage(optionValue, this.pdfCreator.currentPage, {
-          x: currentX,
-          y: currentY,
-          width: buttonSize,
-          height: buttonSize
-        });
+  /**
+   * Explicit x/y win; otherwise `position` presets place the media inside the page margins.
+   * With neither, media is centred horizontally under the top margin.
+   */
+  resolvePosition(options, { width, height }) {
+    const { position } = options;
+    const safeArea = this.pdfCreator.getSafeArea();
 
-        if (direction === 'vertical') {
-          currentY -= spacing;
-        } else {
-          currentX += spacing;
-        }
-      }
+    if (position && !POSITION_PRESETS.includes(position)) {
+      throw new Error(`Unknown position preset: ${position}`);
+    }
 
-      if (defaultValue) {
-        radioGroup.select(defaultValue);
-      }
+    const [vertical, horizontal] = position === 'center'
+      ? ['center', 'center']
+      : (position || 'top-center').split('-');
 
-      const elementInfo = {
-        type: 'radioGroup',
-        name, x, y,
-        pageIndex: this.pdfCreator.currentPageIndex,
-        options: radioOptions,
-        defaultValue, direction,
-        count: radioOptions.length
-      };
+    const presetX = {
+      left: safeArea.x,
+      center: safeArea.centerX - width / 2,
+      right: safeArea.x + safeArea.width - width
+    }[horizontal];
 
-      this.elements.push(elementInfo);
-      this.updateStats('radioGroup');
+    const presetY = {
+      top: safeArea.y + safeArea.height - height,
+      center: safeArea.centerY - height / 2,
+      bottom: safeArea.y
+    }[vertical];
 
-      return radioGroup;
+    return {
+      x: options.x ?? (options.fit === 'width' ? safeArea.x : presetX),
+      y: options.y ?? presetY
+    };
+  }
 
-    } catch (error) {
-      throw new Error(`Failed to create radio group: ${error.message}`);
-    }
+  async addCaption(caption, position, dimensions) {
+    const fontSize = CAPTION_FONT_SIZE;
+    const font = await this.pdfCreator.loadFont('Helvetica');
+    const textWidth = font.widthOfTextAtSize(caption, fontSize);
+
+    this.pdfCreator.currentPage.drawText(caption, {
+      x: position.x + Math.max(0, (dimensions.width - textWidth) / 2),
+      y: position.y - fontSize - 4,
+      size: fontSize,
+      font,
+      color: rgb(0.3, 0.3, 0.3)
+    });
   }
 
-  async addButton(options = {}) {
-    if (!this.pdfCreator.currentPage) {
-      throw new Error('No current page. Add a page first.');
-    }
+  /**
+   * Poster frames are drawn into the page content so every viewer shows something,
+   * even those that ignore the media annotation on top.
+   */
+  async drawPoster(rect, type, posterImage) {
+    const page = this.pdfCreator.currentPage;
 
-    try {
-      const {
-        text = 'Button',
-        x = 100,
-        y = 400,
-        width = 120,
-        height = 30,
-        action = '',
-        backgroundColor = '#007BFF',
-        fontColor = '#FFFFFF',
-        borderColor = '#0056B3',
-        fontSize = 12
-      } = options;
-
-      this.pdfCreator.currentPage.drawRectangle({
-        x, y, width, height,
-        color: this.parseColor(backgroundColor),
-        borderColor: this.parseColor(borderColor),
-        borderWidth: 1
-      });
-
-      this.pdfCreator.currentPage.drawText(text, {
-        x: x + 10,
-        y: y + height/2 - fontSize/2,
-        size: fontSize,
-        color: this.parseColor(fontColor)
-      });
-
-      const elementInfo = {
-        type: 'button',
-        name: `button_${this.elements.length + 1}`,
-        text, x, y, width, height,
-        pageIndex: this.pdfCreator.currentPageIndex,
-        action, backgroundColor, fontColor
-      };
+    if (posterImage) {
+      page.drawImage(posterImage, rect);
+      return;
+    }
 
-      this.elements.push(elementInfo);
-      this.updateStats('button');
+    const font = await this.pdfCreator.loadFont('Helvetica');
+    const label = this.config.media?.[type]?.thumbnailText || `Click to play ${type}`;
+    const fontSize = Math.min(12, rect.height / 4);
+    const iconSize = Math.min(rect.width, rect.height) / 3;
+
+    page.drawRectangle({ ...rect, color: rgb(0.13, 0.13, 0.13) });
+    page.drawSvgPath(`M 0 0 L ${iconSize} ${iconSize / 2} L 0 ${iconSize} Z`, {
+      x: rect.x + (rect.width - iconSize * 0.8) / 2,
+      y: rect.y + (rect.height + iconSize) / 2 + fontSize / 2,
+      color: rgb(1, 1, 1)
+    });
+    page.drawText(label, {
+      x: rect.x + Math.max(4, (rect.width - font.widthOfTextAtSize(label, fontSize)) / 2),
+      y: rect.y + fontSize / 2,
+      size: fontSize,
+      font,
+      color: rgb(1, 1, 1)
+    });
+  }
 
-      return elementInfo;
+  createPosterAppearance(posterImage, { width, height }) {
+    const context = this.pdfCreator.document.context;
+    const stream = context.formXObject(
+      drawImage('Poster', {
+        x: 0, y: 0, width, height,
+        rotate: degrees(0), xSkew: degrees(0), ySkew: degrees(0)
+      }),
+      {
+        BBox: [0, 0, width, height],
+        Resources: { XObject: { Poster: posterImage.ref } }
+      }
+    );
 
-    } catch (error) {
-      throw new Error(`Failed to create button: ${error.message}`);
-    }
+    return context.register(stream);
   }
 
-  async addLink(options = {}) {
-    if (!this.pdfCreator.currentPage) {
-      throw new Error('No current page. Add a page first.');
+  /**
+   * Writes the file into the document and lists it in the catalog's /EmbeddedFiles
+   * name tree so it also shows up in the viewer's attachments panel.
+   */
+  async attachFile(bytes, fileName, options = {}) {
+    const document = this.pdfCreator.document;
+    const context = document.context;
+    const now = new Date();
+
+    const fileSpecRef = await FileEmbedder.for(bytes, fileName, {
+      ...options,
+      creationDate: now,
+      modificationDate: now
+    }).embedIntoContext(context);
+
+    const catalog = document.catalog;
+    if (!catalog.has(PDFName.of('Names'))) {
+      catalog.set(PDFName.of('Names'), context.obj({}));
+    }
+    const names = catalog.lookup(PDFName.of('Names'));
+    if (!names.has(PDFName.of('EmbeddedFiles'))) {
+      names.set(PDFName.of('EmbeddedFiles'), context.obj({ Names: [] }));
+    }
+    const embeddedFiles = names.lookup(PDFName.of('EmbeddedFiles'));
+    const nameKey = PDFHexString.fromText(fileName);
+
+    // Templates may already carry a multi-level tree; hang our entry off it as a new leaf
+    if (embeddedFiles.has(PDFName.of('Kids'))) {
+      embeddedFiles.lookup(PDFName.of('Kids')).push(context.register(context.obj({
+        Names: [nameKey, fileSpecRef],
+        Limits: [nameKey, nameKey]
+      })));
+      return fileSpecRef;
     }
 
-    try {
-      const {
-        text = 'Link',
-        url,
-        x = 100,
-        y = 400,
-        color = '#007BFF',
-        fontSize = 12
-      } = options;
-
-      if (!url) {
-        throw new Error('Link URL is required');
-      }
+    // Name trees must stay sorted by key
+    const entries = embeddedFiles.lookup(PDFName.of('Names'));
+    const pairs = [];
+    for (let i = 0; i < entries.size(); i += 2) {
+      pairs.push([entries.lookup(i).decodeText(), entries.get(i + 1)]);
+    }
+    pairs.push([fileName, fileSpecRef]);
+    pairs.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
 
-      this.pdfCreator.currentPage.drawText(text, {
-        x, y,
-        size: fontSize,
-        color: this.parseColor(color)
-      });
-
-      const elementInfo = {
-        type: 'link',
-        text, url, x, y,
-        pageIndex: this.pdfCreator.currentPageIndex,
-        color
-      };
+    embeddedFiles.set(PDFName.of('Names'), context.obj(
+      pairs.flatMap(([name, ref]) => [PDFHexString.fromText(name), ref])
+    ));
 
-      this.elements.push(elementInfo);
-      this.updateStats('link');
+    return fileSpecRef;
+  }
 
-      return elementInfo;
+  uniqueFileName(fileName) {
+    const ext = path.extname(fileName);
+    const base = path.basename(fileName, ext);
+    let candidate = fileName;
+    let suffix = 2;
 
-    } catch (error) {
-      throw new Error(`Failed to create link: ${error.message}`);
+    while (this.embeddedFileNames.has(candidate)) {
+      candidate = `${base}_${suffix++}${ext}`;
     }
+
+    this.embeddedFileNames.add(candidate);
+    return candidate;
   }
 
-  updateStats(elementType) {
-    this.elementStats.total++;
-    
-    if (!this.elementStats.byType[elementType]) {
-      this.elementStats.byType[elementType] = 0;
-    }
-    this.elementStats.byType[elementType]++;
-    
-    const currentPage = this.pdfCreator.currentPageIndex || 0;
-    if (!this.elementStats.byPage[currentPage]) {
-      this.elementStats.byPage[currentPage] = 0;
-    }
-    this.elementStats.byPage[currentPage]++;
+  addAnnotation(annotationDict) {
+    const context = this.pdfCreator.document.context;
+    const page = this.pdfCreator.currentPage;
+    const annotationRef = context.register(context.obj({
+      Type: 'Annot',
+      P: page.ref,
+      F: 4,
+      ...annotationDict
+    }));
+
+    page.node.addAnnot(annotationRef);
+    return annotationRef;
   }
 
-  getElementsStats() {
-    return {
-      total: this.elementStats.total,
-      byType: { ...this.elementStats.byType },
-      byPage: { ...this.elementStats.byPage },
-      elements: this.elements.map(el => ({
-        type: el.type,
-        name: el.name || el.text,
-        page: (el.pageIndex || 0) + 1,
-        position: { x: el.x, y: el.y }
-      }))
-    };
+  toRectArray({ x, y, width, height }) {
+    return [x, y, x + width, y + height];
   }
 
-  getElementsOnPage(pageIndex) {
-    return this.elements.filter(el => el.pageIndex === pageIndex);
+  addFileAttachmentAnnotation(rect, fileSpecRef, fileName) {
+    // Paperclip icon pinned to the top-left corner of the poster
+    const iconSize = 20;
+
+    return this.addAnnotation({
+      Subtype: 'FileAttachment',
+      Rect: [rect.x, rect.y + rect.height - iconSize, rect.x + iconSize, rect.y + rect.height],
+      FS: fileSpecRef,
+      Name: 'Paperclip',
+      Contents: PDFHexString.fromText(fileName)
+    });
   }
 
-  getElementById(name) {
-    return this.elements.find(el => el.name === name) || null;
+  /**
+   * Screen annotation with a Rendition action that plays the embedded file in place.
+   * Supported by Acrobat/Reader; other viewers show the poster.
+   */
+  addScreenAnnotation(rect, fileSpecRef, fileName, mimeType, appearanceRef) {
+    const context = this.pdfCreator.document.context;
+
+    const annotationRef = this.addAnnotation({
+      Subtype: 'Screen',
+      Rect: this.toRectArray(rect),
+      T: PDFHexString.fromText(fileName),
+      Contents: PDFHexString.fromText(fileName),
+      ...(appearanceRef && { AP: { N: appearanceRef } })
+    });
+
+    const rendition = context.obj({
+      Type: 'Rendition',
+      S: 'MR',
+      N: PDFString.of(fileName),
+      C: {
+        Type: 'MediaClip',
+        S: 'MCD',
+        N: PDFString.of(fileName),
+        CT: PDFString.of(mimeType || 'application/octet-stream'),
+        D: fileSpecRef,
+        P: { TF: PDFString.of('TEMPACCESS') }
+      },
+      P: { BE: { C: true } }
+    });
+
+    // OP 0 plays the rendition; AN must point back at this annotation
+    context.lookup(annotationRef).set(PDFName.of('A'), context.obj({
+      Type: 'Action',
+      S: 'Rendition',
+      OP: 0,
+      AN: annotationRef,
+      R: rendition
+    }));
+
+    return annotationRef;
+  }
+
+  /**
+   * RichMedia annotation (Acrobat 9+) that activates on click and deactivates
+   * when the page closes.
+   */
+  addRichMediaAnnotation(rect, fileSpecRef, fileName, type, appearanceRef) {
+    const context = this.pdfCreator.document.context;
+    const subtype = type === 'audio' ? 'Sound' : 'Video';
+
+    return this.addAnnotation({
+      Subtype: 'RichMedia',
+      Rect: this.toRectArray(rect),
+      Contents: PDFHexString.fromText(fileName),
+      ...(appearanceRef && { AP: { N: appearanceRef } }),
+      RichMediaContent: {
+        Type: 'RichMediaContent',
+        Assets: { Names: [PDFString.of(fileName), fileSpecRef] },
+        Configurations: [context.obj({
+          Type: 'RichMediaConfiguration',
+          Subtype: subtype,
+          Instances: [context.obj({
+            Type: 'RichMediaInstance',
+            Subtype: subtype,
+            Asset: fileSpecRef
+          })]
+        })]
+      },
+      RichMediaSettings: {
+        Type: 'RichMediaSettings',
+        Activation: { Type: 'RichMediaActivation', Condition: 'XA', Presentation: { Style: 'Embedded' } },
+        Deactivation: { Type: 'RichMediaDeactivation', Condition: 'PC' }
+      }
+    });
   }
 
-  validateElements() {
+  updateStats(mediaType, size) {
+    this.mediaStats.total++;
+    this.mediaStats.totalSize += size;
+    this.mediaStats.byType[mediaType] = (this.mediaStats.byType[mediaType] || 0) + 1;
+    this.mediaStats.sizeByType[mediaType] = (this.mediaStats.sizeByType[mediaType] || 0) + size;
+  }
+
+  getMediaStats() {
     return {
-      isValid: true,
-      errors: [],
-      warnings: []
+      total: this.mediaStats.total,
+      totalSize: this.mediaStats.totalSize,
+      byType: { ...this.mediaStats.byType },
+      sizeByType: { ...this.mediaStats.sizeByType },
+      media: this.media.map(item => ({
+        type: item.type,
+        name: item.name,
+        size: item.size,
+        page: item.pageIndex + 1,
+        player: item.player
+      }))
     };
   }
 
-  clearElements() {
-    this.elements = [];
-    this.elementStats = {
+  getMediaOnPage(pageIndex) {
+    return this.media.filter(item => item.pageIndex === pageIndex);
+  }
+
+  clearMedia() {
+    this.media = [];
+    this.embeddedFileNames.clear();
+    this.mediaStats = {
       total: 0,
+      totalSize: 0,
       byType: {},
-      byPage: {}
+      sizeByType: {}
     };
   }
 }
@@ -0,0 +1,454 @@
+/**
+ * Page Operations - Merging, extracting, reordering, rotating and deleting pages
+ * Pages copied between documents keep their links and form fields: internal links are
+ * re-pointed at the copied pages (links to pages left behind are dropped), fields are
+ * registered in the target's AcroForm, top-level field names that clash get _2, _3, ...
+ * and the layers the pages use keep their default visibility.
+ *
+ * Page ranges: 'all' | 'odd' | 'even' | 'first' | 'last' | '1-3,7' | '5-' | [1, 2, 5] (1-based, in the order given)
+ */
+
+import {
+  PDFDocument,
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFRef,
+  PDFNumber,
+  PDFStream,
+  PDFObjectCopier,
+  PDFPage,
+  degrees
+} from 'pdf-lib';
+import { addOptionalContentGroups } from './layers.js';
+
+const PAGE_RANGE_KEYWORDS = ['all', 'odd', 'even', 'first', 'last'];
+
+/**
+ * 1-based page numbers for a page range; pages outside the document are left out
+ */
+export function parsePageRange(spec = 'all', pageCount) {
+  const all = Array.from({ length: pageCount }, (_, index) => index + 1);
+  const keywords = {
+    all,
+    odd: all.filter(page => page % 2 === 1),
+    even: all.filter(page => page % 2 === 0),
+    first: all.slice(0, 1),
+    last: all.slice(-1)
+  };
+
+  if (Array.isArray(spec)) {
+    return new Set(spec.map(Number).filter(page => Number.isInteger(page) && page >= 1 && page <= pageCount));
+  }
+
+  if (typeof spec === 'number') {
+    return parsePageRange([spec], pageCount);
+  }
+
+  const pages = new Set();
+  for (const part of String(spec).split(',').map(value => value.trim()).filter(Boolean)) {
+    const range = part.match(/^(\d+)?\s*-\s*(\d+)?$/);
+
+    if (PAGE_RANGE_KEYWORDS.includes(part)) {
+      keywords[part].forEach(page => pages.add(page));
+    } else if (/^\d+$/.test(part)) {
+      pages.add(parseInt(part, 10));
+    } else if (range) {
+      const from = range[1] ? parseInt(range[1], 10) : 1;
+      const to = range[2] ? Math.min(parseInt(range[2], 10), pageCount) : pageCount;
+      for (let page = from; page <= to; page++) pages.add(page);
+    } else {
+      throw new Error(`Invalid page range '${part}' (use all, odd, even, first, last, 3 or 2-5)`);
+    }
+  }
+
+  return new Set([...pages].filter(page => page >= 1 && page <= pageCount));
+}
+
+export function selectPages(spec, pageCount) {
+  const pages = [...parsePageRange(spec, pageCount)];
+
+  if (pages.length === 0) {
+    throw new Error(`Page range '${spec}' selects no pages (document has ${pageCount})`);
+  }
+  return pages;
+}
+
+/**
+ * Copies `pages` of `source` into `target` at index `at`. `source` is modified while
+ * preparing the copy, so pass a freshly loaded document.
+ */
+export async function appendDocument(target, source, options = {}) {
+  const { pages = 'all', at = target.getPageCount() } = options;
+  const pageNumbers = selectPages(pages, source.getPageCount());
+  const sourcePages = source.getPages();
+  const pageIndexByRef = new Map(sourcePages.map((page, index) => [page.ref.toString(), index]));
+  const selected = new Set(pageNumbers.map(page => page - 1));
+
+  const renamedFields = prepareSourceFields(target, source, pageIndexByRef, selected);
+  let droppedLinks = 0;
+
+  for (const pageIndex of selected) {
+    const annotations = sourcePages[pageIndex].node.Annots();
+
+    for (let index = (annotations?.size() ?? 0) - 1; index >= 0; index--) {
+      const annotation = annotations.lookupMaybe(index, PDFDict);
+      if (!annotation) continue;
+
+      // /P points at the source page; copying it would drag a second copy of the page along
+      annotation.delete(PDFName.of('P'));
+
+      const destination = findDestination(annotation);
+      const targetIndex = destination && pageIndexByRef.get(destination.get(0)?.toString());
+      if (targetIndex === undefined || targetIndex === null) continue;
+
+      if (selected.has(targetIndex)) {
+        // Placeholder until the copied page has a ref
+        destination.set(0, PDFNumber.of(targetIndex));
+      } else if (annotation.get(PDFName.of('Subtype')) === PDFName.of('Link')) {
+        annotations.remove(index);
+        droppedLinks++;
+      } else {
+        annotation.delete(PDFName.of('A'));
+        droppedLinks++;
+      }
+    }
+  }
+
+  copyFormFonts(target, source);
+
+  // Same as target.copyPages, but keeping the copier to find the layers the pages brought along
+  await source.flush();
+  const copier = PDFObjectCopier.for(source.context, target.context);
+  const copiedPages = pageNumbers.map(page => {
+    const node = copier.copy(sourcePages[page - 1].node);
+    return PDFPage.of(node, target.context.register(node), target);
+  });
+  copyOptionalContent(target, source, copier);
+
+  const copiedRefs = new Map();
+  copiedPages.forEach((page, index) => {
+    target.insertPage(at + index, page);
+    copiedRefs.set(pageNumbers[index] - 1, page.ref);
+  });
+
+  const targetForm = target.getForm().acroForm;
+  const registeredFields = new Set(targetForm.getFields().map(([, ref]) => ref.toString()));
+
+  for (const page of copiedPages) {
+    const annotations = page.node.Annots();
+
+    for (let index = 0; index < (annotations?.size() ?? 0); index++) {
+      const annotation = annotations.lookupMaybe(index, PDFDict);
+      if (!annotation) continue;
+
+      const destination = findDestination(annotation);
+      if (destination?.get(0) instanceof PDFNumber) {
+        destination.set(0, copiedRefs.get(destination.get(0).asNumber()));
+      }
+
+      if (annotation.get(PDFName.of('Subtype')) === PDFName.of('Widget')) {
+        annotation.set(PDFName.of('P'), page.ref);
+
+        const fieldRef = topLevelFieldRef(annotation, annotations.get(index));
+        if (fieldRef && !registeredFields.has(fieldRef.toString())) {
+          targetForm.addField(fieldRef);
+          registeredFields.add(fieldRef.toString());
+        }
+      }
+    }
+  }
+
+  return { pages: copiedPages.length, firstPage: at + 1, renamedFields, droppedLinks };
+}
+
+/**
+ * Leaves each field only the widgets on selected pages (so copying a widget doesn't pull in
+ * widgets from pages left behind) and renames top-level fields whose names the target uses
+ */
+function prepareSourceFields(target, source, pageIndexByRef, selected) {
+  if (!source.catalog.get(PDFName.of('AcroForm'))) {
+    return [];
+  }
+
+  const annotationPages = new Map();
+  source.getPages().forEach((page, pageIndex) => {
+    page.node.Annots()?.asArray().forEach(ref => annotationPages.set(ref.toString(), pageIndex));
+  });
+
+  const targetNames = new Set(target.catalog.get(PDFName.of('AcroForm'))
+    ? target.getForm().acroForm.getFields().map(([field]) => field.getPartialName())
+    : []);
+  // Suffixed names must not collide with the source's own names either
+  const takenNames = new Set([...targetNames, ...source.getForm().acroForm.getFields().map(([field]) => field.getPartialName())]);
+  const renamedFields = [];
+  const renamedRefs = new Set();
+
+  for (const field of source.getForm().getFields()) {
+    const widgetRefs = field.acroField.Kids()?.asArray() || [field.ref];
+    const onSelected = widgetRefs.map(ref => selected.has(annotationPages.get(ref.toString()) ?? pageIndexByRef.get(
+      source.context.lookupMaybe(ref, PDFDict)?.get(PDFName.of('P'))?.toString())));
+
+    if (!onSelected.some(Boolean)) {
+      continue;
+    }
+
+    for (let index = onSelected.length - 1; index >= 0; index--) {
+      if (!onSelected[index]) {
+        field.acroField.removeWidget(index);
+      }
+    }
+
+    let topLevel = field.acroField;
+    while (topLevel.getParent()) {
+      topLevel = topLevel.getParent();
+    }
+
+    const name = topLevel.getPartialName();
+    if (name && targetNames.has(name) && !renamedRefs.has(topLevel.ref.toString())) {
+      let suffix = 2;
+      while (takenNames.has(`${name}_${suffix}`)) suffix++;
+
+      topLevel.setPartialName(`${name}_${suffix}`);
+      takenNames.add(`${name}_${suffix}`);
+      renamedRefs.add(topLevel.ref.toString());
+      renamedFields.push({ from: name, to: `${name}_${suffix}` });
+    }
+  }
+
+  return renamedFields;
+}
+
+// Field /DA strings name fonts from the form's /DR, so the target needs the source's entries too
+function copyFormFonts(target, source) {
+  const sourceFonts = source.catalog.lookupMaybe(PDFName.of('AcroForm'), PDFDict)
+    ?.lookupMaybe(PDFName.of('DR'), PDFDict)
+    ?.lookupMaybe(PDFName.of('Font'), PDFDict);
+
+  if (!sourceFonts) {
+    return;
+  }
+
+  const acroForm = target.getForm().acroForm.dict;
+  if (!acroForm.lookup(PDFName.of('DR'))) {
+    acroForm.set(PDFName.of('DR'), target.context.obj({}));
+  }
+  const resources = acroForm.lookup(PDFName.of('DR'), PDFDict);
+  if (!resources.lookup(PDFName.of('Font'))) {
+    resources.set(PDFName.of('Font'), target.context.obj({}));
+  }
+
+  const targetFonts = resources.lookup(PDFName.of('Font'), PDFDict);
+  const copier = PDFObjectCopier.for(source.context, target.context);
+  for (const [name, font] of sourceFonts.entries()) {
+    if (!targetFonts.has(name)) {
+      targetFonts.set(name, copier.copy(font));
+    }
+  }
+}
+
+/**
+ * Lists the source's layers (optional content groups) that the copied objects use in the
+ * target's /OCProperties, with their default on/off state, lock and print usage. Without
+ * that, content on hidden layers would show in the copy.
+ */
+function copyOptionalContent(target, source, copier) {
+  const properties = source.catalog.lookupMaybe(PDFName.of('OCProperties'), PDFDict);
+  const config = properties?.lookupMaybe(PDFName.of('D'), PDFDict);
+
+  if (!config) {
+    return;
+  }
+
+  const refsIn = (array) => new Set((array?.asArray() ?? []).map(String));
+  const on = refsIn(config.lookupMaybe(PDFName.of('ON'), PDFArray));
+  const off = refsIn(config.lookupMaybe(PDFName.of('OFF'), PDFArray));
+  const locked = refsIn(config.lookupMaybe(PDFName.of('Locked'), PDFArray));
+  const hiddenByDefault = config.get(PDFName.of('BaseState')) === PDFName.of('OFF');
+  const printed = new Set((config.lookupMaybe(PDFName.of('AS'), PDFArray)?.asArray() ?? [])
+    .map(entry => source.context.lookupMaybe(entry, PDFDict))
+    .filter(usage => usage?.get(PDFName.of('Event')) === PDFName.of('Print'))
+    .flatMap(usage => [...refsIn(usage.lookupMaybe(PDFName.of('OCGs'), PDFArray))]));
+
+  // traversedObjects maps every source object the copier has copied to its copy
+  const groups = (properties.lookupMaybe(PDFName.of('OCGs'), PDFArray)?.asArray() ?? [])
+    .filter(ref => ref instanceof PDFRef && copier.traversedObjects.has(ref))
+    .map(ref => ({
+      ref: copier.traversedObjects.get(ref),
+      visible: hiddenByDefault ? on.has(String(ref)) : !off.has(String(ref)),
+      locked: locked.has(String(ref)),
+      printUsage: printed.has(String(ref))
+    }));
+
+  addOptionalContentGroups(target, groups);
+}
+
+// The page-destination array of a link (/Dest) or a GoTo action (/A /D), if it has one
+function findDestination(annotation) {
+  const destination = annotation.lookup(PDFName.of('Dest'));
+  if (destination instanceof PDFArray) {
+    return destination;
+  }
+
+  const action = annotation.lookup(PDFName.of('A'));
+  const actionDestination = action instanceof PDFDict && action.get(PDFName.of('S')) === PDFName.of('GoTo')
+    ? action.lookup(PDFName.of('D'))
+    : undefined;
+  return actionDestination instanceof PDFArray ? actionDestination : undefined;
+}
+
+function topLevelFieldRef(widget, widgetRef) {
+  let ref = widgetRef;
+  let dict = widget;
+
+  while (dict.get(PDFName.of('Parent')) instanceof PDFRef) {
+    ref = dict.get(PDFName.of('Parent'));
+    dict = dict.lookup(PDFName.of('Parent'), PDFDict);
+  }
+
+  // A widget without a parent or a name is not a field of its own
+  return ref instanceof PDFRef && dict.has(PDFName.of('T')) ? ref : null;
+}
+
+/**
+ * One new document per page range of `bytes`, saved and passed through `protect` (e.g. to
+ * encrypt each part). `bytes` must not be encrypted: pdf-lib can't copy pages out of it.
+ */
+export async function splitDocument(bytes, ranges, options = {}) {
+  const { title, author, subject, useObjectStreams = true, protect = async (pdfBytes) => pdfBytes, onPart } = options;
+  const source = await PDFDocument.load(bytes);
+  const parts = [];
+
+  for (const pages of ranges) {
+    const document = await PDFDocument.create();
+    if (title) document.setTitle(title);
+    if (author) document.setAuthor(author);
+    if (subject) document.setSubject(subject);
+
+    const result = await appendDocument(document, source, { pages });
+    const pdfBytes = await document.save({ useObjectStreams, addDefaultPage: false });
+    parts.push(Buffer.from(await protect(pdfBytes)));
+    onPart?.(pages, result);
+  }
+
+  return parts;
+}
+
+/**
+ * Moves pages into `order` (1-based, every page exactly once). Returns the new index of each old index.
+ */
+export function reorderDocumentPages(document, order) {
+  const pages = document.getPages();
+  const isPermutation = order.length === pages.length &&
+    new Set(order).size === pages.length &&
+    order.every(page => Number.isInteger(page) && page >= 1 && page <= pages.length);
+
+  if (!isPermutation) {
+    throw new Error(`Page order must list every page 1-${pages.length} exactly once`);
+  }
+
+  for (let index = pages.length - 1; index >= 0; index--) {
+    document.removePage(index);
+  }
+  order.forEach(page => document.addPage(pages[page - 1]));
+
+  const mapping = new Array(pages.length);
+  order.forEach((page, newIndex) => { mapping[page - 1] = newIndex; });
+  return mapping;
+}
+
+export function rotateDocumentPages(document, pageNumbers, angle) {
+  if (!Number.isInteger(angle) || angle % 90 !== 0) {
+    throw new Error(`Rotation must be a multiple of 90 degrees (got ${angle})`);
+  }
+
+  for (const pageNumber of pageNumbers) {
+    const page = document.getPage(pageNumber - 1);
+    page.setRotation(degrees((((page.getRotation().angle + angle) % 360) + 360) % 360));
+  }
+}
+
+/**
+ * Removes pages together with the fields that only live on them, then drops every object
+ * nothing refers to any more, so deleted pages' content doesn't stay in the file.
+ * Returns the new index of each old index (null for deleted pages).
+ */
+export function deleteDocumentPages(document, pageNumbers) {
+  const pageCount = document.getPageCount();
+  const deleted = new Set(pageNumbers.map(page => page - 1));
+
+  if (deleted.size >= pageCount) {
+    throw new Error('Cannot delete every page of the document');
+  }
+
+  if (document.catalog.get(PDFName.of('AcroForm'))) {
+    const annotationPages = new Map();
+    document.getPages().forEach((page, pageIndex) => {
+      page.node.Annots()?.asArray().forEach(ref => annotationPages.set(ref.toString(), pageIndex));
+    });
+
+    const form = document.getForm();
+    for (const field of form.getFields()) {
+      const widgetRefs = field.acroField.Kids()?.asArray() || [field.ref];
+      const onDeleted = widgetRefs.map(ref => deleted.has(annotationPages.get(ref.toString())));
+
+      if (onDeleted.every(Boolean)) {
+        form.acroForm.removeField(field.acroField);
+      } else {
+        for (let index = onDeleted.length - 1; index >= 0; index--) {
+          if (onDeleted[index]) field.acroField.removeWidget(index);
+        }
+      }
+    }
+  }
+
+  [...deleted].sort((a, b) => b - a).forEach(index => document.removePage(index));
+  removeUnreferencedObjects(document);
+
+  let nextIndex = 0;
+  return Array.from({ length: pageCount }, (_, index) => deleted.has(index) ? null : nextIndex++);
+}
+
+/**
+ * Deletes objects that can't be reached from the trailer. Fonts and images pdf-lib has
+ * embedded count as reachable, since later drawing may still use them.
+ */
+export function removeUnreferencedObjects(document) {
+  const { context } = document;
+  const roots = [
+    context.trailerInfo.Root,
+    context.trailerInfo.Info,
+    context.trailerInfo.Encrypt,
+    ...[...document.fonts, ...document.images, ...document.embeddedPages, ...document.embeddedFiles, ...document.javaScripts]
+      .map(embedded => embedded.ref)
+  ];
+
+  const reachable = new Set();
+  const pending = [...roots];
+
+  while (pending.length > 0) {
+    const value = pending.pop();
+
+    if (value instanceof PDFRef) {
+      if (reachable.has(value.toString())) continue;
+      reachable.add(value.toString());
+      pending.push(context.lookup(value));
+    } else if (value instanceof PDFDict) {
+      pending.push(...value.values());
+    } else if (value instanceof PDFArray) {
+      pending.push(...value.asArray());
+    } else if (value instanceof PDFStream) {
+      pending.push(value.dict);
+    }
+  }
+
+  let removed = 0;
+  for (const [ref] of context.enumerateIndirectObjects()) {
+    if (!reachable.has(ref.toString())) {
+      context.delete(ref);
+      removed++;
+    }
+  }
+
+  return removed;
+}
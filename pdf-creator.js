@@ -4,10 +4,44 @@
  * This will run as is - core PDF document creation system
  */
 
-import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+import {
+  PDFDocument,
+  PDFDict,
+  PDFName,
+  PDFOperator,
+  PDFOperatorNames,
+  StandardFonts,
+  rgb,
+  degrees,
+  endMarkedContent
+} from 'pdf-lib';
+import fontkit from '@pdf-lib/fontkit';
 import { getPageDimensions, FONTS, COLORS } from './config.js';
+import { normalizeRichText } from './rich-text.js';
 import fs from 'fs-extra';
 
+const REPLACEMENT_CHARACTER = '?';
+const TEXT_ALIGNMENTS = ['left', 'center', 'right', 'justify'];
+const BULLET_MARKER = '•';
+
+const STANDARD_FONT_VARIANTS = {
+  [StandardFonts.Helvetica]: {
+    bold: StandardFonts.HelveticaBold,
+    italic: StandardFonts.HelveticaOblique,
+    boldItalic: StandardFonts.HelveticaBoldOblique
+  },
+  [StandardFonts.TimesRoman]: {
+    bold: StandardFonts.TimesRomanBold,
+    italic: StandardFonts.TimesRomanItalic,
+    boldItalic: StandardFonts.TimesRomanBoldItalic
+  },
+  [StandardFonts.Courier]: {
+    bold: StandardFonts.CourierBold,
+    italic: StandardFonts.CourierOblique,
+    boldItalic: StandardFonts.CourierBoldOblique
+  }
+};
+
 export class PDFCreator {
   constructor(config) {
     this.config = config;
@@ -15,10 +49,22 @@ export class PDFCreator {
     this.currentPage = null;
     this.currentPageIndex = 0;
     this.loadedFonts = {};
+    this.customFonts = {};
+    this.fallbackFonts = [];
+    this.characterSets = new WeakMap();
+    this.missingVariants = new Set();
+    this.embeddedImages = new Map();
+    this.openLayers = [];
     this.stats = {
       pageCount: 0,
       fontsLoaded: 0
     };
+
+    const { custom = {}, fallbacks = [] } = config?.fonts || {};
+    for (const [fontName, source] of Object.entries(custom)) {
+      this.registerFont(fontName, source);
+    }
+    this.setFallbackFonts(fallbacks);
   }
 
   async initialize() {
@@ -50,6 +96,7 @@ export class PDFCreator {
       
       const page = this.document.addPage(dimensions);
       
+      this.moveOpenLayers(page);
       this.currentPage = page;
       this.currentPageIndex = this.document.getPageCount() - 1;
       this.stats.pageCount++;
@@ -67,6 +114,10 @@ export class PDFCreator {
       throw new Error('No current page. Add a page first.');
     }
 
+    if (typeof text !== 'string' || options.markdown) {
+      return await this.addRichText(text, options);
+    }
+
     try {
       const {
         x = 50,
@@ -78,11 +129,12 @@ export class PDFCreator {
         lineHeight = 1.2
       } = options;
 
-      const pdfFont = await this.loadFont(font);
+      const fontChain = await this.loadFontChain(font, text);
+      const missing = new Set();
+      const measure = (line) => this.widthOfRuns(this.splitTextRuns(line, fontChain, missing), size);
       const textColor = this.parseColor(color);
       
-      let textToRender = text;
-      let actualWidth = pdfFont.widthOfTextAtSize(text, size);
+      let actualWidth = measure(text);
       let lines = 1;
       
       if (maxWidth && actualWidth > maxWidth) {
@@ -92,7 +144,7 @@ export class PDFCreator {
         
         for (const word of words) {
           const testLine = currentLine ? `${currentLine} ${word}` : word;
-          const testWidth = pdfFont.widthOfTextAtSize(testLine, size);
+          const testWidth = measure(testLine);
           
           if (testWidth <= maxWidth) {
             currentLine = testLine;
@@ -112,30 +164,28 @@ export class PDFCreator {
         
         for (let i = 0; i < wrappedLines.length; i++) {
           const lineY = y - (i * size * lineHeight);
-          this.currentPage.drawText(wrappedLines[i], {
+          this.drawTextRuns(this.splitTextRuns(wrappedLines[i], fontChain), {
             x,
             y: lineY,
             size,
-            font: pdfFont,
             color: textColor
           });
         }
         
         lines = wrappedLines.length;
-        actualWidth = Math.max(...wrappedLines.map(line => 
-          pdfFont.widthOfTextAtSize(line, size)
-        ));
+        actualWidth = Math.max(...wrappedLines.map(line => measure(line)));
         
       } else {
-        this.currentPage.drawText(text, {
+        this.drawTextRuns(this.splitTextRuns(text, fontChain), {
           x,
           y,
           size,
-          font: pdfFont,
           color: textColor
         });
       }
 
+      this.warnMissingGlyphs(missing, fontChain);
+
       return {
         width: Math.min(actualWidth, maxWidth || actualWidth),
         height: size * lineHeight * lines,
@@ -149,29 +199,414 @@ export class PDFCreator {
     }
   }
 
-  async addImage(imagePath, options = {}) {
+  /**
+   * Rich text (markdown-ish string, run array or block array - see rich-text.js) laid out
+   * from the baseline at `y` downwards. Lines that would drop below the safe area continue
+   * at the top of a new page of the same size, or wherever `nextArea()` says ({ x, top })
+   * when a caller such as the flow layout manages the space. Link runs are not annotated
+   * here; their rectangles are returned in `links` with the index of the page they landed on.
+   * `startPageIndex` is the page the first line is on and `pages` how many pages the text spans.
+   */
+  async addRichText(content, options = {}) {
     if (!this.currentPage) {
       throw new Error('No current page. Add a page first.');
     }
 
     try {
-      if (!await fs.pathExists(imagePath)) {
-        throw new Error(`Image not found: ${imagePath}`);
+      const { continueOnNewPage = true, nextArea } = options;
+      const { settings, entries, baseStyle, missing } = await this.layoutRichText(content, options);
+      const { size, lineHeight, align } = settings;
+
+      const links = [];
+      const startPageIndex = this.currentPageIndex;
+      let x = settings.x;
+      let baseline = settings.y;
+      let advance = 0;
+      let lastLineSize = size;
+      let height = 0;
+      let width = 0;
+      let lineCount = 0;
+      let pagesAdded = 0;
+      let overflow = false;
+
+      for (const { marker, indent, available, spacing, lines } of entries) {
+        advance += spacing;
+        height += spacing;
+
+        for (const [lineIndex, line] of lines.entries()) {
+          baseline -= advance;
+
+          if (baseline - line.size * 0.25 < this.getSafeArea().y) {
+            if (!continueOnNewPage) {
+              overflow = true;
+              break;
+            }
+
+            let top;
+            if (nextArea) {
+              const area = await nextArea();
+              x = area.x ?? x;
+              top = area.top;
+            } else {
+              this.addContinuationPage();
+              pagesAdded++;
+              const safeArea = this.getSafeArea();
+              top = safeArea.y + safeArea.height;
+            }
+            baseline = top - line.size;
+          }
+
+          if (lineIndex === 0 && marker) {
+            const markerRuns = this.splitTextRuns(marker, baseStyle.chain, missing);
+            const markerWidth = this.widthOfRuns(markerRuns, size);
+            this.drawTextRuns(markerRuns, {
+              x: Math.max(x, x + indent - markerWidth - size * 0.4),
+              y: baseline,
+              size,
+              color: baseStyle.color
+            });
+          }
+
+          this.drawRichTextLine(line, { x: x + indent, y: baseline, available, align, lineHeight, links });
+
+          advance = line.size * lineHeight;
+          lastLineSize = line.size;
+          height += advance;
+          width = Math.max(width, line.width + indent);
+          lineCount++;
+        }
+
+        if (overflow) {
+          break;
+        }
       }
 
-      const imageBytes = await fs.readFile(imagePath);
-      
-      let image;
-      const ext = imagePath.toLowerCase().split('.').pop();
-      
-      if (ext === 'png') {
-        image = await this.document.embedPng(imageBytes);
-      } else if (ext === 'jpg' || ext === 'jpeg') {
-        image = await this.document.embedJpg(imageBytes);
-      } else {
-        throw new Error(`Unsupported image format: ${ext}`);
+      this.warnMissingGlyphs(missing, baseStyle.chain);
+
+      return {
+        width,
+        height,
+        lines: lineCount,
+        startPageIndex,
+        pages: this.currentPageIndex - startPageIndex + 1,
+        pagesAdded,
+        nextY: baseline - advance,
+        bottom: baseline - lastLineSize * (lineHeight - 1),
+        overflow,
+        links,
+        font: settings.font,
+        size
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to add rich text: ${error.message}`);
+    }
+  }
+
+  /**
+   * Height and line count `addRichText` would use with the same options, without drawing
+   */
+  async measureRichText(content, options = {}) {
+    try {
+      const { settings, entries } = await this.layoutRichText(content, options);
+      const lines = entries.flatMap(entry => entry.lines);
+      const spacing = entries.reduce((total, entry) => total + entry.spacing, 0);
+
+      return {
+        width: Math.max(0, ...entries.flatMap(entry => entry.lines.map(line => line.width + entry.indent))),
+        height: spacing + lines.reduce((total, line) => total + line.size * settings.lineHeight, 0),
+        lines: lines.length
+      };
+
+    } catch (error) {
+      throw new Error(`Failed to measure rich text: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resolves options, embeds the fonts the runs need and wraps every block into lines.
+   * Each entry carries its list marker, indent and the spacing that goes above it.
+   */
+  async layoutRichText(content, options) {
+    const safeArea = this.getSafeArea();
+    const {
+      x = safeArea.x,
+      size = 12,
+      y = safeArea.y + safeArea.height - size,
+      maxWidth = safeArea.x + safeArea.width - x,
+      font = 'Helvetica',
+      color = '#000000',
+      align = 'left',
+      lineHeight = 1.2,
+      paragraphSpacing = size * 0.6,
+      listItemSpacing = size * 0.25,
+      listIndent = size * 1.5
+    } = options;
+
+    if (!TEXT_ALIGNMENTS.includes(align)) {
+      throw new Error(`Invalid alignment '${align}' (use ${TEXT_ALIGNMENTS.join(', ')})`);
+    }
+
+    const blocks = normalizeRichText(content);
+    const missing = new Set();
+    const fontChains = await this.loadRichTextFonts(blocks, font);
+    const baseStyle = { chain: fontChains.get(font), size, color: this.parseColor(color) };
+
+    const entries = [];
+    let listNumber = 0;
+    let previousType = null;
+
+    for (const block of blocks) {
+      const isListItem = block.type !== 'paragraph';
+      const indent = isListItem ? listIndent : 0;
+      const available = maxWidth - indent;
+      const items = this.tokenizeRichText(block.runs, { fontChains, font, size, color, missing });
+      const lines = this.wrapRichTextLines(items, available, missing).map(line => ({
+        ...line,
+        size: Math.max(...line.pieces.map(piece => piece.size), line.pieces.length ? 0 : size)
+      }));
+
+      if (block.type === 'numbered') {
+        listNumber = previousType === 'numbered' ? listNumber + 1 : (block.number ?? 1);
+      }
+
+      let spacing = 0;
+      if (previousType) {
+        spacing = isListItem && previousType !== 'paragraph' ? listItemSpacing : paragraphSpacing;
+      }
+      previousType = block.type;
+
+      const marker = block.type === 'bullet' ? BULLET_MARKER : block.type === 'numbered' ? `${listNumber}.` : null;
+      entries.push({ marker, indent, available, spacing, lines });
+    }
+
+    return {
+      settings: { x, y, maxWidth, size, font, align, lineHeight },
+      entries,
+      baseStyle,
+      missing
+    };
+  }
+
+  /**
+   * Bold/italic variant of a font: the standard 14 have their own, registered custom fonts
+   * are looked up as `${fontName}-Bold`, `-Italic` and `-BoldItalic`.
+   */
+  getFontVariant(fontName, { bold = false, italic = false } = {}) {
+    if (!bold && !italic) {
+      return fontName;
+    }
+
+    const variant = bold && italic ? 'boldItalic' : bold ? 'bold' : 'italic';
+    const standardVariants = STANDARD_FONT_VARIANTS[fontName];
+    if (standardVariants) {
+      return standardVariants[variant];
+    }
+
+    const variantName = `${fontName}-${variant === 'boldItalic' ? 'BoldItalic' : variant === 'bold' ? 'Bold' : 'Italic'}`;
+    if (this.customFonts[variantName]) {
+      return variantName;
+    }
+
+    if (!this.missingVariants.has(variantName)) {
+      this.missingVariants.add(variantName);
+      console.warn(`Font variant '${variantName}' is not registered; using '${fontName}'`);
+    }
+    return fontName;
+  }
+
+  async loadRichTextFonts(blocks, baseFont) {
+    const textByFont = new Map([[baseFont, `${BULLET_MARKER}0123456789.`]]);
+
+    for (const run of blocks.flatMap(block => block.runs)) {
+      const fontName = this.getFontVariant(run.font || baseFont, run);
+      textByFont.set(fontName, (textByFont.get(fontName) || '') + run.text);
+    }
+
+    const fontChains = new Map();
+    for (const [fontName, text] of textByFont) {
+      fontChains.set(fontName, await this.loadFontChain(fontName, text));
+    }
+    return fontChains;
+  }
+
+  /**
+   * Splits runs into words, spaces and hard line breaks. Words touching across runs
+   * ("**bold**text") are grouped so wrapping never separates them.
+   */
+  tokenizeRichText(runs, { fontChains, font, size, color, missing }) {
+    const items = [];
+
+    for (const run of runs) {
+      const style = {
+        chain: fontChains.get(this.getFontVariant(run.font || font, run)),
+        size: run.size || size,
+        color: this.parseColor(run.color || color),
+        underline: !!run.underline,
+        link: run.url || (run.page !== undefined && run.page !== null)
+          ? { url: run.url, page: run.page }
+          : null
+      };
+
+      for (const segment of run.text.split(/(\n|[ \t]+)/)) {
+        if (!segment) {
+          continue;
+        }
+
+        if (segment === '\n') {
+          items.push({ kind: 'break' });
+        } else if (!segment.trim()) {
+          items.push({ kind: 'space', piece: this.createRichTextPiece(' ', style, missing) });
+        } else {
+          const piece = this.createRichTextPiece(segment, style, missing);
+          const lastItem = items[items.length - 1];
+          if (lastItem?.kind === 'word') {
+            lastItem.pieces.push(piece);
+            lastItem.width += piece.width;
+          } else {
+            items.push({ kind: 'word', pieces: [piece], width: piece.width });
+          }
+        }
+      }
+    }
+
+    return items;
+  }
+
+  createRichTextPiece(text, style, missing) {
+    const runs = this.splitTextRuns(text, style.chain, missing);
+    return { ...style, text, runs, width: this.widthOfRuns(runs, style.size) };
+  }
+
+  /**
+   * Greedy line breaking. Words wider than the line are broken between characters.
+   */
+  wrapRichTextLines(items, available, missing) {
+    const lines = [];
+    const queue = [...items];
+    let line = { pieces: [], width: 0, spaces: 0 };
+    let pendingSpace = null;
+
+    const finishLine = (hardBreak) => {
+      lines.push({ ...line, hardBreak });
+      line = { pieces: [], width: 0, spaces: 0 };
+      pendingSpace = null;
+    };
+
+    while (queue.length) {
+      const item = queue.shift();
+
+      if (item.kind === 'break') {
+        finishLine(true);
+        continue;
+      }
+
+      if (item.kind === 'space') {
+        if (line.pieces.length) {
+          pendingSpace = item.piece;
+        }
+        continue;
       }
 
+      const spaceWidth = pendingSpace ? pendingSpace.width : 0;
+      if (line.pieces.length && line.width + spaceWidth + item.width > available) {
+        finishLine(false);
+      }
+
+      if (!line.pieces.length && item.width > available && item.pieces.some(piece => [...piece.text].length > 1)) {
+        const chunks = [];
+        for (const piece of item.pieces) {
+          for (const char of piece.text) {
+            const charPiece = this.createRichTextPiece(char, piece, missing);
+            let chunk = chunks[chunks.length - 1];
+            if (!chunk || chunk.width + charPiece.width > available) {
+              chunk = { kind: 'word', pieces: [], width: 0 };
+              chunks.push(chunk);
+            }
+
+            const lastPiece = chunk.pieces[chunk.pieces.length - 1];
+            if (lastPiece?.source === piece) {
+              chunk.pieces[chunk.pieces.length - 1] = { ...this.createRichTextPiece(lastPiece.text + char, piece, missing), source: piece };
+            } else {
+              chunk.pieces.push({ ...charPiece, source: piece });
+            }
+            chunk.width += charPiece.width;
+          }
+        }
+        queue.unshift(...chunks.flatMap((chunk, index) => index ? [{ kind: 'break' }, chunk] : [chunk]));
+        continue;
+      }
+
+      if (pendingSpace) {
+        line.pieces.push({ ...pendingSpace, isSpace: true });
+        line.width += pendingSpace.width;
+        line.spaces++;
+        pendingSpace = null;
+      }
+
+      line.pieces.push(...item.pieces);
+      line.width += item.width;
+    }
+
+    finishLine(true);
+    return lines;
+  }
+
+  drawRichTextLine(line, { x, y, available, align, lineHeight, links }) {
+    const slack = Math.max(0, available - line.width);
+    const justify = align === 'justify' && !line.hardBreak && line.spaces > 0;
+    const extraSpace = justify ? slack / line.spaces : 0;
+    const offsets = { left: 0, center: slack / 2, right: slack, justify: 0 };
+
+    let cursorX = x + offsets[align];
+
+    for (const piece of line.pieces) {
+      const pieceWidth = piece.width + (piece.isSpace ? extraSpace : 0);
+
+      if (!piece.isSpace) {
+        this.drawTextRuns(piece.runs, { x: cursorX, y, size: piece.size, color: piece.color });
+      }
+
+      if (piece.underline) {
+        this.currentPage.drawLine({
+          start: { x: cursorX, y: y - piece.size * 0.12 },
+          end: { x: cursorX + pieceWidth, y: y - piece.size * 0.12 },
+          thickness: Math.max(0.5, piece.size * 0.06),
+          color: piece.color
+        });
+      }
+
+      if (piece.link) {
+        const lastLink = links[links.length - 1];
+        const isContinuation = lastLink && lastLink.url === piece.link.url && lastLink.page === piece.link.page &&
+          lastLink.pageIndex === this.currentPageIndex && Math.abs(lastLink.x + lastLink.width - cursorX) < 0.01;
+
+        if (isContinuation) {
+          lastLink.width += pieceWidth;
+          lastLink.height = Math.max(lastLink.height, piece.size * lineHeight);
+        } else {
+          links.push({
+            ...piece.link,
+            pageIndex: this.currentPageIndex,
+            x: cursorX,
+            y: y - piece.size * 0.25,
+            width: pieceWidth,
+            height: piece.size * lineHeight
+          });
+        }
+      }
+
+      cursorX += pieceWidth;
+    }
+  }
+
+  async addImage(imagePath, options = {}) {
+    if (!this.currentPage) {
+      throw new Error('No current page. Add a page first.');
+    }
+
+    try {
+      const image = await this.embedImage(imagePath);
       const imageDims = image.size();
       
       let { x = 100, y = 600, width, height } = options;
@@ -206,6 +641,35 @@ export class PDFCreator {
     }
   }
 
+  /**
+   * Embeds each image file once; later calls (and layout code measuring the image
+   * before placing it) get the same PDFImage back
+   */
+  async embedImage(imagePath, bytes = null) {
+    if (this.embeddedImages.has(imagePath)) {
+      return this.embeddedImages.get(imagePath);
+    }
+
+    if (!bytes && !await fs.pathExists(imagePath)) {
+      throw new Error(`Image not found: ${imagePath}`);
+    }
+
+    const imageBytes = bytes || await fs.readFile(imagePath);
+    const ext = imagePath.toLowerCase().split('.').pop();
+    let image;
+
+    if (ext === 'png') {
+      image = await this.document.embedPng(imageBytes);
+    } else if (ext === 'jpg' || ext === 'jpeg') {
+      image = await this.document.embedJpg(imageBytes);
+    } else {
+      throw new Error(`Unsupported image format: ${ext}`);
+    }
+
+    this.embeddedImages.set(imagePath, image);
+    return image;
+  }
+
   drawRectangle(options = {}) {
     if (!this.currentPage) {
       throw new Error('No current page. Add a page first.');
@@ -278,14 +742,62 @@ export class PDFCreator {
     }
   }
 
-  async loadFont(fontName) {
-    if (this.loadedFonts[fontName]) {
-      return this.loadedFonts[fontName];
+  /**
+   * Register a TrueType/OpenType font so its name can be used anywhere a font name is
+   * accepted (addText, buttons, links, form fields). `source` is a file path or a buffer.
+   * Fonts are embedded on first use and subset to the glyphs used when the PDF is saved.
+   */
+  registerFont(fontName, source) {
+    if (!fontName || !source) {
+      throw new Error('Font name and font file (path or buffer) are required');
+    }
+
+    this.customFonts[fontName] = { source };
+    delete this.loadedFonts[fontName];
+    delete this.loadedFonts[`${fontName}#full`];
+
+    console.log(`Font registered: ${fontName}`);
+    return this;
+  }
+
+  /**
+   * Fonts tried, in order, for characters the requested font has no glyph for
+   * (e.g. a Noto font for emoji or non-Latin scripts)
+   */
+  setFallbackFonts(fontNames = []) {
+    this.fallbackFonts = [...fontNames];
+    return this;
+  }
+
+  getRegisteredFonts() {
+    return {
+      standard: Object.values(FONTS),
+      custom: Object.keys(this.customFonts),
+      fallbacks: [...this.fallbackFonts]
+    };
+  }
+
+  /**
+   * `subset: false` embeds the whole font - needed for form fields, where the
+   * viewer draws whatever the user types with the embedded font.
+   */
+  async loadFont(fontName, { subset = true } = {}) {
+    const cacheKey = this.customFonts[fontName] && !subset ? `${fontName}#full` : fontName;
+
+    if (this.loadedFonts[cacheKey]) {
+      return this.loadedFonts[cacheKey];
     }
 
     try {
       let font;
       
+      if (this.customFonts[fontName]) {
+        font = await this.embedCustomFont(this.customFonts[fontName], subset);
+        this.loadedFonts[cacheKey] = font;
+        this.stats.fontsLoaded++;
+        return font;
+      }
+      
       switch (fontName) {
         case FONTS.HELVETICA:
           font = await this.document.embedFont(StandardFonts.Helvetica);
@@ -338,6 +850,148 @@ export class PDFCreator {
     }
   }
 
+  async embedCustomFont(customFont, subset) {
+    const fontBytes = await this.readCustomFont(customFont);
+
+    // Templates replace this.document after construction, so register on every embed
+    this.document.registerFontkit(fontkit);
+    return await this.document.embedFont(fontBytes, { subset });
+  }
+
+  async readCustomFont(customFont) {
+    if (!customFont.bytes) {
+      const { source } = customFont;
+
+      if (typeof source === 'string' && !await fs.pathExists(source)) {
+        throw new Error(`Font file not found: ${source}`);
+      }
+      customFont.bytes = typeof source === 'string' ? await fs.readFile(source) : source;
+    }
+    return customFont.bytes;
+  }
+
+  /**
+   * The requested font followed by the fallback fonts, ending with Helvetica.
+   * Only fonts that `text` actually needs are embedded; coverage of the others is read
+   * from the font file so unused fallbacks never end up in the PDF.
+   */
+  async loadFontChain(fontName, text = '', options = {}) {
+    const fontNames = [...new Set([fontName, ...this.fallbackFonts, FONTS.HELVETICA])];
+    const chain = [];
+
+    for (const name of fontNames) {
+      chain.push({ name, font: null, characters: await this.getFontCharacters(name) });
+    }
+
+    const needed = new Set([chain[0]]);
+    for (const char of text) {
+      const entry = chain.find(({ characters }) => characters.has(char.codePointAt(0)));
+      if (entry) needed.add(entry);
+    }
+    for (const entry of needed) {
+      entry.font = await this.loadFont(entry.name, options);
+    }
+
+    return chain;
+  }
+
+  async getFontCharacters(fontName) {
+    const customFont = this.customFonts[fontName];
+
+    if (!customFont) {
+      const font = await this.loadFont(fontName);
+      if (!this.characterSets.has(font)) {
+        this.characterSets.set(font, new Set(font.getCharacterSet()));
+      }
+      return this.characterSets.get(font);
+    }
+
+    if (!customFont.characters) {
+      try {
+        customFont.characters = new Set(fontkit.create(await this.readCustomFont(customFont)).characterSet);
+      } catch (error) {
+        throw new Error(`Failed to read font '${fontName}': ${error.message}`);
+      }
+    }
+    return customFont.characters;
+  }
+
+  /**
+   * Splits text into runs, each drawn with the first font in the chain that has its characters.
+   * Characters no font has become '?' in the requested font and are added to `missing`.
+   */
+  splitTextRuns(text, fontChain, missing = new Set()) {
+    const runs = [];
+
+    for (const char of text) {
+      let entry = fontChain.find(({ characters }) => characters.has(char.codePointAt(0)));
+      let drawnChar = char;
+
+      if (!entry) {
+        missing.add(char);
+        entry = fontChain[0];
+        drawnChar = entry.characters.has(REPLACEMENT_CHARACTER.codePointAt(0)) ? REPLACEMENT_CHARACTER : '';
+      }
+
+      const lastRun = runs[runs.length - 1];
+      if (lastRun && lastRun.font === entry.font) {
+        lastRun.text += drawnChar;
+      } else {
+        runs.push({ text: drawnChar, font: entry.font, fontName: entry.name });
+      }
+    }
+
+    return runs.filter(run => run.text);
+  }
+
+  widthOfRuns(runs, size) {
+    return runs.reduce((width, run) => width + run.font.widthOfTextAtSize(run.text, size), 0);
+  }
+
+  // `rotate` (degrees, about x/y) turns the whole line, so each run starts further along the baseline
+  drawTextRuns(runs, { x, y, size, color, opacity, rotate = 0 }) {
+    const radians = rotate * Math.PI / 180;
+    let advance = 0;
+
+    for (const run of runs) {
+      this.currentPage.drawText(run.text, {
+        x: x + advance * Math.cos(radians),
+        y: y + advance * Math.sin(radians),
+        size, font: run.font, color, opacity,
+        rotate: rotate ? degrees(rotate) : undefined
+      });
+      advance += run.font.widthOfTextAtSize(run.text, size);
+    }
+
+    return advance;
+  }
+
+  warnMissingGlyphs(missing, fontChain) {
+    if (missing.size > 0) {
+      const chainNames = fontChain.map(({ name }) => name).join(' → ');
+      console.warn(`No glyph for ${[...missing].join(' ')} in ${chainNames}; replaced with '${REPLACEMENT_CHARACTER}'. Register a font that covers them with registerFont() / setFallbackFonts().`);
+    }
+  }
+
+  /**
+   * For single-font contexts (button captions, form fields): the first font in the chain
+   * that has every character of `text`, or the requested font with missing characters replaced.
+   */
+  async resolveFont(text, fontName, options = {}) {
+    const fontChain = await this.loadFontChain(fontName);
+    const characters = [...(text || '')];
+    const covering = fontChain.find(entry => characters.every(char => entry.characters.has(char.codePointAt(0))));
+
+    if (covering) {
+      return { font: await this.loadFont(covering.name, options), fontName: covering.name, text };
+    }
+
+    const missing = new Set();
+    const safeText = this.splitTextRuns(text, fontChain.slice(0, 1), missing).map(run => run.text).join('');
+    this.warnMissingGlyphs(missing, fontChain);
+    return { font: await this.loadFont(fontChain[0].name, options), fontName: fontChain[0].name, text: safeText };
+  }
+
   async preloadStandardFonts() {
     const fontsToLoad = [
       FONTS.HELVETICA,
@@ -396,6 +1050,103 @@ export class PDFCreator {
     };
   }
 
+  /**
+   * New page the size of the current one, inserted straight after it so any template
+   * pages that follow keep their order
+   */
+  addContinuationPage() {
+    try {
+      const { width, height } = this.currentPage.getSize();
+      const pageIndex = this.currentPageIndex + 1;
+      const page = this.document.insertPage(pageIndex, [width, height]);
+
+      this.moveOpenLayers(page);
+      this.currentPage = page;
+      this.currentPageIndex = pageIndex;
+      this.stats.pageCount++;
+
+      console.log(`Continuation page added: ${width}x${height} (page ${pageIndex + 1})`);
+      return page;
+
+    } catch (error) {
+      throw new Error(`Failed to add continuation page: ${error.message}`);
+    }
+  }
+
+  /**
+   * Runs `draw` with `page` as the current page, writing into a content stream of its own
+   * (placed under the existing content with `under`). Returns the stream's ref and the page
+   * resources the drawing added, so generation-time overlays such as headers and watermarks
+   * can be removed without a trace and redrawn when the PDF is saved again.
+   */
+  async drawOverlay(page, pageIndex, draw, options = {}) {
+    const { under = false } = options;
+    const { currentPage, currentPageIndex } = this;
+    const pageStream = [page.contentStream, page.contentStreamRef];
+    // pdf-lib adds fonts and graphics states under new resource names each time it draws
+    const resourcesBefore = this.pageResourceNames(page);
+
+    page.contentStream = undefined;
+    page.contentStreamRef = undefined;
+    this.currentPage = page;
+    this.currentPageIndex = pageIndex;
+
+    try {
+      await draw(page);
+
+      const overlayRef = page.contentStreamRef;
+      if (overlayRef && under) {
+        const contents = page.node.Contents();
+        contents.remove(contents.indexOf(overlayRef));
+        contents.insert(0, overlayRef);
+      }
+
+      const resources = [...this.pageResourceNames(page)]
+        .filter(([key]) => !resourcesBefore.has(key))
+        .map(([, entry]) => entry);
+      return { ref: overlayRef ?? null, resources };
+
+    } finally {
+      [page.contentStream, page.contentStreamRef] = pageStream;
+      this.currentPage = currentPage;
+      this.currentPageIndex = currentPageIndex;
+    }
+  }
+
+  removeOverlay(page, overlay) {
+    const { ref, resources } = overlay;
+    const contents = page.node.Contents();
+    const index = ref ? contents?.indexOf(ref) : undefined;
+
+    if (index !== undefined && index >= 0) {
+      contents.remove(index);
+    }
+    if (ref) {
+      this.document.context.delete(ref);
+    }
+
+    const pageResources = page.node.normalizedEntries().Resources;
+    for (const [category, name] of resources) {
+      pageResources.lookupMaybe(PDFName.of(category), PDFDict)?.delete(PDFName.of(name));
+    }
+  }
+
+  // [category, name] of every named page resource (Font, ExtGState, XObject, ...), keyed 'category/name'
+  pageResourceNames(page) {
+    const names = new Map();
+
+    for (const [category, entries] of page.node.normalizedEntries().Resources.entries()) {
+      const dict = page.node.context.lookup(entries);
+      if (dict instanceof PDFDict) {
+        for (const name of dict.keys()) {
+          names.set(`${category.decodeText()}/${name.decodeText()}`, [category.decodeText(), name.decodeText()]);
+        }
+      }
+    }
+
+    return names;
+  }
+
   setCurrentPage(pageNumber) {
     const totalPages = this.document.getPageCount();
     
@@ -404,10 +1155,67 @@ export class PDFCreator {
     }
 
     const pageIndex = pageNumber - 1;
+    this.moveOpenLayers(this.document.getPage(pageIndex));
     this.currentPage = this.document.getPage(pageIndex);
     this.currentPageIndex = pageIndex;
   }
 
+  /**
+   * Marks everything drawn from here on as content of an optional content group
+   * (`layer` carries its ref and resource name) until endLayerContent(). Open layers
+   * follow the current page, closing on the old page and reopening on the new one.
+   */
+  beginLayerContent(layer) {
+    if (!this.currentPage) {
+      throw new Error('No current page. Add a page first.');
+    }
+
+    this.openLayers.push(layer);
+    this.markLayerContent(this.currentPage, layer);
+  }
+
+  endLayerContent() {
+    const layer = this.openLayers.pop();
+
+    if (!layer) {
+      throw new Error('No layer is open');
+    }
+
+    this.currentPage.pushOperators(endMarkedContent());
+    return layer;
+  }
+
+  markLayerContent(page, { ref, resourceName }) {
+    page.node.normalize();
+    const resources = page.node.normalizedEntries().Resources;
+    let properties = resources.lookupMaybe(PDFName.of('Properties'), PDFDict);
+
+    if (!properties) {
+      properties = this.document.context.obj({});
+      resources.set(PDFName.of('Properties'), properties);
+    }
+    properties.set(PDFName.of(resourceName), ref);
+
+    page.pushOperators(PDFOperator.of(PDFOperatorNames.BeginMarkedContentSequence, [
+      PDFName.of('OC'),
+      PDFName.of(resourceName)
+    ]));
+  }
+
+  // Called before the current page changes so each page's marked content stays balanced
+  moveOpenLayers(page) {
+    if (this.openLayers.length === 0 || page === this.currentPage) {
+      return;
+    }
+
+    if (this.currentPage) {
+      this.currentPage.pushOperators(...this.openLayers.map(() => endMarkedContent()));
+    }
+    for (const layer of this.openLayers) {
+      this.markLayerContent(page, layer);
+    }
+  }
+
   getDocumentStats() {
     return {
       pageCount: this.document ? this.document.getPageCount() : 0,
@@ -0,0 +1,293 @@
+/**
+ * PDF Encryption - Standard security handler (password + permission flags) for finished PDF bytes
+ *
+ * Options: { userPassword: '', ownerPassword, algorithm: 'aes-256' | 'aes-128',
+ *            permissions: { print: true, copy: false, modify: false, fillForms: true } }
+ * userPassword opens the document ('' opens it without asking, with the permissions enforced);
+ * ownerPassword lifts the permissions and is random when left out, so they can't be lifted at all.
+ * aes-256 is PDF 2.0 / Acrobat X+ (V5 R6); aes-128 (V4 R4) suits older readers but only takes Latin-1 passwords.
+ */
+
+import { PDFDocument, PDFDict, PDFArray, PDFString, PDFHexString, PDFRawStream } from 'pdf-lib';
+import crypto from 'crypto';
+
+export const ENCRYPTION_ALGORITHMS = ['aes-256', 'aes-128'];
+
+// Permission name → bit positions in /P (1-based, as numbered in the PDF spec)
+export const PERMISSION_FLAGS = {
+  print: [3, 12],
+  modify: [4, 6, 11],
+  copy: [5],
+  fillForms: [9]
+};
+
+export const DEFAULT_PERMISSIONS = { print: true, copy: false, modify: false, fillForms: true };
+
+// Bits 7-8 and 13-32 must be set; bit 10 (text extraction for accessibility) is always allowed
+const REQUIRED_BITS = [7, 8, 10, ...Array.from({ length: 20 }, (_, index) => index + 13)];
+
+const PASSWORD_PADDING = Buffer.from(
+  '28bf4e5e4e758a4164004e56fffa01082e2e00b6d0683e802f0ca9fe6453697a', 'hex'
+);
+
+export function normalizeEncryptionOptions(options) {
+  const {
+    userPassword = '',
+    ownerPassword = null,
+    algorithm = 'aes-256',
+    permissions = {}
+  } = options;
+
+  if (!ENCRYPTION_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Invalid encryption algorithm '${algorithm}' (use ${ENCRYPTION_ALGORITHMS.join(' or ')})`);
+  }
+
+  const unknown = Object.keys(permissions).filter(name => !(name in PERMISSION_FLAGS));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown permission ${unknown.join(', ')} (use ${Object.keys(PERMISSION_FLAGS).join(', ')})`);
+  }
+
+  if (ownerPassword && ownerPassword === userPassword) {
+    console.warn('Owner and user passwords are the same - anyone who can open the PDF can lift its permissions');
+  }
+
+  return {
+    userPassword: String(userPassword),
+    ownerPassword: ownerPassword ? String(ownerPassword) : crypto.randomBytes(24).toString('base64'),
+    algorithm,
+    permissions: { ...DEFAULT_PERMISSIONS, ...permissions }
+  };
+}
+
+/**
+ * The /P value: required bits plus the allowed permissions, as a signed 32-bit integer
+ */
+export function permissionValue(permissions) {
+  const bits = [...REQUIRED_BITS];
+
+  for (const [name, flagBits] of Object.entries(PERMISSION_FLAGS)) {
+    if (permissions[name]) {
+      bits.push(...flagBits);
+    }
+  }
+
+  return bits.reduce((value, bit) => value | (1 << (bit - 1)), 0);
+}
+
+/**
+ * Encrypts every string and stream of a saved PDF and adds the /Encrypt dictionary.
+ * Works on a fresh copy of the bytes, so the generator's document stays editable.
+ */
+export async function encryptPDF(pdfBytes, options = {}) {
+  const settings = normalizeEncryptionOptions(options);
+  const document = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+  const { context } = document;
+
+  if (document.isEncrypted) {
+    throw new Error('PDF is already encrypted');
+  }
+
+  const fileId = crypto.randomBytes(16);
+  const permissions = permissionValue(settings.permissions);
+  const handler = settings.algorithm === 'aes-256'
+    ? createAes256Handler(settings, permissions)
+    : createAes128Handler(settings, permissions, fileId);
+
+  for (const [ref, object] of context.enumerateIndirectObjects()) {
+    const encrypt = (bytes) => handler.encrypt(bytes, ref);
+
+    if (object instanceof PDFRawStream) {
+      encryptStrings(object.dict, encrypt);
+      object.contents = encrypt(object.contents);
+    } else {
+      encryptStrings(object, encrypt);
+    }
+  }
+
+  context.trailerInfo.Encrypt = context.register(context.obj(handler.dictionary));
+  context.trailerInfo.ID = context.obj([PDFHexString.of(fileId.toString('hex')), PDFHexString.of(fileId.toString('hex'))]);
+
+  // Object streams would be written after encryption and leave their contents in the clear
+  return document.save({ useObjectStreams: false, addDefaultPage: false, updateFieldAppearances: false });
+}
+
+function encryptStrings(object, encrypt) {
+  const encryptValue = (value) => value instanceof PDFString || value instanceof PDFHexString
+    ? PDFHexString.of(Buffer.from(encrypt(value.asBytes())).toString('hex'))
+    : (encryptStrings(value, encrypt), value);
+
+  if (object instanceof PDFDict) {
+    for (const [key, value] of object.entries()) {
+      object.set(key, encryptValue(value));
+    }
+  } else if (object instanceof PDFArray) {
+    for (let index = 0; index < object.size(); index++) {
+      object.set(index, encryptValue(object.get(index)));
+    }
+  }
+}
+
+/**
+ * V5 R6: one random 256-bit file key, wrapped once per password (ISO 32000-2, 7.6.4.4)
+ */
+function createAes256Handler({ userPassword, ownerPassword }, permissions) {
+  const fileKey = crypto.randomBytes(32);
+  const user = utf8Password(userPassword);
+  const owner = utf8Password(ownerPassword);
+
+  const [userValidationSalt, userKeySalt, ownerValidationSalt, ownerKeySalt] =
+    Array.from({ length: 4 }, () => crypto.randomBytes(8));
+
+  const U = Buffer.concat([hashR6(user, userValidationSalt), userValidationSalt, userKeySalt]);
+  const UE = aesNoPadding('aes-256-cbc', hashR6(user, userKeySalt), fileKey);
+  const O = Buffer.concat([hashR6(owner, ownerValidationSalt, U), ownerValidationSalt, ownerKeySalt]);
+  const OE = aesNoPadding('aes-256-cbc', hashR6(owner, ownerKeySalt, U), fileKey);
+
+  const perms = Buffer.alloc(16);
+  perms.writeInt32LE(permissions, 0);
+  perms.fill(0xff, 4, 8);
+  perms.write('Tadb', 8, 'latin1');
+  crypto.randomBytes(4).copy(perms, 12);
+
+  return {
+    encrypt: (bytes) => aesWithIv('aes-256-cbc', fileKey, bytes),
+    dictionary: {
+      Filter: 'Standard',
+      V: 5,
+      R: 6,
+      Length: 256,
+      CF: { StdCF: { AuthEvent: 'DocOpen', CFM: 'AESV3', Length: 32 } },
+      StmF: 'StdCF',
+      StrF: 'StdCF',
+      O: hexString(O),
+      U: hexString(U),
+      OE: hexString(OE),
+      UE: hexString(UE),
+      P: permissions,
+      Perms: hexString(aesNoPadding('aes-256-ecb', fileKey, perms)),
+      EncryptMetadata: true
+    }
+  };
+}
+
+// Algorithm 2.B: SHA-256 seed, then at least 64 rounds of AES-128 + SHA-2 picked by the output
+function hashR6(password, salt, userKey = Buffer.alloc(0)) {
+  let key = crypto.createHash('sha256').update(Buffer.concat([password, salt, userKey])).digest();
+  let encrypted = Buffer.alloc(1);
+
+  for (let round = 0; round < 64 || encrypted[encrypted.length - 1] > round - 32; round++) {
+    const block = Buffer.concat([password, key, userKey]);
+    const cipher = crypto.createCipheriv('aes-128-cbc', key.subarray(0, 16), key.subarray(16, 32)).setAutoPadding(false);
+    encrypted = Buffer.concat([cipher.update(Buffer.concat(Array(64).fill(block))), cipher.final()]);
+
+    const remainder = encrypted.subarray(0, 16).reduce((sum, byte) => sum + byte, 0) % 3;
+    key = crypto.createHash(['sha256', 'sha384', 'sha512'][remainder]).update(encrypted).digest();
+  }
+
+  return key.subarray(0, 32);
+}
+
+/**
+ * V4 R4: MD5/RC4 password hashing with AES-128 per-object keys (ISO 32000-1, 7.6.3)
+ */
+function createAes128Handler({ userPassword, ownerPassword }, permissions, fileId) {
+  const user = paddedPassword(userPassword);
+  const owner = paddedPassword(ownerPassword);
+
+  // Algorithm 3: the owner entry is the user password, RC4-encrypted with a key from the owner password
+  let ownerKey = md5(owner);
+  for (let i = 0; i < 50; i++) ownerKey = md5(ownerKey);
+  const O = rc4Rounds(ownerKey, user);
+
+  // Algorithm 2: the file key
+  const permissionBytes = Buffer.alloc(4);
+  permissionBytes.writeInt32LE(permissions, 0);
+  let fileKey = md5(Buffer.concat([user, O, permissionBytes, fileId]));
+  for (let i = 0; i < 50; i++) fileKey = md5(fileKey);
+
+  // Algorithm 5: the user entry proves the password without revealing it
+  const U = Buffer.concat([rc4Rounds(fileKey, md5(Buffer.concat([PASSWORD_PADDING, fileId]))), Buffer.alloc(16)]);
+
+  return {
+    encrypt: (bytes, ref) => {
+      const objectKey = md5(Buffer.concat([
+        fileKey,
+        Buffer.from([ref.objectNumber & 0xff, (ref.objectNumber >> 8) & 0xff, (ref.objectNumber >> 16) & 0xff]),
+        Buffer.from([ref.generationNumber & 0xff, (ref.generationNumber >> 8) & 0xff]),
+        Buffer.from('sAlT', 'latin1')
+      ]));
+      return aesWithIv('aes-128-cbc', objectKey, bytes);
+    },
+    dictionary: {
+      Filter: 'Standard',
+      V: 4,
+      R: 4,
+      Length: 128,
+      CF: { StdCF: { AuthEvent: 'DocOpen', CFM: 'AESV2', Length: 16 } },
+      StmF: 'StdCF',
+      StrF: 'StdCF',
+      O: hexString(O),
+      U: hexString(U),
+      P: permissions,
+      EncryptMetadata: true
+    }
+  };
+}
+
+// RC4 with the key, then 19 more passes with each key byte XORed with the pass number
+function rc4Rounds(key, data) {
+  let result = rc4(key, data);
+  for (let i = 1; i <= 19; i++) {
+    result = rc4(key.map(byte => byte ^ i), result);
+  }
+  return result;
+}
+
+// RC4 is gone from OpenSSL 3's default provider, and R4 only needs it for the password entries
+function rc4(key, data) {
+  const state = Array.from({ length: 256 }, (_, index) => index);
+  for (let i = 0, j = 0; i < 256; i++) {
+    j = (j + state[i] + key[i % key.length]) & 0xff;
+    [state[i], state[j]] = [state[j], state[i]];
+  }
+
+  const output = Buffer.alloc(data.length);
+  for (let n = 0, i = 0, j = 0; n < data.length; n++) {
+    i = (i + 1) & 0xff;
+    j = (j + state[i]) & 0xff;
+    [state[i], state[j]] = [state[j], state[i]];
+    output[n] = data[n] ^ state[(state[i] + state[j]) & 0xff];
+  }
+  return output;
+}
+
+function paddedPassword(password) {
+  if (/[^\u0000-\u00FF]/.test(password)) {
+    throw new Error('aes-128 passwords can only use Latin-1 characters (use aes-256)');
+  }
+  return Buffer.concat([Buffer.from(password, 'latin1'), PASSWORD_PADDING]).subarray(0, 32);
+}
+
+function utf8Password(password) {
+  return Buffer.from(password.normalize('NFKC'), 'utf8').subarray(0, 127);
+}
+
+// Strings and streams are stored as a random IV followed by the PKCS#7-padded ciphertext
+function aesWithIv(algorithm, key, bytes) {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv(algorithm, key, iv);
+  return new Uint8Array(Buffer.concat([iv, cipher.update(bytes), cipher.final()]));
+}
+
+function aesNoPadding(algorithm, key, bytes) {
+  const cipher = crypto.createCipheriv(algorithm, key, algorithm.endsWith('ecb') ? null : Buffer.alloc(16)).setAutoPadding(false);
+  return Buffer.concat([cipher.update(bytes), cipher.final()]);
+}
+
+function md5(bytes) {
+  return crypto.createHash('md5').update(bytes).digest();
+}
+
+function hexString(bytes) {
+  return PDFHexString.of(bytes.toString('hex'));
+}
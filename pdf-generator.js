@@ -7,8 +7,27 @@
 import { PDFCreator } from './pdf-creator.js';
 import { InteractiveElements } from './interactive-elements.js';
 import { MediaEmbedder } from './media-embedder.js';
+import { HeaderFooter } from './header-footer.js';
+import { Watermarks } from './watermarks.js';
+import { Layers, LAYER_ACTIONS } from './layers.js';
+import {
+  appendDocument,
+  selectPages,
+  reorderDocumentPages,
+  rotateDocumentPages,
+  deleteDocumentPages,
+  splitDocument
+} from './page-operations.js';
+import { encryptPDF, DEFAULT_PERMISSIONS } from './pdf-encryption.js';
+import { signPDF, verifyPDFSignatures } from './pdf-signature.js';
+import { FlowLayout } from './flow-layout.js';
+import { Quiz } from './quiz.js';
+import { writeOutline, writePageLabels, outlineFromHeadings } from './document-outline.js';
+import { normalizeRichText } from './rich-text.js';
+import { describeFormFields, toCSV } from './form-data-extractor.js';
+import { loadMergeData, fillPlaceholders, hasPlaceholders, formatFilename } from './mail-merge.js';
 import { validateConfig, DEFAULT_CONFIG } from './config.js';
-import { PDFDocument } from 'pdf-lib';
+import { PDFDocument, PDFName, PDFDict, PDFString, PDFHexString } from 'pdf-lib';
 import fs from 'fs-extra';
 import path from 'path';
 
@@ -19,9 +38,17 @@ export class PDFGenerator {
     this.pdfCreator = new PDFCreator(this.config);
     this.interactiveElements = null;
     this.mediaEmbedder = null;
+    this.headerFooter = null;
+    this.watermarks = null;
+    this.layers = null;
+    this.stampData = {};
     
     this.isTemplateLoaded = false;
     this.templatePath = null;
+
+    this.outline = null;
+    this.pageLabels = null;
+    this.headings = [];
     
     this.isInitialized = false;
     this.generationStats = {
@@ -49,6 +76,9 @@ export class PDFGenerator {
       
       this.interactiveElements = new InteractiveElements(this.pdfCreator);
       this.mediaEmbedder = new MediaEmbedder(this.pdfCreator);
+      this.headerFooter = new HeaderFooter(this.pdfCreator);
+      this.watermarks = new Watermarks(this.pdfCreator);
+      this.layers = new Layers(this.pdfCreator);
       
       if (documentOptions.title) this.config.pdf.title = documentOptions.title;
       if (documentOptions.author) this.config.pdf.author = documentOptions.author;
@@ -129,9 +159,7 @@ export class PDFGenerator {
       throw new Error(`Page number ${pageNumber} out of range (1-${maxPages})`);
     }
     
-    const pageIndex = pageNumber - 1;
-    this.pdfCreator.currentPage = this.pdfCreator.document.getPage(pageIndex);
-    this.pdfCreator.currentPageIndex = pageIndex;
+    this.pdfCreator.setCurrentPage(pageNumber);
     
     console.log(`Current page set to: ${pageNumber}${this.isTemplateLoaded ? ' (template page)' : ''}`);
     return this;
@@ -147,18 +175,302 @@ export class PDFGenerator {
       path: this.templatePath,
       pages: this.pdfCreator.document.getPageCount(),
       currentPage: this.pdfCreator.currentPageIndex + 1,
-      filename: path.basename(this.templatePath)
+      filename: path.basename(this.templatePath),
+      fields: describeFormFields(this.pdfCreator.document)
     };
   }
 
+  /**
+   * Sets existing form fields by name, e.g. { learnerName: 'Ana', agreed: true, level: 'B' }.
+   * Unknown names and values a field can't take are logged and skipped; `strict` throws instead.
+   */
+  fillForm(data = {}, options = {}) {
+    this.validateInitialized();
+
+    const { strict = false } = options;
+    const { filled, skipped } = this.interactiveElements.fillFormFields(data);
+
+    if (skipped.length > 0) {
+      const details = skipped.map(({ name, reason }) => `${name} (${reason})`).join(', ');
+      if (strict) {
+        throw new Error(`Failed to fill form: ${details}`);
+      }
+      console.warn(`Form fields skipped: ${details}`);
+    }
+
+    console.log(`BUILD: Form filled (${filled.length}/${Object.keys(data).length} fields)`);
+    return this;
+  }
+
+  /**
+   * Bakes every form field's current appearance into the page content and removes the fields
+   */
+  async flatten() {
+    this.validateInitialized();
+
+    try {
+      const form = this.pdfCreator.document.getForm();
+      const fieldCount = form.getFields().length;
+
+      await this.interactiveElements.applyFieldFonts();
+      form.flatten();
+
+      console.log(`BUILD: Form flattened (${fieldCount} fields)`);
+      return this;
+
+    } catch (error) {
+      throw new Error(`Failed to flatten form: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fills {{placeholder}} tokens already in the template: text field values and link URIs
+   */
+  mergeTemplatePlaceholders(row, options = {}) {
+    this.validateInitialized();
+
+    const { missing = new Set() } = options;
+    const fieldValues = {};
+
+    for (const field of describeFormFields(this.pdfCreator.document)) {
+      if (field.type === 'text' && hasPlaceholders(field.value)) {
+        fieldValues[field.name] = fillPlaceholders(field.value, row, { missing });
+      }
+    }
+
+    let links = 0;
+    for (const page of this.pdfCreator.document.getPages()) {
+      const annotations = page.node.Annots()?.asArray() || [];
+
+      for (const ref of annotations) {
+        const action = page.node.context.lookupMaybe(ref, PDFDict)?.lookupMaybe(PDFName.of('A'), PDFDict);
+        const uri = action?.lookup(PDFName.of('URI'));
+
+        if ((uri instanceof PDFString || uri instanceof PDFHexString) && hasPlaceholders(uri.decodeText())) {
+          action.set(PDFName.of('URI'), PDFString.of(fillPlaceholders(uri.decodeText(), row, { missing, encodeForUrl: true })));
+          links++;
+        }
+      }
+    }
+
+    if (Object.keys(fieldValues).length > 0) {
+      this.fillForm(fieldValues);
+    }
+
+    console.log(`BUILD: Template placeholders merged (${Object.keys(fieldValues).length} fields, ${links} links)`);
+    return this;
+  }
+
+  /**
+   * Bookmarks shown in the viewer's outline panel, e.g.
+   * [{ title: 'Unit 1', page: 2, children: [{ title: 'Vocabulary', page: 3 }] }] (see document-outline.js).
+   * Pass 'headings' to build it from text added with a `heading` level (1 = top) instead.
+   */
+  setOutline(items) {
+    if (items !== 'headings' && !Array.isArray(items)) {
+      throw new Error("Outline must be an array of items or 'headings'");
+    }
+
+    this.outline = items;
+    return this;
+  }
+
+  /**
+   * Page numbers shown by viewers, e.g. [{ page: 1, style: 'roman' }, { page: 5, style: 'decimal' },
+   * { page: 38, style: 'decimal', prefix: 'A-' }]. Each range runs until the next one starts.
+   */
+  setPageLabels(ranges) {
+    if (!Array.isArray(ranges)) {
+      throw new Error('Page labels must be an array of ranges');
+    }
+
+    this.pageLabels = ranges;
+    return this;
+  }
+
+  /**
+   * Repeating text for every page, e.g. { left: '{title}', right: 'Page {page} of {pages}', first: false }.
+   * Drawn when the PDF is generated, so it covers template pages and pages added later (see header-footer.js).
+   */
+  setHeader(definition) {
+    this.validateInitialized();
+    this.headerFooter.set('header', definition);
+    return this;
+  }
+
+  setFooter(definition) {
+    this.validateInitialized();
+    this.headerFooter.set('footer', definition);
+    return this;
+  }
+
+  async applyHeaderFooter() {
+    if (!this.headerFooter.hasContent()) {
+      return;
+    }
+
+    try {
+      const pages = await this.headerFooter.apply({ title: this.config.pdf.title || '' });
+      console.log(`BUILD: Headers/footers drawn on ${pages} page(s)`);
+
+    } catch (error) {
+      throw new Error(`Failed to draw headers/footers: ${error.message}`);
+    }
+  }
+
+  /**
+   * Text or image mark on every page (or `pages`), e.g. { text: 'DRAFT', tile: true, pages: '2-' }.
+   * Drawn at generation time like headers; see watermarks.js for rotation, opacity, tiling and layers.
+   */
+  addWatermark(definition) {
+    this.validateInitialized();
+
+    try {
+      const mark = this.watermarks.add(definition);
+      console.log(`DESIGN: Watermark added (${mark.text ? `"${mark.text}"` : path.basename(mark.image)}, pages: ${mark.pages})`);
+      return this;
+
+    } catch (error) {
+      throw new Error(`Failed to add watermark: ${error.message}`);
+    }
+  }
+
+  /**
+   * Small personalised line such as 'Licensed to {{name}} – {{email}}', filled from setStampData()
+   * or the `stampData` option of generate()/generateBuffer() so one document can be stamped per buyer
+   */
+  addStamp(definition) {
+    this.validateInitialized();
+
+    try {
+      const mark = this.watermarks.add(definition, { stamp: true });
+      console.log(`DESIGN: Stamp added ("${mark.text}", pages: ${mark.pages})`);
+      return this;
+
+    } catch (error) {
+      throw new Error(`Failed to add stamp: ${error.message}`);
+    }
+  }
+
+  /**
+   * Named optional content group (see layers.js). Content goes on it between beginLayer()
+   * and endLayer() or through an addContent item's `layer`; buttons and links can
+   * toggleLayer / showLayer / hideLayer it.
+   */
+  addLayer(name, options = {}) {
+    this.validateInitialized();
+
+    try {
+      const layer = this.layers.define(name, options);
+      const state = layer.visible ? 'visible' : 'hidden';
+      const print = layer.print === undefined ? '' : layer.print ? ', printed' : ', not printed';
+      console.log(`DESIGN: Layer added - ${name} (${state}${print}${layer.locked ? ', locked' : ''})`);
+      return this;
+
+    } catch (error) {
+      throw new Error(`Failed to add layer: ${error.message}`);
+    }
+  }
+
+  beginLayer(name) {
+    this.validateInitialized();
+
+    try {
+      this.layers.begin(name);
+      return this;
+
+    } catch (error) {
+      throw new Error(`Failed to begin layer: ${error.message}`);
+    }
+  }
+
+  endLayer() {
+    this.validateInitialized();
+
+    try {
+      const { name, annotations } = this.layers.end();
+      const assigned = annotations > 0 ? ` (${annotations} annotation(s) assigned)` : '';
+      console.log(`DESIGN: Layer ${name} closed${assigned}`);
+      return this;
+
+    } catch (error) {
+      throw new Error(`Failed to end layer: ${error.message}`);
+    }
+  }
+
+  setStampData(data = {}) {
+    this.stampData = data;
+    return this;
+  }
+
+  async applyWatermarks(stampData) {
+    if (!this.watermarks.hasContent()) {
+      return;
+    }
+
+    try {
+      const { drawn, missing } = await this.watermarks.apply(stampData);
+      if (missing.length > 0) {
+        console.warn(`Stamp data has no value for ${missing.join(', ')}`);
+      }
+      console.log(`BUILD: Watermarks drawn (${drawn} page marks)`);
+
+    } catch (error) {
+      throw new Error(`Failed to draw watermarks: ${error.message}`);
+    }
+  }
+
+  recordHeading(content, options) {
+    const { heading, size = 12, y, outlineTitle } = options;
+    if (!heading) {
+      return;
+    }
+
+    if (!Number.isInteger(heading) || heading < 1) {
+      throw new Error(`Heading level must be a positive integer (got ${heading})`);
+    }
+
+    const title = outlineTitle || (typeof content === 'string' && !options.markdown
+      ? content
+      : normalizeRichText(content).map(block => block.runs.map(run => run.text).join('')).join(' '));
+
+    this.headings.push({
+      title: title.replace(/\s+/g, ' ').trim(),
+      level: heading,
+      page: this.pdfCreator.currentPageIndex + 1,
+      y: y + size
+    });
+  }
+
+  // Outline and page labels go into the catalog at save time, once every page exists
+  writeNavigation() {
+    const document = this.pdfCreator.document;
+
+    if (this.outline) {
+      const items = this.outline === 'headings' ? outlineFromHeadings(this.headings) : this.outline;
+      const count = writeOutline(document, items);
+      console.log(`BUILD: Outline written (${count} bookmarks)`);
+    }
+
+    if (this.pageLabels) {
+      const count = writePageLabels(document, this.pageLabels);
+      console.log(`BUILD: Page labels written (${count} ranges)`);
+    }
+  }
+
   async addText(text, options = {}) {
     this.validateInitialized();
+
+    if (Array.isArray(text) || options.markdown) {
+      return await this.addRichText(text, options);
+    }
     
     if (!text || typeof text !== 'string') {
       throw new Error('Text content is required and must be a string');
     }
 
     try {
+      this.recordHeading(text, { y: 750, ...options });
       const result = await this.pdfCreator.addText(text, options);
       const pageInfo = this.isTemplateLoaded ? ` on template page ${this.pdfCreator.currentPageIndex + 1}` : '';
       console.log(`BUILD: Text added${pageInfo} (${result.lines} lines, ${result.width}x${result.height})`);
@@ -169,6 +481,52 @@ export class PDFGenerator {
     }
   }
 
+  /**
+   * Styled text block (markdown-ish string or run/block array) that continues onto new
+   * pages past the bottom margin. Link runs become link annotations on whichever page they land.
+   */
+  async addRichText(content, options = {}) {
+    this.validateInitialized();
+
+    try {
+      await this.placeRichText(content, options);
+      return this;
+
+    } catch (error) {
+      throw new Error(`Failed to add rich text: ${error.message}`);
+    }
+  }
+
+  // Same as addRichText but returns the layout result, for callers that place content after the text
+  async placeRichText(content, options = {}) {
+    const safeArea = this.pdfCreator.getSafeArea();
+    this.recordHeading(content, { y: safeArea.y + safeArea.height - (options.size ?? 12), ...options });
+    const result = await this.pdfCreator.addRichText(content, options);
+    this.generationStats.pages += result.pagesAdded;
+
+    const { currentPage, currentPageIndex } = this.pdfCreator;
+    try {
+      for (const { pageIndex, ...link } of result.links) {
+        this.pdfCreator.currentPage = this.pdfCreator.document.getPage(pageIndex);
+        this.pdfCreator.currentPageIndex = pageIndex;
+        this.interactiveElements.createLinkAnnotation({ ...link, highlight: options.linkHighlight || 'invert' });
+      }
+    } finally {
+      this.pdfCreator.currentPage = currentPage;
+      this.pdfCreator.currentPageIndex = currentPageIndex;
+    }
+    this.generationStats.elements += result.links.length;
+
+    const pageInfo = this.isTemplateLoaded ? ` on template page ${result.startPageIndex + 1}` : '';
+    const continued = result.pages > 1 ? `, continued over ${result.pages - 1} more page(s)` : '';
+    console.log(`BUILD: Rich text added${pageInfo} (${result.lines} lines, ${result.links.length} links${continued})`);
+    if (result.overflow) {
+      console.warn('Rich text did not fit on the page and continueOnNewPage is off; the rest was dropped');
+    }
+
+    return result;
+  }
+
   async addImage(imagePath, options = {}) {
     this.validateInitialized();
     
@@ -183,6 +541,32 @@ export class PDFGenerator {
     }
   }
 
+  addRectangle(options = {}) {
+    this.validateInitialized();
+
+    try {
+      const { width, height } = this.pdfCreator.drawRectangle(options);
+      console.log(`DESIGN: Rectangle added (${width}x${height})`);
+      return this;
+
+    } catch (error) {
+      throw new Error(`Failed to add rectangle: ${error.message}`);
+    }
+  }
+
+  addLine(options = {}) {
+    this.validateInitialized();
+
+    try {
+      const { start, end } = this.pdfCreator.drawLine(options);
+      console.log(`DESIGN: Line added (${start.x},${start.y} to ${end.x},${end.y})`);
+      return this;
+
+    } catch (error) {
+      throw new Error(`Failed to add line: ${error.message}`);
+    }
+  }
+
   async addMedia(mediaPath, options = {}) {
     this.validateInitialized();
     
@@ -201,6 +585,8 @@ export class PDFGenerator {
   async addAudioButton(options = {}) {
     this.validateInitialized();
     
+    const isRemoteAudio = /^https?:\/\//i.test(options.audioUrl || '');
+
     const audioOptions = {
       text: options.text || 'Play Audio',
       x: options.x || 100,
@@ -209,7 +595,9 @@ export class PDFGenerator {
       height: options.height || 30,
       backgroundColor: options.backgroundColor || '#28A745',
       fontColor: options.fontColor || '#FFFFFF',
-      action: `app.alert('Audio: ${options.audioUrl || 'No URL provided'}');`,
+      // Remote audio opens in the viewer's browser; local paths can only be announced
+      url: isRemoteAudio ? options.audioUrl : null,
+      action: isRemoteAudio ? '' : `app.alert(${JSON.stringify(`Audio: ${options.audioUrl || 'No URL provided'}`)});`,
       audioUrl: options.audioUrl
     };
 
@@ -290,11 +678,59 @@ export class PDFGenerator {
     }
   }
 
+  /**
+   * Self-scoring quiz (see quiz.js) from `y` (its top edge) down, continuing on new pages
+   */
+  async addQuiz(definition) {
+    this.validateInitialized();
+
+    try {
+      await this.placeQuiz(definition);
+      return this;
+
+    } catch (error) {
+      throw new Error(`Failed to add quiz: ${error.message}`);
+    }
+  }
+
+  // Same as addQuiz but returns where the quiz ended, for the flow layout
+  async placeQuiz(definition, options = {}) {
+    if (!this.pdfCreator.currentPage) {
+      throw new Error('No current page. Add a page first.');
+    }
+
+    const elementCount = this.interactiveElements.elements.length;
+    const result = await new Quiz(this).add(definition, options);
+    // The quiz's own entry isn't a form element
+    this.generationStats.elements += this.interactiveElements.elements.length - elementCount - 1;
+    this.generationStats.pages += result.pagesAdded;
+
+    const pageInfo = this.isTemplateLoaded ? ` on template page ${result.pageIndex + 1}` : '';
+    const answerKey = result.answerKey ? ', with answer key' : '';
+    console.log(`BUILD: Quiz added${pageInfo} - ${result.name} (${result.questions} questions, ${result.points} points${answerKey})`);
+    return result;
+  }
+
+  async addSignatureField(options = {}) {
+    this.validateInitialized();
+    
+    try {
+      const signatureField = await this.interactiveElements.addSignatureField(options);
+      this.generationStats.elements++;
+      const pageInfo = this.isTemplateLoaded ? ` on template page ${this.pdfCreator.currentPageIndex + 1}` : '';
+      console.log(`BUILD: Signature field added${pageInfo} - ${signatureField.getName()}`);
+      return this;
+      
+    } catch (error) {
+      throw new Error(`Failed to add signature field: ${error.message}`);
+    }
+  }
+
   async addButton(options = {}) {
     this.validateInitialized();
     
     try {
-      const button = await this.interactiveElements.addButton(options);
+      const button = await this.interactiveElements.addButton(this.withLayerAction(this.withPageTarget(options)));
       this.generationStats.elements++;
       const pageInfo = this.isTemplateLoaded ? ` on template page ${this.pdfCreator.currentPageIndex + 1}` : '';
       console.log(`BUILD: Button added${pageInfo} - ${button.name}`);
@@ -309,10 +745,10 @@ export class PDFGenerator {
     this.validateInitialized();
     
     try {
-      const link = await this.interactiveElements.addLink(options);
+      const link = await this.interactiveElements.addLink(this.withLayerAction(this.withPageTarget(options)));
       this.generationStats.elements++;
       const pageInfo = this.isTemplateLoaded ? ` on template page ${this.pdfCreator.currentPageIndex + 1}` : '';
-      console.log(`BUILD: Link added${pageInfo} - ${link.url}`);
+      console.log(`BUILD: Link added${pageInfo} - ${link.url || `page ${link.page}`}`);
       return this;
       
     } catch (error) {
@@ -320,6 +756,245 @@ export class PDFGenerator {
     }
   }
 
+  /**
+   * Table-of-contents style link to another page: a page number or 'next' | 'previous' | 'first' | 'last'
+   */
+  async addPageLink(targetPage, options = {}) {
+    return await this.addLink({ ...options, page: targetPage });
+  }
+
+  // Builder elements carry their jump target as `targetPage`; the PDF layer calls it `page`
+  withPageTarget(options) {
+    const { targetPage, ...rest } = options;
+    return targetPage === undefined || targetPage === null ? rest : { ...rest, page: targetPage };
+  }
+
+  // toggleLayer / showLayer / hideLayer become a SetOCGState action
+  withLayerAction(options) {
+    const action = this.layers.action(options);
+    const rest = Object.fromEntries(Object.entries(options).filter(([key]) => !(key in LAYER_ACTIONS)));
+    return action ? { ...rest, action } : rest;
+  }
+
+  /**
+   * Copies pages of another PDF (path or bytes) into this document, keeping its links and form
+   * fields. Options: pages (range, default all), at (1-based position, default the end),
+   * title (adds an outline entry for the first copied page) and name (used in logs).
+   */
+  async appendPDF(source, options = {}) {
+    this.validateInitialized();
+
+    const { pages = 'all', at = null, title = null, name = typeof source === 'string' ? path.basename(source) : 'PDF' } = options;
+
+    try {
+      const bytes = typeof source === 'string' ? await fs.readFile(source) : source;
+      const sourceDocument = await PDFDocument.load(bytes);
+      const pageCount = this.pdfCreator.document.getPageCount();
+      const insertAt = at === null ? pageCount : at - 1;
+
+      if (!Number.isInteger(insertAt) || insertAt < 0 || insertAt > pageCount) {
+        throw new Error(`Insert position ${at} out of range (1-${pageCount + 1})`);
+      }
+
+      const result = await appendDocument(this.pdfCreator.document, sourceDocument, { pages, at: insertAt });
+      this.generationStats.pages += result.pages;
+
+      if (insertAt < pageCount) {
+        this.remapPages(Array.from({ length: pageCount }, (_, index) => index < insertAt ? index : index + result.pages));
+      }
+      if (!this.pdfCreator.currentPage) {
+        this.pdfCreator.setCurrentPage(result.firstPage);
+      }
+
+      if (title && this.outline === 'headings') {
+        console.warn(`Outline is built from headings; title '${title}' not added`);
+      } else if (title) {
+        this.outline = [...(this.outline || []), { title, page: result.firstPage }];
+      }
+
+      for (const { from, to } of result.renamedFields) {
+        console.warn(`Field '${from}' from ${name} renamed to '${to}' (name already used)`);
+      }
+      if (result.droppedLinks > 0) {
+        console.warn(`${result.droppedLinks} link(s) in ${name} pointed to pages that were not copied and were removed`);
+      }
+
+      console.log(`BUILD: Appended ${result.pages} page(s) from ${name} at page ${result.firstPage}`);
+      return this;
+
+    } catch (error) {
+      throw new Error(`Failed to append PDF: ${error.message}`);
+    }
+  }
+
+  /**
+   * New generator holding `sources` one after another. Each source is a path, bytes, or
+   * { path | data, pages, title, name }; with `outline: true` every source gets a bookmark.
+   */
+  static async mergePDFs(sources, options = {}) {
+    const { config = {}, outline = false } = options;
+
+    if (!Array.isArray(sources) || sources.length === 0) {
+      throw new Error('Merging needs at least one source PDF');
+    }
+
+    const generator = new PDFGenerator(config);
+    await generator.initialize();
+
+    for (const entry of sources) {
+      const { path: sourcePath, data, ...sourceOptions } = typeof entry === 'string' ? { path: entry }
+        : entry instanceof Uint8Array ? { data: entry } : entry;
+      const name = sourceOptions.name ?? (sourcePath ? path.basename(sourcePath) : undefined);
+      const title = sourceOptions.title ?? (outline && name ? name.replace(/\.pdf$/i, '') : null);
+
+      await generator.appendPDF(data ?? sourcePath, { ...sourceOptions, name, title });
+    }
+
+    console.log(`BUILD: Merged ${sources.length} PDFs (${generator.pdfCreator.document.getPageCount()} pages)`);
+    return generator;
+  }
+
+  /**
+   * New page order as 1-based page numbers, every page once, e.g. [2, 1, 3]
+   */
+  reorderPages(order) {
+    this.validateInitialized();
+
+    try {
+      this.remapPages(reorderDocumentPages(this.pdfCreator.document, order));
+      console.log(`DESIGN: Pages reordered (${order.join(', ')})`);
+      return this;
+
+    } catch (error) {
+      throw new Error(`Failed to reorder pages: ${error.message}`);
+    }
+  }
+
+  rotatePages(pages, angle) {
+    this.validateInitialized();
+
+    try {
+      const pageNumbers = selectPages(pages, this.pdfCreator.document.getPageCount());
+      rotateDocumentPages(this.pdfCreator.document, pageNumbers, angle);
+      console.log(`DESIGN: Rotated ${pageNumbers.length} page(s) by ${angle}°`);
+      return this;
+
+    } catch (error) {
+      throw new Error(`Failed to rotate pages: ${error.message}`);
+    }
+  }
+
+  /**
+   * Removes pages along with form fields that only appear on them
+   */
+  deletePages(pages) {
+    this.validateInitialized();
+
+    try {
+      const document = this.pdfCreator.document;
+      const pageNumbers = selectPages(pages, document.getPageCount());
+
+      this.remapPages(deleteDocumentPages(document, pageNumbers));
+      this.generationStats.pages -= pageNumbers.length;
+
+      const remainingFields = new Set(document.getForm().getFields().map(field => field.ref.toString()));
+      this.interactiveElements.pendingFieldFonts = this.interactiveElements.pendingFieldFonts
+        .filter(({ field }) => remainingFields.has(field.ref.toString()));
+      this.interactiveElements.calculatedFields = this.interactiveElements.calculatedFields
+        .filter(({ field }) => remainingFields.has(field.ref.toString()));
+
+      console.log(`DESIGN: Deleted ${pageNumbers.length} page(s) (${document.getPageCount()} left)`);
+      return this;
+
+    } catch (error) {
+      throw new Error(`Failed to delete pages: ${error.message}`);
+    }
+  }
+
+  /**
+   * Page range of the finished document (headers, watermarks and all) as a new PDF buffer
+   */
+  async extractPages(pages) {
+    const [buffer] = await this.splitPages([pages]);
+    return buffer;
+  }
+
+  /**
+   * One PDF buffer per page range, e.g. ['1-4', '5-9', '10-'] for a document split into units
+   */
+  async splitPages(ranges) {
+    this.validateInitialized();
+
+    try {
+      // Encrypted bytes can't be reloaded, so only each extracted document is protected
+      return await splitDocument(await this.generateBuffer({ encryption: false }), ranges, {
+        title: this.config.pdf.title,
+        author: this.config.pdf.author,
+        subject: this.config.pdf.subject,
+        useObjectStreams: this.config.output.compress,
+        protect: (pdfBytes) => this.protectOutput(pdfBytes),
+        onPart: (pages, result) => console.log(`BUILD: Extracted ${result.pages} page(s) (${pages})`)
+      });
+
+    } catch (error) {
+      throw new Error(`Failed to extract pages: ${error.message}`);
+    }
+  }
+
+  /**
+   * Keeps page-indexed state (pending links, headings, outline, current page) on the same
+   * pages after they move. `mapping[oldIndex]` is the new index, or null for a deleted page.
+   */
+  remapPages(mapping) {
+    const newPage = (pageNumber) => mapping[pageNumber - 1] === null || mapping[pageNumber - 1] === undefined
+      ? null
+      : mapping[pageNumber - 1] + 1;
+    const elements = this.interactiveElements;
+
+    elements.pendingDestinations = elements.pendingDestinations.filter(entry => {
+      const sourcePage = newPage(entry.sourcePageIndex + 1);
+      if (sourcePage === null) {
+        return false;
+      }
+
+      entry.sourcePageIndex = sourcePage - 1;
+      if (typeof entry.target === 'number') {
+        const targetPage = newPage(entry.target);
+        if (targetPage === null) {
+          console.warn(`Link on page ${sourcePage} pointed to a deleted page and no longer goes anywhere`);
+          return false;
+        }
+        entry.target = targetPage;
+      }
+      return true;
+    });
+
+    elements.elements = elements.elements.filter(element => {
+      const page = newPage((element.pageIndex || 0) + 1);
+      element.pageIndex = page === null ? element.pageIndex : page - 1;
+      return page !== null;
+    });
+
+    this.headings = this.headings
+      .map(heading => ({ ...heading, page: newPage(heading.page) }))
+      .filter(heading => heading.page !== null);
+
+    if (Array.isArray(this.outline)) {
+      const remapOutline = (items) => items
+        .map(item => ({ ...item, page: newPage(item.page), children: remapOutline(item.children || []) }))
+        .filter(item => item.page !== null);
+      this.outline = remapOutline(this.outline);
+    }
+
+    const pages = this.pdfCreator.document.getPages();
+    const currentIndex = pages.indexOf(this.pdfCreator.currentPage);
+    if (currentIndex >= 0) {
+      this.pdfCreator.currentPageIndex = currentIndex;
+    } else if (pages.length > 0) {
+      this.pdfCreator.setCurrentPage(Math.min(this.pdfCreator.currentPageIndex + 1, pages.length));
+    }
+  }
+
   validateDocument() {
     this.validateInitialized();
     
@@ -357,9 +1032,12 @@ export class PDFGenerator {
         }
       });
 
-      const mediaStats = this.mediaEmbedder?.getMediaStats() || { totalSize: 0 };
+      const mediaStats = this.mediaEmbedder?.getMediaStats() || { totalSize: 0, sizeByType: {} };
       if (mediaStats.totalSize > this.config.media.maxFileSize * 10) {
-        validation.warnings.push(`Total media size may affect PDF performance: ${(mediaStats.totalSize / 1024 / 1024).toFixed(2)}MB`);
+        const breakdown = Object.entries(mediaStats.sizeByType)
+          .map(([type, size]) => `${type} ${(size / 1024 / 1024).toFixed(2)}MB`)
+          .join(', ');
+        validation.warnings.push(`Total media size may affect PDF performance: ${(mediaStats.totalSize / 1024 / 1024).toFixed(2)}MB (${breakdown})`);
       }
 
       const buttonCount = elementStats.byType?.button || 0;
@@ -392,6 +1070,7 @@ export class PDFGenerator {
     this.validateInitialized();
     
     try {
+      this.checkOutputSteps(options);
       const validation = this.validateDocument();
       
       if (!validation.isValid && this.config.validation.strictMode) {
@@ -414,12 +1093,21 @@ export class PDFGenerator {
         throw new Error(`Output file already exists: ${finalOutputPath}`);
       }
 
+      this.interactiveElements.resolveDestinations();
+      this.interactiveElements.resolveCalculationOrder();
+      await this.interactiveElements.applyFieldFonts();
+      await this.applyHeaderFooter();
+      await this.applyWatermarks(options.stampData ?? this.stampData);
+      this.writeNavigation();
+      this.layers.write();
+
       console.log(`INTEGRATE: Generating ${this.isTemplateLoaded ? 'enhanced template' : 'new'} PDF...`);
-      const pdfBytes = await this.pdfCreator.document.save({
+      const savedBytes = await this.pdfCreator.document.save({
         useObjectStreams: this.config.output.compress,
         addDefaultPage: false,
         objectsPerTick: 50
       });
+      const pdfBytes = await this.signOutput(await this.protectOutput(savedBytes, options.encryption), options.sign);
 
       await fs.writeFile(finalOutputPath, pdfBytes);
       
@@ -462,17 +1150,27 @@ export class PDFGenerator {
     this.validateInitialized();
     
     try {
+      this.checkOutputSteps(options);
       const validation = this.validateDocument();
       
       if (!validation.isValid && this.config.validation.strictMode) {
         throw new Error(`Document validation failed: ${validation.errors.join(', ')}`);
       }
 
+      this.interactiveElements.resolveDestinations();
+      this.interactiveElements.resolveCalculationOrder();
+      await this.interactiveElements.applyFieldFonts();
+      await this.applyHeaderFooter();
+      await this.applyWatermarks(options.stampData ?? this.stampData);
+      this.writeNavigation();
+      this.layers.write();
+
       console.log(`Generating ${this.isTemplateLoaded ? 'enhanced template' : 'new'} PDF buffer...`);
-      const pdfBytes = await this.pdfCreator.document.save({
+      const savedBytes = await this.pdfCreator.document.save({
         useObjectStreams: this.config.output.compress,
         addDefaultPage: false
       });
+      const pdfBytes = await this.signOutput(await this.protectOutput(savedBytes, options.encryption), options.sign);
 
       this.generationStats.endTime = new Date();
       this.generationStats.fileSize = pdfBytes.length;
@@ -485,10 +1183,77 @@ export class PDFGenerator {
     }
   }
 
+  /**
+   * Encrypts saved bytes with `output.encryption` (or a per-call override; false skips it)
+   */
+  /**
+   * Signing works on unencrypted bytes only, and encrypting a signed PDF would break the
+   * signature, so a signed document can't also be password protected
+   */
+  checkOutputSteps(options = {}) {
+    const encryption = options.encryption === undefined ? this.config.output.encryption : options.encryption;
+
+    if (options.sign && encryption) {
+      throw new Error('A PDF cannot be both signed and encrypted (drop output.encryption or pass encryption: false to sign)');
+    }
+  }
+
+  async protectOutput(pdfBytes, encryption = this.config.output.encryption) {
+    if (!encryption) {
+      return pdfBytes;
+    }
+
+    try {
+      const encrypted = await encryptPDF(pdfBytes, encryption);
+      const permissions = Object.entries({ ...DEFAULT_PERMISSIONS, ...encryption.permissions })
+        .filter(([, allowed]) => allowed)
+        .map(([name]) => name);
+
+      console.log(`INTEGRATE: PDF encrypted (${encryption.algorithm || 'aes-256'}, ${encryption.userPassword ? 'password to open' : 'no open password'}, allows: ${permissions.join(', ') || 'nothing'})`);
+      return encrypted;
+
+    } catch (error) {
+      throw new Error(`Failed to encrypt PDF: ${error.message}`);
+    }
+  }
+
+  /**
+   * Signs saved bytes as an incremental update. `signing` takes the pdf-signature.js options
+   * ({ p12, passphrase, field, reason, ... }); without it the bytes are returned as they are.
+   */
+  async signOutput(pdfBytes, signing) {
+    if (!signing) {
+      return pdfBytes;
+    }
+
+    try {
+      const signed = await signPDF(pdfBytes, signing);
+      console.log(`INTEGRATE: PDF signed (field ${signing.field || 'signature'})`);
+      return signed;
+
+    } catch (error) {
+      throw new Error(`Failed to sign PDF: ${error.message}`);
+    }
+  }
+
+  /**
+   * Signature report for a returned PDF (path or bytes): whether each signature is intact and
+   * whether anything was changed after it was applied
+   */
+  static async verifySignatures(source) {
+    try {
+      const bytes = typeof source === 'string' ? await fs.readFile(source) : source;
+      return await verifyPDFSignatures(bytes);
+
+    } catch (error) {
+      throw new Error(`Failed to verify signatures: ${error.message}`);
+    }
+  }
+
   getDocumentStatistics() {
     const baseStats = this.pdfCreator.getDocumentStats();
     const elementStats = this.interactiveElements?.getElementsStats() || { total: 0, byType: {}, byPage: {} };
-    const mediaStats = this.mediaEmbedder?.getMediaStats() || { total: 0, byType: {}, totalSize: 0 };
+    const mediaStats = this.mediaEmbedder?.getMediaStats() || { total: 0, byType: {}, totalSize: 0, sizeByType: {} };
 
     return {
       pages: this.isTemplateLoaded ? this.pdfCreator.document.getPageCount() : baseStats.pageCount,
@@ -498,6 +1263,8 @@ export class PDFGenerator {
       media: mediaStats.total,
       mediaByType: mediaStats.byType,
       mediaSizeMB: (mediaStats.totalSize / 1024 / 1024).toFixed(2),
+      mediaSizeByTypeMB: Object.fromEntries(Object.entries(mediaStats.sizeByType)
+        .map(([type, size]) => [type, (size / 1024 / 1024).toFixed(2)])),
       templateUsed: this.isTemplateLoaded,
       generationTime: this.generationStats.endTime ? 
                      `${this.generationStats.endTime - this.generationStats.startTime}ms` : 'In progress',
@@ -545,63 +1312,245 @@ export class PDFGenerator {
     return templates[templateName] || DEFAULT_CONFIG;
   }
 
-  async addContent(contentItems) {
+  /**
+   * Mail merge: one PDF per data row (CSV path, JSON path or array of objects). {{placeholders}}
+   * are filled in `config`, `content` and, with `templatePdf`, the template's text field values
+   * and link URIs. Each PDF is written to `outputDir`, uploaded through `storage` (a
+   * PDFStorageManager), or both; `manifestPath` (.json or .csv) records every row's outcome.
+   * Failed rows are reported in the results unless `stopOnError` is set.
+   */
+  static async generateBatch(options = {}) {
+    const {
+      config = {},
+      templatePdf = null,
+      content = [],
+      data,
+      filenamePattern = 'document-{{index}}',
+      outputDir = null,
+      layout = {},
+      flatten = false,
+      storage = null,
+      uploadOptions = {},
+      manifestPath = null,
+      stopOnError = false
+    } = options;
+
+    if (!outputDir && !storage) {
+      throw new Error('Batch generation needs an outputDir, a storage manager, or both');
+    }
+
+    const rows = await loadMergeData(data);
+    const usedNames = new Set();
+    const results = [];
+
+    console.log(`BUILD: Mail merge started (${rows.length} rows)`);
+
+    for (const [rowIndex, record] of rows.entries()) {
+      const row = { ...record, index: rowIndex + 1 };
+      const filename = formatFilename(filenamePattern, row, usedNames);
+      const missing = new Set();
+      const result = { index: row.index, filename, success: false, outputPath: null, url: null, cloudFilename: null, missing: [], error: null };
+
+      try {
+        const generator = new PDFGenerator(fillPlaceholders(config, row, { missing }));
+        await generator.initialize({ templatePdf });
+
+        if (templatePdf) {
+          generator.mergeTemplatePlaceholders(row, { missing });
+        }
+
+        const rowContent = fillPlaceholders(content, row, { missing });
+        if (!templatePdf && !rowContent.some(item => item.type === 'page')) {
+          generator.addPage();
+        }
+        if (rowContent.length > 0) {
+          await generator.addContent(rowContent, layout);
+        }
+        if (flatten) {
+          await generator.flatten();
+        }
+
+        if (outputDir) {
+          result.outputPath = (await generator.generate(path.join(outputDir, filename))).outputPath;
+        }
+        if (storage) {
+          // Upload the file just written rather than rendering the row a second time
+          const stored = result.outputPath
+            ? await storage.uploadExistingPdf(result.outputPath, filename, uploadOptions)
+            : await storage.processAndStore(generator, filename, uploadOptions);
+          result.cloudFilename = stored.cloudFilename;
+          result.url = stored.accessUrls.shareUrl;
+        }
+
+        result.success = true;
+        result.missing = [...missing];
+        if (missing.size > 0) {
+          console.warn(`Row ${row.index} (${filename}): no value for ${result.missing.join(', ')}`);
+        }
+
+      } catch (error) {
+        result.error = error.message;
+        console.error(`Row ${row.index} (${filename}) failed: ${error.message}`);
+        if (stopOnError) {
+          throw new Error(`Batch generation stopped at row ${row.index}: ${error.message}`);
+        }
+      }
+
+      results.push(result);
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+    const summary = {
+      total: rows.length,
+      succeeded,
+      failed: rows.length - succeeded,
+      manifestPath,
+      results
+    };
+
+    if (manifestPath) {
+      await PDFGenerator.writeBatchManifest(manifestPath, summary);
+    }
+
+    console.log(`BUILD: Mail merge complete (${succeeded}/${rows.length} PDFs)`);
+    return summary;
+  }
+
+  static async writeBatchManifest(manifestPath, summary) {
+    try {
+      await fs.ensureDir(path.dirname(manifestPath));
+
+      if (path.extname(manifestPath).toLowerCase() === '.csv') {
+        const columns = ['index', 'filename', 'success', 'outputPath', 'url', 'cloudFilename', 'missing', 'error'];
+        const rows = summary.results.map(result => ({ ...result, missing: result.missing.join(' ') }));
+        await fs.writeFile(manifestPath, toCSV(columns, rows));
+      } else {
+        await fs.writeJson(manifestPath, { generatedAt: new Date().toISOString(), ...summary }, { spaces: 2 });
+      }
+
+      console.log(`Batch manifest written: ${manifestPath}`);
+
+    } catch (error) {
+      throw new Error(`Failed to write batch manifest: ${error.message}`);
+    }
+  }
+
+  /**
+   * Adds items in order. Items need their own x/y unless `layout: 'flow'` is set, which
+   * stacks them inside the page margins (see flow-layout.js for columns, groups and spacing).
+   */
+  async addContent(contentItems, layoutOptions = {}) {
     this.validateInitialized();
     
     if (!Array.isArray(contentItems)) {
       throw new Error('Content items must be an array');
     }
 
+    if (layoutOptions.layout === 'flow') {
+      const flow = new FlowLayout(this, layoutOptions);
+      const { pages } = await flow.addItems(contentItems);
+      console.log(`Flow content added: ${contentItems.length} items over ${pages} page(s)`);
+      return this;
+    }
+
     for (const item of contentItems) {
-      const { type, ...options } = item;
-      
-      try {
-        switch (type) {
-          case 'page':
-            this.addPage(options);
-            break;
-          case 'text':
-            await this.addText(item.content || item.text, options);
-            break;
-          case 'image':
-            await this.addImage(item.path || item.src, options);
-            break;
-          case 'media':
-            await this.addMedia(item.path || item.src, options);
-            break;
-          case 'audioButton':
-            await this.addAudioButton(options);
-            break;
-          case 'textField':
-            this.addTextField(options);
-            break;
-          case 'checkbox':
-            this.addCheckbox(options);
-            break;
-          case 'dropdown':
-            this.addDropdown(options);
-            break;
-          case 'radioGroup':
-            this.addRadioGroup(options);
-            break;
-          case 'button':
-            await this.addButton(options);
-            break;
-          case 'link':
-            await this.addLink(options);
-            break;
-          default:
-            console.warn(`Unknown content type: ${type}`);
-        }
-      } catch (error) {
-        throw new Error(`Failed to add ${type}: ${error.message}`);
-      }
+      await this.addContentItem(item);
     }
 
     console.log(`Batch content added: ${contentItems.length} items`);
     return this;
   }
 
+  async addContentItem(item) {
+    if (item.layer) {
+      const { layer, ...rest } = item;
+      this.beginLayer(layer);
+      try {
+        await this.addContentItem(rest);
+      } finally {
+        this.endLayer();
+      }
+      return;
+    }
+
+    const { type, ...options } = item;
+
+    try {
+      switch (type) {
+        case 'page':
+          this.addPage(options);
+          break;
+        case 'text':
+          await this.addText(item.content || item.text, options);
+          break;
+        case 'richText':
+          await this.addRichText(item.content || item.text || item.runs || item.blocks, options);
+          break;
+        case 'image':
+          await this.addImage(item.path || item.src, options);
+          break;
+        case 'rectangle':
+          this.addRectangle(options);
+          break;
+        case 'line':
+          this.addLine(options);
+          break;
+        case 'media':
+          await this.addMedia(item.path || item.src, options);
+          break;
+        case 'audioButton':
+          await this.addAudioButton(options);
+          break;
+        case 'textField':
+          this.addTextField(options);
+          break;
+        case 'checkbox':
+          this.addCheckbox(options);
+          break;
+        case 'dropdown':
+          this.addDropdown(options);
+          break;
+        case 'radioGroup':
+          this.addRadioGroup(options);
+          break;
+        case 'signatureField':
+          await this.addSignatureField(options);
+          break;
+        case 'quiz':
+          await this.addQuiz(options);
+          break;
+        case 'button':
+          await this.addButton(options);
+          break;
+        case 'link':
+          await this.addLink(options);
+          break;
+        case 'pageLink':
+          await this.addPageLink(item.targetPage ?? item.page, options);
+          break;
+        case 'header':
+          this.setHeader(options);
+          break;
+        case 'footer':
+          this.setFooter(options);
+          break;
+        case 'watermark':
+          this.addWatermark(options);
+          break;
+        case 'stamp':
+          this.addStamp(options);
+          break;
+        case 'layer':
+          this.addLayer(item.name, options);
+          break;
+        default:
+          console.warn(`Unknown content type: ${type}`);
+      }
+    } catch (error) {
+      throw new Error(`Failed to add ${type}: ${error.message}`);
+    }
+  }
+
   validateInitialized() {
     if (!this.isInitialized) {
       throw new Error('PDF Generator not initialized. Call initialize() first.');
@@ -612,9 +1561,16 @@ export class PDFGenerator {
     this.pdfCreator = new PDFCreator(this.config);
     this.interactiveElements = null;
     this.mediaEmbedder = null;
+    this.headerFooter = null;
+    this.watermarks = null;
+    this.layers = null;
+    this.stampData = {};
     this.isInitialized = false;
     this.isTemplateLoaded = false;
     this.templatePath = null;
+    this.outline = null;
+    this.pageLabels = null;
+    this.headings = [];
     this.generationStats = {
       startTime: null,
       endTime: null,
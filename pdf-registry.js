@@ -0,0 +1,201 @@
+/**
+ * PDF Registry - Persistent metadata store for generated PDFs
+ * File-backed JSON store by default, S3/Wasabi object listing as an alternative
+ * Both stores share one interface: get, set, delete, list, count
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { ListObjectsV2Command, HeadObjectCommand } from '@aws-sdk/client-s3';
+
+export class FilePDFRegistry {
+  constructor(options = {}) {
+    this.filePath = options.filePath || './storage-logs/pdf-registry.json';
+    this.records = null;
+    this.loading = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async load() {
+    // Cache the promise, not the result, so concurrent first calls share one read
+    if (!this.loading) {
+      this.loading = this.readRecords();
+    }
+
+    this.records = await this.loading;
+    return this.records;
+  }
+
+  async readRecords() {
+    try {
+      if (await fs.pathExists(this.filePath)) {
+        const data = await fs.readJson(this.filePath);
+        return new Map(Object.entries(data.pdfs || {}));
+      }
+      return new Map();
+    } catch (error) {
+      this.loading = null;
+      throw new Error(`Failed to load PDF registry: ${error.message}`);
+    }
+  }
+
+  async persist() {
+    // Writes are chained so concurrent requests never interleave on disk;
+    // a failed write rejects its own caller but doesn't stop the writes queued after it
+    const run = this.writeQueue.then(async () => {
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.ensureDir(path.dirname(this.filePath));
+      await fs.writeJson(tempPath, {
+        updated: new Date(),
+        pdfs: Object.fromEntries(this.records)
+      }, { spaces: 2 });
+      await fs.move(tempPath, this.filePath, { overwrite: true });
+    });
+
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  async get(id) {
+    const records = await this.load();
+    return records.get(id) || null;
+  }
+
+  async set(id, pdfData) {
+    const records = await this.load();
+    records.set(id, pdfData);
+    await this.persist();
+    return pdfData;
+  }
+
+  async delete(id) {
+    const records = await this.load();
+    const existed = records.delete(id);
+    if (existed) {
+      await this.persist();
+    }
+    return existed;
+  }
+
+  async list({ offset = 0, limit = 20 } = {}) {
+    const records = await this.load();
+    const all = [...records.values()]
+      .sort((a, b) => new Date(b.created) - new Date(a.created));
+
+    return {
+      items: all.slice(offset, offset + limit),
+      total: all.length
+    };
+  }
+
+  async count() {
+    const records = await this.load();
+    return records.size;
+  }
+}
+
+export class S3PDFRegistry {
+  constructor(options = {}) {
+    if (!options.s3Client) {
+      throw new Error('S3 registry requires an s3Client');
+    }
+
+    this.s3Client = options.s3Client;
+    this.bucketName = options.bucketName;
+    this.prefix = options.prefix || '';
+  }
+
+  keyFor(id) {
+    return `${this.prefix}/${id}.pdf`;
+  }
+
+  // The object itself is the record, so writes happen at upload time via object metadata
+  async set(id, pdfData) {
+    return pdfData;
+  }
+
+  async delete(id) {
+    return true;
+  }
+
+  async get(id) {
+    try {
+      const head = await this.s3Client.send(new HeadObjectCommand({
+        Bucket: this.bucketName,
+        Key: this.keyFor(id)
+      }));
+
+      return this.toRecord(id, this.keyFor(id), head.ContentLength, head.LastModified, head.Metadata);
+
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+        return null;
+      }
+      throw new Error(`Failed to read PDF metadata: ${error.message}`);
+    }
+  }
+
+  async listAllObjects() {
+    const objects = [];
+    let continuationToken;
+
+    do {
+      const result = await this.s3Client.send(new ListObjectsV2Command({
+        Bucket: this.bucketName,
+        Prefix: `${this.prefix}/`,
+        ContinuationToken: continuationToken
+      }));
+
+      objects.push(...(result.Contents || []).filter(obj => obj.Key.endsWith('.pdf')));
+      continuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return objects;
+  }
+
+  async list({ offset = 0, limit = 20 } = {}) {
+    try {
+      const objects = (await this.listAllObjects())
+        .sort((a, b) => new Date(b.LastModified) - new Date(a.LastModified));
+
+      const items = await Promise.all(objects.slice(offset, offset + limit).map(async obj => {
+        const id = path.basename(obj.Key, '.pdf');
+        return await this.get(id) || this.toRecord(id, obj.Key, obj.Size, obj.LastModified, {});
+      }));
+
+      return { items, total: objects.length };
+
+    } catch (error) {
+      throw new Error(`Failed to list PDFs: ${error.message}`);
+    }
+  }
+
+  async count() {
+    return (await this.listAllObjects()).length;
+  }
+
+  toRecord(id, key, size, lastModified, metadata = {}) {
+    return {
+      id,
+      name: metadata['pdf-name'] ? decodeURIComponent(metadata['pdf-name']) : id,
+      filename: key,
+      created: metadata['upload-timestamp'] ? new Date(Number(metadata['upload-timestamp'])) : lastModified,
+      size,
+      elements: metadata.elements ? Number(metadata.elements) : null
+    };
+  }
+}
+
+export function createPDFRegistry(options = {}) {
+  const type = options.type || 'file';
+
+  switch (type) {
+    case 'file':
+      return new FilePDFRegistry(options);
+    case 's3':
+    case 'wasabi':
+      return new S3PDFRegistry(options);
+    default:
+      throw new Error(`Unknown PDF registry type: ${type}`);
+  }
+}
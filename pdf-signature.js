@@ -0,0 +1,479 @@
+/**
+ * PDF Signatures - PKCS#7 detached signatures from a local PKCS#12 (.p12/.pfx) file, and integrity checks
+ *
+ * Signing options: { p12: path | bytes, passphrase: '', field: 'signature', name, reason, location,
+ *                    contactInfo, signingTime: new Date(), reserve: 16384 }
+ * `field` is filled if the PDF has it (see addSignatureField); otherwise an invisible one is added to page 1.
+ * `name` defaults to the certificate's common name; `reserve` is the bytes kept for the signature.
+ * The signature is written as an incremental update, so the signed bytes and any earlier signatures
+ * stay untouched. Verification checks each signature against the bytes it covers and reports
+ * changes appended after signing; it does not check the certificate against a trust store.
+ */
+
+import {
+  PDFDocument,
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFRef,
+  PDFString,
+  PDFHexString,
+  PDFSignature,
+  PDFCrossRefStream,
+  StandardFonts,
+  rgb,
+  degrees,
+  drawRectangle,
+  drawText
+} from 'pdf-lib';
+import forge from 'node-forge';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+
+const BYTE_RANGE_PLACEHOLDER = 9999999999;
+
+const DIGEST_ALGORITHMS = {
+  '1.3.14.3.2.26': 'sha1',
+  '2.16.840.1.101.3.4.2.1': 'sha256',
+  '2.16.840.1.101.3.4.2.2': 'sha384',
+  '2.16.840.1.101.3.4.2.3': 'sha512'
+};
+
+export async function signPDF(pdfBytes, options = {}) {
+  const {
+    p12,
+    passphrase = '',
+    field: fieldName = 'signature',
+    name = null,
+    reason = null,
+    location = null,
+    contactInfo = null,
+    signingTime = new Date(),
+    reserve = 16384
+  } = options;
+
+  if (!p12) {
+    throw new Error('A PKCS#12 certificate file (p12) is required to sign');
+  }
+
+  const bytes = Buffer.from(pdfBytes);
+  const document = await PDFDocument.load(bytes, { ignoreEncryption: true, updateMetadata: false });
+
+  if (document.isEncrypted) {
+    throw new Error('Encrypted PDFs can\'t be signed - sign the unencrypted file (turn off output.encryption)');
+  }
+
+  const { key, certificate, chain } = await loadCertificate(p12, passphrase);
+  const signerName = name || certificate.subject.getField('CN')?.value || 'Unknown signer';
+  const previous = readLastCrossReference(bytes);
+  const { context, catalog } = document;
+
+  // Objects written by the signing pass must not reuse numbers of the original file
+  context.largestObjectNumber = Math.max(context.largestObjectNumber, previous.size - 1);
+
+  const form = document.getForm();
+  const changed = new Set([context.trailerInfo.Root]);
+  const { fieldDict, widgetDict, widgetRef } = findOrCreateSignatureField(document, fieldName, changed);
+
+  const signatureRef = context.register(context.obj({
+    Type: 'Sig',
+    Filter: 'Adobe.PPKLite',
+    SubFilter: 'adbe.pkcs7.detached',
+    ByteRange: [0, BYTE_RANGE_PLACEHOLDER, BYTE_RANGE_PLACEHOLDER, BYTE_RANGE_PLACEHOLDER],
+    Contents: PDFHexString.of('0'.repeat(reserve * 2)),
+    M: PDFString.fromDate(signingTime),
+    Name: PDFHexString.fromText(signerName),
+    Reason: reason ? PDFHexString.fromText(reason) : undefined,
+    Location: location ? PDFHexString.fromText(location) : undefined,
+    ContactInfo: contactInfo ? PDFHexString.fromText(contactInfo) : undefined
+  }));
+  fieldDict.set(PDFName.of('V'), signatureRef);
+  changed.add(signatureRef);
+
+  const rect = widgetDict.lookup(PDFName.of('Rect'), PDFArray).asRectangle();
+  if (rect.width > 0 && rect.height > 0) {
+    const appearanceRef = context.register(signedAppearance(context, rect, { signerName, signingTime, reason }));
+    widgetDict.set(PDFName.of('AP'), context.obj({ N: appearanceRef }));
+    changed.add(appearanceRef);
+    changed.add(widgetRef);
+  }
+
+  // SignaturesExist | AppendOnly: viewers must save later edits as incremental updates too
+  form.acroForm.dict.set(PDFName.of('SigFlags'), context.obj(3));
+  for (const entry of [catalog.get(PDFName.of('AcroForm')), form.acroForm.dict.get(PDFName.of('Fields'))]) {
+    if (entry instanceof PDFRef) changed.add(entry);
+  }
+
+  const signed = writeIncrementalUpdate(bytes, document, [...changed], previous);
+  fillSignature(signed, bytes.length, { key, certificate, chain, signingTime, reserve });
+
+  return signed;
+}
+
+/**
+ * The field's own dictionary and its (first) widget, which for fields made by addSignatureField
+ * are the same object. A missing field is created as an invisible widget on page 1.
+ */
+function findOrCreateSignatureField(document, fieldName, changed) {
+  const { context } = document;
+  const form = document.getForm();
+  const field = form.getFieldMaybe(fieldName);
+
+  if (field && !(field instanceof PDFSignature)) {
+    throw new Error(`Field '${fieldName}' is not a signature field`);
+  }
+
+  if (field) {
+    const fieldDict = field.acroField.dict;
+    if (fieldDict.get(PDFName.of('V'))) {
+      throw new Error(`Signature field '${fieldName}' is already signed`);
+    }
+
+    const kids = fieldDict.lookup(PDFName.of('Kids'));
+    const widgetRef = kids instanceof PDFArray ? kids.get(0) : field.ref;
+    changed.add(field.ref);
+    return { fieldDict, widgetDict: context.lookup(widgetRef, PDFDict), widgetRef };
+  }
+
+  const page = document.getPage(0);
+  const fieldDict = context.obj({
+    FT: 'Sig',
+    T: PDFHexString.fromText(fieldName),
+    Type: 'Annot',
+    Subtype: 'Widget',
+    Rect: [0, 0, 0, 0],
+    F: 132,
+    P: page.ref
+  });
+  const fieldRef = context.register(fieldDict);
+
+  page.node.addAnnot(fieldRef);
+  form.acroForm.addField(fieldRef);
+
+  const annots = page.node.get(PDFName.of('Annots'));
+  changed.add(annots instanceof PDFRef ? annots : page.ref);
+  changed.add(fieldRef);
+  return { fieldDict, widgetDict: fieldDict, widgetRef: fieldRef };
+}
+
+function signedAppearance(context, rect, { signerName, signingTime, reason }) {
+  const font = StandardFonts.Helvetica;
+  const lines = [
+    `Digitally signed by ${signerName}`,
+    `Date: ${signingTime.toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC')}`,
+    reason ? `Reason: ${reason}` : null
+  ].filter(Boolean);
+
+  const size = Math.min(9, (rect.height - 8) / (lines.length * 1.25));
+  const noRotation = { rotate: degrees(0), xSkew: degrees(0), ySkew: degrees(0) };
+  const operators = [
+    ...drawRectangle({ x: 0, y: 0, width: rect.width, height: rect.height, borderWidth: 0, color: rgb(1, 1, 1), ...noRotation })
+  ];
+
+  lines.forEach((line, index) => {
+    // Standard fonts only draw WinAnsi characters
+    const text = Buffer.from(line.replace(/[^\x20-\x7E\xA0-\xFF]/g, '?'), 'latin1').toString('hex');
+    operators.push(...drawText(PDFHexString.of(text), {
+      x: 4,
+      y: rect.height - 4 - size * (index * 1.25 + 1),
+      size,
+      font: 'Helv',
+      color: rgb(0.1, 0.1, 0.1),
+      ...noRotation
+    }));
+  });
+
+  return context.formXObject(operators, {
+    BBox: [0, 0, rect.width, rect.height],
+    Resources: { Font: { Helv: { Type: 'Font', Subtype: 'Type1', BaseFont: font, Encoding: 'WinAnsiEncoding' } } }
+  });
+}
+
+async function loadCertificate(p12, passphrase) {
+  const der = typeof p12 === 'string' ? await fs.readFile(p12) : Buffer.from(p12);
+  let bundle;
+
+  try {
+    bundle = forge.pkcs12.pkcs12FromAsn1(forge.asn1.fromDer(der.toString('binary')), passphrase);
+  } catch (error) {
+    throw new Error(`Could not open the PKCS#12 file (wrong passphrase, or not an RSA certificate?): ${error.message}`);
+  }
+
+  const { pkcs8ShroudedKeyBag, keyBag, certBag } = forge.pki.oids;
+  const keys = [pkcs8ShroudedKeyBag, keyBag]
+    .flatMap(bagType => bundle.getBags({ bagType })[bagType] || [])
+    .map(bag => bag.key)
+    .filter(Boolean);
+  const certificates = (bundle.getBags({ bagType: certBag })[certBag] || []).map(bag => bag.cert).filter(Boolean);
+
+  const key = keys[0];
+  const certificate = key && certificates.find(cert => cert.publicKey.n?.equals(key.n));
+
+  if (!key || !certificate) {
+    throw new Error('The PKCS#12 file needs a private key and its certificate');
+  }
+
+  // forge reads UTF8String names as raw UTF-8 but encodes them again when it writes the
+  // signer's issuer, which then no longer matches the certificate
+  for (const attribute of [...certificate.issuer.attributes, ...certificate.subject.attributes]) {
+    if (attribute.valueTagClass === forge.asn1.Type.UTF8) {
+      attribute.value = forge.util.decodeUtf8(attribute.value);
+    }
+  }
+
+  return { key, certificate, chain: certificates.filter(cert => cert !== certificate) };
+}
+
+/**
+ * Offset of the last cross-reference section, whether it is a table or a stream, and the
+ * object count it declares
+ */
+function readLastCrossReference(bytes) {
+  const marker = bytes.lastIndexOf('startxref');
+  const offset = Number(bytes.toString('latin1', marker + 9, marker + 40).trim().split(/\s/)[0]);
+
+  if (marker === -1 || !Number.isInteger(offset)) {
+    throw new Error('Could not find the PDF cross-reference section');
+  }
+
+  const section = bytes.toString('latin1', offset, Math.min(bytes.length, offset + 4096));
+  const isStream = !section.startsWith('xref');
+  const size = Number((isStream ? section : section.slice(section.indexOf('trailer'))).match(/\/Size\s+(\d+)/)?.[1] ?? 0);
+
+  return { offset, isStream, size };
+}
+
+/**
+ * Appends the changed objects and a cross-reference section of the same kind as the original's
+ */
+function writeIncrementalUpdate(bytes, document, refs, previous) {
+  const { context } = document;
+  const chunks = [bytes, Buffer.from('\n')];
+  const offsets = new Map();
+  let length = bytes.length + 1;
+
+  const write = (chunk) => {
+    chunks.push(chunk);
+    length += chunk.length;
+  };
+  const writeObject = (ref, object) => {
+    offsets.set(ref, length);
+    const body = new Uint8Array(object.sizeInBytes());
+    object.copyBytesInto(body, 0);
+    write(Buffer.from(`${ref.objectNumber} ${ref.generationNumber} obj\n`));
+    write(Buffer.from(body));
+    write(Buffer.from('\nendobj\n'));
+  };
+
+  const sorted = refs.sort((a, b) => a.objectNumber - b.objectNumber);
+  for (const ref of sorted) {
+    writeObject(ref, context.lookup(ref));
+  }
+
+  const { Root, Info, ID } = context.trailerInfo;
+  const xrefOffset = length;
+
+  if (previous.isStream) {
+    const xrefRef = context.nextRef();
+    const xrefStream = PDFCrossRefStream.create(context.obj({
+      Type: 'XRef',
+      Size: context.largestObjectNumber + 1,
+      Root, Info, ID,
+      Prev: previous.offset
+    }), false);
+
+    for (const ref of [...sorted, xrefRef]) {
+      xrefStream.addUncompressedEntry(ref, ref === xrefRef ? xrefOffset : offsets.get(ref));
+    }
+    writeObject(xrefRef, xrefStream);
+  } else {
+    let table = 'xref\n';
+    for (let start = 0; start < sorted.length;) {
+      let end = start + 1;
+      while (end < sorted.length && sorted[end].objectNumber === sorted[end - 1].objectNumber + 1) end++;
+
+      table += `${sorted[start].objectNumber} ${end - start}\n`;
+      for (const ref of sorted.slice(start, end)) {
+        table += `${String(offsets.get(ref)).padStart(10, '0')} ${String(ref.generationNumber).padStart(5, '0')} n\r\n`;
+      }
+      start = end;
+    }
+
+    const trailer = context.obj({ Size: context.largestObjectNumber + 1, Root, Info, ID, Prev: previous.offset });
+    write(Buffer.from(`${table}trailer\n${trailer}\n`));
+  }
+
+  write(Buffer.from(`startxref\n${xrefOffset}\n%%EOF\n`));
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Fixes the /ByteRange around the /Contents placeholder, then signs those bytes into it
+ */
+function fillSignature(pdf, updateStart, { key, certificate, chain, signingTime, reserve }) {
+  const placeholder = `<${'0'.repeat(reserve * 2)}>`;
+  const contentsStart = pdf.indexOf(placeholder, updateStart);
+  const contentsEnd = contentsStart + placeholder.length;
+
+  const rangePlaceholder = `0 ${BYTE_RANGE_PLACEHOLDER} ${BYTE_RANGE_PLACEHOLDER} ${BYTE_RANGE_PLACEHOLDER}`;
+  const rangeStart = pdf.indexOf(rangePlaceholder, updateStart);
+  const byteRange = `0 ${contentsStart} ${contentsEnd} ${pdf.length - contentsEnd}`.padEnd(rangePlaceholder.length, ' ');
+  pdf.write(byteRange, rangeStart, 'latin1');
+
+  const signedBytes = Buffer.concat([pdf.subarray(0, contentsStart), pdf.subarray(contentsEnd)]);
+  const signedData = forge.pkcs7.createSignedData();
+  signedData.content = forge.util.createBuffer(signedBytes.toString('binary'));
+
+  for (const cert of [certificate, ...chain]) {
+    signedData.addCertificate(cert);
+  }
+
+  signedData.addSigner({
+    key,
+    certificate,
+    digestAlgorithm: forge.pki.oids.sha256,
+    authenticatedAttributes: [
+      { type: forge.pki.oids.contentType, value: forge.pki.oids.data },
+      { type: forge.pki.oids.messageDigest },
+      { type: forge.pki.oids.signingTime, value: signingTime }
+    ]
+  });
+  signedData.sign({ detached: true });
+
+  const signature = Buffer.from(forge.asn1.toDer(signedData.toAsn1()).getBytes(), 'binary').toString('hex');
+  if (signature.length > reserve * 2) {
+    throw new Error(`Signature needs ${signature.length / 2} bytes but only ${reserve} are reserved (raise the reserve option)`);
+  }
+
+  pdf.write(signature, contentsStart + 1, 'latin1');
+}
+
+/**
+ * Checks every signed signature field. `intact` means the signed bytes are unchanged and the
+ * signature matches its certificate; `coversWholeDocument` is false when something (form
+ * values, another signature) was appended after that signature.
+ */
+export async function verifyPDFSignatures(pdfBytes) {
+  const bytes = Buffer.from(pdfBytes);
+  const document = await PDFDocument.load(bytes, { ignoreEncryption: true, updateMetadata: false });
+  const signatures = [];
+
+  for (const field of document.getForm().getFields()) {
+    const signature = field instanceof PDFSignature && field.acroField.dict.lookup(PDFName.of('V'));
+    if (!(signature instanceof PDFDict)) {
+      continue;
+    }
+
+    const text = (key) => signature.lookup(PDFName.of(key))?.decodeText?.() ?? null;
+    const report = {
+      field: field.getName(),
+      signer: text('Name'),
+      signedAt: parsePdfDate(text('M')),
+      reason: text('Reason'),
+      location: text('Location'),
+      intact: false,
+      coversWholeDocument: false,
+      certificate: null,
+      error: null
+    };
+
+    try {
+      const [start1, length1, start2, length2] = signature.lookup(PDFName.of('ByteRange'), PDFArray).asArray().map(n => n.asNumber());
+      if (start1 !== 0 || start2 < length1 || start2 + length2 > bytes.length) {
+        throw new Error('ByteRange is outside the file');
+      }
+
+      const signedBytes = Buffer.concat([bytes.subarray(0, length1), bytes.subarray(start2, start2 + length2)]);
+      const contents = Buffer.from(signature.lookup(PDFName.of('Contents')).asBytes());
+      const result = checkSignedData(contents, signedBytes);
+
+      report.intact = result.intact;
+      report.certificate = result.certificate;
+      report.signer = report.signer || result.certificate?.commonName || null;
+      report.signedAt = report.signedAt || result.signingTime;
+      report.coversWholeDocument = start2 + length2 === bytes.length;
+    } catch (error) {
+      report.error = error.message;
+    }
+
+    signatures.push(report);
+  }
+
+  return {
+    signed: signatures.length > 0,
+    intact: signatures.length > 0 && signatures.every(signature => signature.intact),
+    signatures
+  };
+}
+
+/**
+ * Walks the CMS SignedData by hand (node-forge can't verify PKCS#7) and checks the digest of
+ * the signed bytes and the signature over the signed attributes with node's crypto
+ */
+function checkSignedData(contents, signedBytes) {
+  const { asn1 } = forge;
+  const contentInfo = asn1.fromDer(contents.toString('binary'), { parseAllBytes: false });
+  const signedData = contentInfo.value[1].value[0];
+  const isContextTag = (node, tag) => node.tagClass === asn1.Class.CONTEXT_SPECIFIC && node.type === tag;
+  const toBuffer = (node) => Buffer.from(asn1.toDer(node).getBytes(), 'binary');
+
+  const certificates = (signedData.value.find(node => isContextTag(node, 0))?.value || [])
+    .map(node => new crypto.X509Certificate(toBuffer(node)));
+  const signerInfo = signedData.value[signedData.value.length - 1].value[0];
+  const [, signerId, digestAlgorithm, ...rest] = signerInfo.value;
+
+  const serial = forge.util.bytesToHex(signerId.value[1].value).replace(/^0+/, '').toUpperCase();
+  const certificate = certificates.find(cert => cert.serialNumber.replace(/^0+/, '').toUpperCase() === serial) || certificates[0];
+  const hashName = DIGEST_ALGORITHMS[asn1.derToOid(digestAlgorithm.value[0].value)];
+  const signatureValue = Buffer.from(rest.find(node => node.type === asn1.Type.OCTETSTRING).value, 'binary');
+  const signedAttributes = rest.find(node => isContextTag(node, 0));
+
+  if (!hashName) {
+    throw new Error('Unsupported digest algorithm');
+  }
+  if (!certificate) {
+    throw new Error('Signature has no signer certificate');
+  }
+
+  const digest = crypto.createHash(hashName).update(signedBytes).digest();
+  let signedContent = signedBytes;
+  let digestMatches = true;
+  let signingTime = null;
+
+  if (signedAttributes) {
+    const attribute = (oid) => signedAttributes.value
+      .find(node => asn1.derToOid(node.value[0].value) === oid)?.value[1].value[0];
+
+    digestMatches = Buffer.from(attribute(forge.pki.oids.messageDigest)?.value || '', 'binary').equals(digest);
+    const time = attribute(forge.pki.oids.signingTime);
+    signingTime = time ? (time.type === asn1.Type.UTCTIME ? asn1.utcTimeToDate(time.value) : asn1.generalizedTimeToDate(time.value)) : null;
+
+    // The signature covers the attributes re-tagged as a SET
+    signedContent = toBuffer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, signedAttributes.value));
+  }
+
+  return {
+    intact: digestMatches && crypto.verify(hashName, signedContent, certificate.publicKey, signatureValue),
+    signingTime,
+    certificate: {
+      commonName: certificate.subject.match(/CN=([^\n]+)/)?.[1] ?? null,
+      subject: certificate.subject,
+      issuer: certificate.issuer,
+      validFrom: new Date(certificate.validFrom),
+      validTo: new Date(certificate.validTo),
+      selfSigned: certificate.checkIssued(certificate)
+    }
+  };
+}
+
+// D:YYYYMMDDHHmmSS with an optional Z or +HH'mm' offset
+function parsePdfDate(value) {
+  const match = value?.match(/^D:(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(Z|[+-]\d{2}'?\d{2}'?)?/);
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', zone = 'Z'] = match;
+  const offset = zone === 'Z' ? 'Z' : `${zone.slice(0, 3)}:${zone.replace(/'/g, '').slice(3, 5)}`;
+  return new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`);
+}
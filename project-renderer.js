@@ -0,0 +1,250 @@
+/**
+ * Project Renderer - Turns the web builder's project JSON into an interactive PDF
+ * Takes the pages/assets/settings structure from exportProjectJSON() in public/app.js
+ * Backgrounds become full-bleed images, buttons and hotspots become link annotations
+ * (URI links, or GoTo links for elements with action 'goto')
+ */
+
+import { PDFGenerator } from './pdf-generator.js';
+import { getPageDimensions } from './config.js';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import { fileURLToPath } from 'url';
+
+const PUBLIC_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'public');
+
+// Remote images are only fetched from the R2 public library plus any config.imageSources URL prefixes
+const R2_PUBLIC_URL = process.env.R2_PUBLIC_URL || 'https://files.3c-public-library.org';
+
+// The builder canvas is always 595x842 CSS px (842x595 landscape), whatever the page size
+const EDITOR_WIDTH_PX = 595;
+const EDITOR_HEIGHT_PX = 842;
+
+const IMAGE_ELEMENT_TYPES = ['3c-button', '3c-emoji', '3c-emoji-decoration', '3c-custom', '3c-custom-decoration'];
+
+const MIME_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg'
+};
+
+export class ProjectRenderer {
+  constructor(config = {}) {
+    this.config = config;
+    this.publicDir = path.resolve(config.publicDir || PUBLIC_DIR);
+    this.imageSources = [R2_PUBLIC_URL, ...(config.imageSources || [])].map(source => new URL(source));
+    this.tempDir = null;
+    this.imageCache = new Map();
+    this.stats = {
+      pages: 0,
+      backgrounds: 0,
+      links: 0,
+      buttons: 0,
+      images: 0,
+      skipped: []
+    };
+  }
+
+  async render(project) {
+    if (!project || !Array.isArray(project.pages) || project.pages.length === 0) {
+      throw new Error('Project must contain at least one page');
+    }
+
+    const settings = project.settings || {};
+    const pageSize = settings.pageSize || 'A4';
+    const orientation = settings.orientation || 'portrait';
+
+    this.tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'render-project-'));
+
+    try {
+      const generator = new PDFGenerator({
+        ...this.config,
+        pdf: {
+          ...this.config.pdf,
+          title: project.title || settings.title || 'Interactive PDF Document',
+          author: settings.author || 'Interactive PDF Creator'
+        }
+      });
+
+      await generator.initialize();
+
+      for (const page of project.pages) {
+        generator.addPage({ size: pageSize, orientation });
+        this.stats.pages++;
+
+        await this.renderPage(generator, page, pageSize, orientation);
+      }
+
+      const pdfBuffer = await generator.generateBuffer();
+      console.log(`Project rendered: ${this.stats.pages} pages, ${this.stats.links + this.stats.buttons} links`);
+
+      return pdfBuffer;
+
+    } catch (error) {
+      throw new Error(`Project render failed: ${error.message}`);
+    } finally {
+      await fs.remove(this.tempDir);
+      this.tempDir = null;
+      this.imageCache.clear();
+    }
+  }
+
+  async renderPage(generator, page, pageSize, orientation) {
+    const [pageWidth, pageHeight] = getPageDimensions(pageSize, orientation);
+    const isLandscape = orientation === 'landscape';
+    const editorWidth = isLandscape ? EDITOR_HEIGHT_PX : EDITOR_WIDTH_PX;
+    const editorHeight = isLandscape ? EDITOR_WIDTH_PX : EDITOR_HEIGHT_PX;
+
+    const scaleX = pageWidth / editorWidth;
+    const scaleY = pageHeight / editorHeight;
+
+    const toPdfRect = (element) => ({
+      x: element.x * scaleX,
+      y: pageHeight - (element.y + element.height) * scaleY,
+      width: element.width * scaleX,
+      height: element.height * scaleY
+    });
+
+    const background = page.backgroundData || page.backgroundUrl;
+    if (background) {
+      const imagePath = await this.resolveImage(background);
+      if (imagePath) {
+        await generator.addImage(imagePath, { x: 0, y: 0, width: pageWidth, height: pageHeight });
+        this.stats.backgrounds++;
+      }
+    }
+
+    for (const element of page.elements || []) {
+      await this.renderElement(generator, element, toPdfRect(element));
+    }
+  }
+
+  async renderElement(generator, element, rect) {
+    const isPageJump = element.action === 'goto' && element.targetPage !== undefined && element.targetPage !== null;
+    const url = isPageJump ? null : (element.url || element.link || null);
+    const target = isPageJump ? { targetPage: element.targetPage } : { url };
+
+    if (IMAGE_ELEMENT_TYPES.includes(element.type) || element.type === 'image') {
+      const source = element.type === 'image' ? element.url : element.imagePath;
+      const imagePath = source ? await this.resolveImage(source) : null;
+
+      if (imagePath) {
+        await generator.addImage(imagePath, rect);
+        this.stats.images++;
+      }
+
+      // Image elements point at their own file, not at a link target
+      if ((url || isPageJump) && element.type !== 'image') {
+        await generator.addLink({ ...rect, text: '', ...target });
+        this.stats.links++;
+      }
+      return;
+    }
+
+    switch (element.type) {
+      case 'button':
+        await generator.addButton({
+          ...rect,
+          text: element.text || 'Click Here',
+          ...target,
+          backgroundColor: '#667EEA',
+          borderColor: '#764BA2'
+        });
+        this.stats.buttons++;
+        break;
+
+      case 'hotspot':
+      default:
+        if (isPageJump || (url && /^(https?:|mailto:)/i.test(url))) {
+          await generator.addLink({ ...rect, text: '', ...target });
+          this.stats.links++;
+        } else {
+          this.stats.skipped.push(element.type);
+        }
+    }
+  }
+
+  /**
+   * Resolves a data URL, allowed http(s) URL or builder-relative path to a local PNG/JPG file.
+   * Returns null (and records a skip) for formats pdf-lib cannot embed.
+   */
+  async resolveImage(source) {
+    if (this.imageCache.has(source)) {
+      return this.imageCache.get(source);
+    }
+
+    let bytes;
+    let extension;
+
+    if (source.startsWith('data:')) {
+      const match = source.match(/^data:([^;,]+)(;base64)?,(.*)$/s);
+      if (!match) {
+        throw new Error('Invalid data URL for image');
+      }
+      extension = MIME_EXTENSIONS[match[1].toLowerCase()];
+      bytes = match[2] ? Buffer.from(match[3], 'base64') : Buffer.from(decodeURIComponent(match[3]));
+
+    } else if (/^https?:\/\//i.test(source)) {
+      if (!this.isAllowedImageUrl(source)) {
+        throw new Error(`Image URL not allowed: ${source}`);
+      }
+      // Redirects could lead anywhere, so allowed sources must serve the image directly
+      const response = await fetch(source, { redirect: 'error' });
+      if (!response.ok) {
+        throw new Error(`Failed to fetch image ${source}: ${response.status}`);
+      }
+      const contentType = (response.headers.get('content-type') || '').split(';')[0].trim();
+      extension = MIME_EXTENSIONS[contentType] || this.extensionFromPath(source);
+      bytes = Buffer.from(await response.arrayBuffer());
+
+    } else {
+      const localPath = path.join(this.publicDir, decodeURI(source).replace(/^\/+/, ''));
+      const relativePath = path.relative(this.publicDir, localPath);
+      if (!relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath) || !await fs.pathExists(localPath)) {
+        throw new Error(`Image not found: ${source}`);
+      }
+      extension = this.extensionFromPath(localPath);
+      bytes = await fs.readFile(localPath);
+    }
+
+    if (!extension) {
+      console.warn(`Skipping unsupported image format: ${source.slice(0, 60)}`);
+      this.stats.skipped.push('image');
+      this.imageCache.set(source, null);
+      return null;
+    }
+
+    const tempPath = path.join(this.tempDir, `image-${this.imageCache.size}.${extension}`);
+    await fs.writeFile(tempPath, bytes);
+    this.imageCache.set(source, tempPath);
+
+    return tempPath;
+  }
+
+  /**
+   * True when the URL is on the same origin as an allowed source and inside its path
+   */
+  isAllowedImageUrl(source) {
+    const url = new URL(source);
+
+    return this.imageSources.some(allowed => {
+      const prefix = allowed.pathname.endsWith('/') ? allowed.pathname : `${allowed.pathname}/`;
+      return url.origin === allowed.origin && url.pathname.startsWith(prefix);
+    });
+  }
+
+  extensionFromPath(filePath) {
+    const ext = filePath.split('?')[0].toLowerCase().split('.').pop();
+    return ext === 'png' ? 'png' : (ext === 'jpg' || ext === 'jpeg') ? 'jpg' : null;
+  }
+
+  getStats() {
+    return { ...this.stats, skipped: [...this.stats.skipped] };
+  }
+}
+
+export async function renderProject(project, config = {}) {
+  const renderer = new ProjectRenderer(config);
+  return await renderer.render(project);
+}
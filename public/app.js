@@ -13,24 +13,24 @@ let currentProjectId = null; // Track current project for updates
 let currentPdfUrl = null; // Track current PDF URL
 let copiedElement = null; // Store copied element for paste
 let selectedElementId = null; // Track currently selected element
+let gestureStart = null; // Element position/size when a drag or resize began (for undo)
 
 // Cloudflare Configuration - For R2 bucket (images/media) and PDF generation ONLY
 const API_BASE = 'https://api.3c-public-library.org/pdf';
 
+// Node render API (server.js) - turns the project JSON into a downloadable interactive PDF
+// Same origin by default (dev-server.js routes /api to server.js), override with ENV_CONFIG.app.renderApiUrl
+const RENDER_API_BASE = window.ENV_CONFIG?.app?.renderApiUrl || '';
+
 // Supabase functions are loaded from supabaseAPI.js
 // - saveProjectDraft() - Direct API save (no timeout)
 // - updateProjectDB() - Direct API update (no timeout)
 // - publishProjectDB() - Edge Function (for final publish only)
 // - testSupabaseConnectionDB() - Connection test
 
-// Export JSON
-async function exportProjectJSON() {
-    if (!currentProjectId) {
-        showStatus('⚠️ Save project first', 'warning');
-        return;
-    }
-    
-    const data = {
+// Build the project export structure (shared by JSON export and PDF rendering)
+function buildProjectExport() {
+    return {
         id: currentProjectId,
         title: document.getElementById('pdfTitle').value || 'Untitled',
         pages: pages,
@@ -49,6 +49,16 @@ async function exportProjectJSON() {
         },
         exported_at: new Date().toISOString()
     };
+}
+
+// Export JSON
+async function exportProjectJSON() {
+    if (!currentProjectId) {
+        showStatus('⚠️ Save project first', 'warning');
+        return;
+    }
+    
+    const data = buildProjectExport();
     
     const blob = new Blob([JSON.stringify(data, null, 2)], {type: 'application/json'});
     const url = URL.createObjectURL(blob);
@@ -60,6 +70,43 @@ async function exportProjectJSON() {
     showStatus('✅ JSON exported! Upload to 3C Content Library.', 'success');
 }
 
+// Render the project to an interactive PDF file (works offline in Acrobat)
+async function downloadInteractivePDF() {
+    if (pages.length === 0) {
+        showStatus('⚠️ Add at least one page first', 'warning');
+        return;
+    }
+    
+    const data = buildProjectExport();
+    
+    try {
+        showStatus('📄 Rendering interactive PDF...', 'info');
+        
+        const response = await fetch(`${RENDER_API_BASE}/api/render-project`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(data)
+        });
+        
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.message || `Render failed (${response.status})`);
+        }
+        
+        const blob = await response.blob();
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${data.title.replace(/[^a-z0-9]/gi, '-')}.pdf`;
+        a.click();
+        URL.revokeObjectURL(url);
+        showStatus('✅ Interactive PDF downloaded!', 'success');
+    } catch (error) {
+        console.error('Render error:', error);
+        showStatus('❌ PDF render failed: ' + error.message, 'error');
+    }
+}
+
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
     console.log('Interactive PDF Creator v2 initialized');
@@ -68,6 +115,7 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Add keyboard shortcuts for copy/paste
     setupCopyPasteShortcuts();
+    setupLocalAutosave();
     
     // Set up folder path preview listeners
     document.getElementById('pdfTitle')?.addEventListener('input', updateFolderPathPreview);
@@ -79,9 +127,11 @@ document.addEventListener('DOMContentLoaded', () => {
     const urlParams = new URLSearchParams(window.location.search);
     if (urlParams.get('loadDraft') === 'true') {
         loadDraft();
+        checkForLocalRecovery();
     } else {
         // Add first page automatically
         addNewPage();
+        clearHistory();
         
         // Check if loading existing project
         loadProjectFromURL();
@@ -188,6 +238,7 @@ function incrementVersion() {
     
     const newVersion = `v${major}.${minor}`;
     versionInput.value = newVersion;
+    scheduleAutosave();
     
     showStatus(`📌 Version updated to ${newVersion}. Click "Save Draft" to save changes.`, 'success');
 }
@@ -289,7 +340,8 @@ async function saveDraft(silent = false) {
             partNumber: document.getElementById('partNumber')?.value || '',
             folderName: folderName,
             subfolderName: subfolderName
-        }
+        },
+        savedAt: new Date().toISOString()
     };
     
     try {
@@ -313,6 +365,9 @@ async function saveDraft(silent = false) {
         // Store project ID for future updates
         currentProjectId = savedProject.id;
         
+        // Saved copy is now current - drop the local crash-recovery copy
+        await clearLocalAutosave();
+        
         // Update URL with project ID
         const newUrl = new URL(window.location);
         newUrl.searchParams.set('project', currentProjectId);
@@ -387,6 +442,7 @@ function loadDraft() {
 // This prevents timeout errors when working with large documents (31+ pages)
 // The database timeout (120s) is not sufficient for auto-saving large JSONB data every 15 seconds
 // Users should click "Save Draft" button manually when ready to save
+// (Edits are still autosaved locally to IndexedDB for crash recovery - see LOCAL AUTOSAVE)
 
 // ============================================
 // PAGE MANAGEMENT
@@ -398,6 +454,7 @@ function addNewPage() {
         id: pageId,
         pageNumber: pages.length + 1,
         background: null,
+        backgroundUrl: null,
         backgroundData: null,
         elements: []
     };
@@ -405,6 +462,9 @@ function addNewPage() {
     pages.push(page);
     currentPageIndex = pages.length - 1;
     
+    const index = currentPageIndex;
+    recordHistory('add page', () => removePage(page), () => insertPage(page, index));
+    
     renderPages();
     renderPageThumbnails();
     renderPageElements();
@@ -437,10 +497,12 @@ function deletePage(index) {
     }
     
     if (confirm(`Delete page ${index + 1}?`)) {
-        pages.splice(index, 1);
-        if (currentPageIndex >= pages.length) {
-            currentPageIndex = pages.length - 1;
-        }
+        const page = pages[index];
+        removePage(page);
+        recordHistory('delete page',
+            () => insertPage(page, index),
+            () => removePage(page),
+            page.backgroundData ? page.backgroundData.length : 0);
         renderPages();
         renderPageThumbnails();
         renderPageElements();
@@ -471,9 +533,9 @@ function renderPages() {
         }
         
         // Background image
-        if (page.backgroundData) {
+        if (getPageBackground(page)) {
             const bg = document.createElement('img');
-            bg.src = page.backgroundData;
+            bg.src = getPageBackground(page);
             bg.className = 'page-background';
             pageDiv.appendChild(bg);
         }
@@ -527,8 +589,8 @@ function renderPageThumbnails() {
         thumb.onclick = () => switchToPage(item.index);
         thumb.textContent = item.index + 1;
         
-        if (item.page.backgroundData) {
-            thumb.style.backgroundImage = `url(${item.page.backgroundData})`;
+        if (getPageBackground(item.page)) {
+            thumb.style.backgroundImage = `url(${getPageBackground(item.page)})`;
             thumb.style.backgroundSize = 'cover';
             thumb.style.backgroundPosition = 'center';
             thumb.textContent = '';
@@ -754,6 +816,7 @@ function duplicatePage(pageIndex) {
         id: Date.now(),
         pageNumber: pageIndex + 2,
         background: originalPage.background,
+        backgroundUrl: originalPage.backgroundUrl || null,
         backgroundData: originalPage.backgroundData,
         elements: originalPage.elements.map(el => ({
             ...el,
@@ -761,14 +824,8 @@ function duplicatePage(pageIndex) {
         }))
     };
     
-    pages.splice(pageIndex + 1, 0, newPage);
-    
-    // Renumber all pages after insertion
-    for (let i = pageIndex + 2; i < pages.length; i++) {
-        pages[i].pageNumber = i + 1;
-    }
-    
-    currentPageIndex = pageIndex + 1;
+    insertPage(newPage, pageIndex + 1);
+    recordHistory('duplicate page', () => removePage(newPage), () => insertPage(newPage, pageIndex + 1));
     
     renderPages();
     renderPageThumbnails();
@@ -804,12 +861,10 @@ function closeSettingsSidebar() {
 function movePageUp(pageIndex) {
     if (pageIndex === 0) return; // Already at top
     
-    // Swap pages
-    [pages[pageIndex - 1], pages[pageIndex]] = [pages[pageIndex], pages[pageIndex - 1]];
-    
-    // Update pageNumber for both swapped pages
-    pages[pageIndex - 1].pageNumber = pageIndex;
-    pages[pageIndex].pageNumber = pageIndex + 1;
+    swapPages(pageIndex - 1, pageIndex);
+    recordHistory('move page up',
+        () => { swapPages(pageIndex - 1, pageIndex); currentPageIndex = pageIndex; },
+        () => { swapPages(pageIndex - 1, pageIndex); currentPageIndex = pageIndex - 1; });
     
     // Update current page index if needed
     if (currentPageIndex === pageIndex) {
@@ -827,12 +882,10 @@ function movePageUp(pageIndex) {
 function movePageDown(pageIndex) {
     if (pageIndex === pages.length - 1) return; // Already at bottom
     
-    // Swap pages
-    [pages[pageIndex], pages[pageIndex + 1]] = [pages[pageIndex + 1], pages[pageIndex]];
-    
-    // Update pageNumber for both swapped pages
-    pages[pageIndex].pageNumber = pageIndex + 1;
-    pages[pageIndex + 1].pageNumber = pageIndex + 2;
+    swapPages(pageIndex, pageIndex + 1);
+    recordHistory('move page down',
+        () => { swapPages(pageIndex, pageIndex + 1); currentPageIndex = pageIndex; },
+        () => { swapPages(pageIndex, pageIndex + 1); currentPageIndex = pageIndex + 1; });
     
     // Update current page index if needed
     if (currentPageIndex === pageIndex) {
@@ -851,31 +904,352 @@ function movePageDown(pageIndex) {
 // BACKGROUND UPLOAD
 // ============================================
 
+// Backgrounds are uploaded to R2 under a hash-named key and pages store only the URL.
+// backgroundData (a base64 data URL) remains for drafts saved before that, and as a
+// fallback when the upload fails - migrateInlineImages() moves those on the next load.
+function getPageBackground(page) {
+    return page.backgroundUrl || page.backgroundData || null;
+}
+
+function readFileAsDataURL(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => resolve(e.target.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+// Upload an image to R2, falling back to an inline data URL when offline or the worker fails
+async function storeImage(file) {
+    try {
+        return { url: await uploadImageToR2(file), inline: false };
+    } catch (error) {
+        console.warn('Image upload failed, storing inline:', error);
+        return { url: await readFileAsDataURL(file), inline: true };
+    }
+}
+
 async function handleBackgroundUpload(event) {
     const file = event.target.files[0];
     if (!file) return;
     
+    // Reset input
+    event.target.value = '';
+    
     if (!file.type.match('image/(png|jpeg|jpg)')) {
         showStatus('⚠️ Please upload a PNG or JPG image', 'warning');
         return;
     }
     
-    const reader = new FileReader();
-    reader.onload = (e) => {
-        const currentPage = pages[currentPageIndex];
-        currentPage.background = file.name;
-        currentPage.backgroundData = e.target.result;
+    const currentPage = pages[currentPageIndex];
+    showStatus('☁️ Uploading background...', 'info');
+    const stored = await storeImage(file);
+    
+    const before = { background: currentPage.background, backgroundUrl: currentPage.backgroundUrl || null, backgroundData: currentPage.backgroundData };
+    const after = stored.inline
+        ? { background: file.name, backgroundUrl: null, backgroundData: stored.url }
+        : { background: file.name, backgroundUrl: stored.url, backgroundData: null };
+    
+    Object.assign(currentPage, after);
+    recordHistory('change background',
+        () => { Object.assign(currentPage, before); focusPage(currentPage); },
+        () => { Object.assign(currentPage, after); focusPage(currentPage); },
+        before.backgroundData ? before.backgroundData.length : 0);
+    
+    renderPages();
+    renderPageThumbnails();
+    
+    const pageNumber = pages.indexOf(currentPage) + 1;
+    document.getElementById('backgroundInfo').classList.remove('hidden');
+    if (stored.inline) {
+        showStatus(`⚠️ Background set for page ${pageNumber}, but the upload failed - it is stored in the draft for now`, 'warning');
+    } else {
+        showStatus(`✅ Background set for page ${pageNumber}`, 'success');
+    }
+}
+
+// Drafts saved before images moved to R2 carry base64 data URLs for backgrounds and
+// custom 3C images. Upload each distinct image once and rewrite the project JSON in place.
+// Returns the number of fields rewritten.
+async function migrateInlineImages(projectJson) {
+    const uploads = new Map(); // data URL → Promise<R2 URL>
+    const upload = (dataUrl) => {
+        if (!uploads.has(dataUrl)) {
+            uploads.set(dataUrl, dataURLToBlob(dataUrl).then(uploadImageToR2));
+        }
+        return uploads.get(dataUrl);
+    };
+    const isInline = (value) => typeof value === 'string' && value.startsWith('data:image');
+    
+    let migrated = 0;
+    const migrateFields = async (item) => {
+        for (const field of ['imagePath', 'thumbnail']) {
+            if (isInline(item[field])) {
+                item[field] = await upload(item[field]);
+                migrated++;
+            }
+        }
+    };
+    
+    for (const page of projectJson.pages || []) {
+        if (isInline(page.backgroundData)) {
+            page.backgroundUrl = await upload(page.backgroundData);
+            page.backgroundData = null;
+            migrated++;
+        }
+        for (const element of page.elements || []) {
+            await migrateFields(element);
+        }
+    }
+    for (const asset of projectJson.assets || []) {
+        await migrateFields(asset);
+    }
+    
+    return migrated;
+}
+
+// ============================================
+// PDF IMPORT
+// ============================================
+
+// Each PDF page is rendered with pdf.js to a JPEG at twice the editor size and becomes
+// the background of a new builder page. Link annotations can be carried over as hotspots.
+const PDF_IMPORT_RENDER_SCALE = 2;
+const PDF_IMPORT_JPEG_QUALITY = 0.9;
+const PDF_IMPORT_PAGE_SIZES = { A4: [595, 842], Letter: [612, 792], Legal: [612, 1008] };
+const PDF_NAMED_PAGE_ACTIONS = { NextPage: 'next', PrevPage: 'previous', FirstPage: 'first', LastPage: 'last' };
+
+if (window.pdfjsLib) {
+    pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
+}
+
+async function handlePDFImport(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    // Reset input
+    event.target.value = '';
+    
+    if (file.type !== 'application/pdf' && !file.name.toLowerCase().endsWith('.pdf')) {
+        showStatus('⚠️ Please upload a PDF file', 'warning');
+        return;
+    }
+    if (!window.pdfjsLib) {
+        showStatus('❌ PDF reader failed to load - check your connection and reload', 'error');
+        return;
+    }
+    
+    let pdf;
+    try {
+        showStatus('📄 Reading PDF...', 'info');
+        pdf = await pdfjsLib.getDocument({ data: await file.arrayBuffer() }).promise;
+        
+        // A project that is still just the starting blank page is replaced by the import
+        const replacedPage = pages.length === 1 && !getPageBackground(pages[0]) && pages[0].elements.length === 0
+            ? pages[0]
+            : null;
+        const baseIndex = replacedPage ? 0 : pages.length;
+        
+        const firstPage = await pdf.getPage(1);
+        const { width, height } = firstPage.getViewport({ scale: 1 });
+        const detected = matchPageSize(width, height);
+        const pageSizeSelect = document.getElementById('pageSize');
+        const orientationSelect = document.getElementById('orientation');
+        
+        if (replacedPage) {
+            pageSizeSelect.value = detected.pageSize;
+            orientationSelect.value = detected.orientation;
+        } else if (pageSizeSelect.value !== detected.pageSize || orientationSelect.value !== detected.orientation) {
+            const proceed = confirm(
+                `This PDF is ${detected.pageSize} ${detected.orientation}, but your project is ` +
+                `${pageSizeSelect.value} ${orientationSelect.value}.\n\n` +
+                'Imported pages will be stretched to the project page size. Continue?'
+            );
+            if (!proceed) return;
+        }
+        
+        const links = await collectPDFLinks(pdf, baseIndex);
+        const linkCount = links.reduce((sum, pageLinks) => sum + pageLinks.length, 0);
+        const keepLinks = linkCount > 0 &&
+            confirm(`🔗 Found ${linkCount} link(s) in this PDF.\n\nAdd them as hotspots on the imported pages?`);
+        
+        const isLandscape = orientationSelect.value === 'landscape';
+        const editorWidth = isLandscape ? 842 : 595;
+        const editorHeight = isLandscape ? 595 : 842;
+        const baseName = file.name.replace(/\.pdf$/i, '');
+        const importedPages = [];
+        let inlineCount = 0;
+        
+        for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+            showStatus(`📄 Importing page ${pageNumber} of ${pdf.numPages}...`, 'info');
+            
+            const pdfPage = await pdf.getPage(pageNumber);
+            const blob = await renderPDFPageToBlob(pdfPage, editorWidth * PDF_IMPORT_RENDER_SCALE);
+            const stored = await storeImage(blob);
+            if (stored.inline) inlineCount++;
+            
+            const elements = keepLinks
+                ? links[pageNumber - 1].map(link => createHotspotFromLink(link, editorWidth, editorHeight))
+                : [];
+            
+            importedPages.push({
+                id: Date.now() + pageNumber,
+                pageNumber: baseIndex + pageNumber,
+                background: `${baseName}-page-${pageNumber}.jpg`,
+                backgroundUrl: stored.inline ? null : stored.url,
+                backgroundData: stored.inline ? stored.url : null,
+                elements: elements
+            });
+        }
+        
+        const applyImport = () => {
+            if (replacedPage) removePage(replacedPage);
+            importedPages.forEach((page, index) => insertPage(page, baseIndex + index));
+            currentPageIndex = baseIndex;
+        };
+        const revertImport = () => {
+            importedPages.forEach(page => removePage(page));
+            if (replacedPage) insertPage(replacedPage, 0);
+            currentPageIndex = Math.min(baseIndex, pages.length - 1);
+        };
+        
+        applyImport();
+        recordHistory('import PDF', revertImport, applyImport);
         
         renderPages();
         renderPageThumbnails();
+        renderPageElements();
+        updatePageCounter();
         
-        document.getElementById('backgroundInfo').classList.remove('hidden');
-        showStatus(`✅ Background set for page ${currentPageIndex + 1}`, 'success');
-    };
-    reader.readAsDataURL(file);
+        const hotspotText = keepLinks ? ` with ${linkCount} hotspot(s)` : '';
+        if (inlineCount > 0) {
+            showStatus(`⚠️ Imported ${importedPages.length} page(s)${hotspotText}, but ${inlineCount} background upload(s) failed - they are stored in the draft for now`, 'warning');
+        } else {
+            showStatus(`✅ Imported ${importedPages.length} page(s) from ${file.name}${hotspotText}`, 'success');
+        }
+    } catch (error) {
+        console.error('PDF import error:', error);
+        showStatus('❌ Failed to import PDF: ' + error.message, 'error');
+    } finally {
+        if (pdf) pdf.destroy();
+    }
+}
+
+// Picks the closest supported page size; orientation follows the PDF page's shape
+function matchPageSize(width, height) {
+    const short = Math.min(width, height);
+    const long = Math.max(width, height);
     
-    // Reset input
-    event.target.value = '';
+    const pageSize = Object.keys(PDF_IMPORT_PAGE_SIZES).reduce((best, name) => {
+        const [w, h] = PDF_IMPORT_PAGE_SIZES[name];
+        const [bestW, bestH] = PDF_IMPORT_PAGE_SIZES[best];
+        return Math.abs(w - short) + Math.abs(h - long) < Math.abs(bestW - short) + Math.abs(bestH - long) ? name : best;
+    }, 'A4');
+    
+    return { pageSize, orientation: width > height ? 'landscape' : 'portrait' };
+}
+
+async function renderPDFPageToBlob(pdfPage, targetWidth) {
+    const scale = targetWidth / pdfPage.getViewport({ scale: 1 }).width;
+    const viewport = pdfPage.getViewport({ scale });
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(viewport.width);
+    canvas.height = Math.round(viewport.height);
+    
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    await pdfPage.render({ canvasContext: context, viewport }).promise;
+    
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', PDF_IMPORT_JPEG_QUALITY));
+    
+    // Release the canvas and pdf.js page resources before the next page
+    canvas.width = canvas.height = 0;
+    pdfPage.cleanup();
+    
+    if (!blob) throw new Error('Could not render PDF page to an image');
+    return blob;
+}
+
+/**
+ * Reads the link annotations of every page.
+ * Returns one array per page of { rect (fractions of the page, top-left origin), action, url, targetPage },
+ * with internal page targets renumbered for pages inserted at baseIndex.
+ */
+async function collectPDFLinks(pdf, baseIndex) {
+    const links = [];
+    
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+        const pdfPage = await pdf.getPage(pageNumber);
+        const viewport = pdfPage.getViewport({ scale: 1 });
+        const annotations = await pdfPage.getAnnotations();
+        const pageLinks = [];
+        
+        for (const annotation of annotations) {
+            if (annotation.subtype !== 'Link') continue;
+            
+            const target = await resolvePDFLinkTarget(pdf, annotation, baseIndex);
+            if (!target) continue;
+            
+            const [x1, y1, x2, y2] = viewport.convertToViewportRectangle(annotation.rect);
+            pageLinks.push({
+                ...target,
+                rect: {
+                    x: Math.min(x1, x2) / viewport.width,
+                    y: Math.min(y1, y2) / viewport.height,
+                    width: Math.abs(x2 - x1) / viewport.width,
+                    height: Math.abs(y2 - y1) / viewport.height
+                }
+            });
+        }
+        
+        links.push(pageLinks);
+    }
+    
+    return links;
+}
+
+async function resolvePDFLinkTarget(pdf, annotation, baseIndex) {
+    if (annotation.url) {
+        return { action: 'link', url: annotation.url, targetPage: null };
+    }
+    
+    if (PDF_NAMED_PAGE_ACTIONS[annotation.action]) {
+        return { action: 'goto', url: null, targetPage: PDF_NAMED_PAGE_ACTIONS[annotation.action] };
+    }
+    
+    if (annotation.dest) {
+        try {
+            const dest = typeof annotation.dest === 'string' ? await pdf.getDestination(annotation.dest) : annotation.dest;
+            if (!dest) return null;
+            
+            const pageIndex = typeof dest[0] === 'number' ? dest[0] : await pdf.getPageIndex(dest[0]);
+            return { action: 'goto', url: null, targetPage: baseIndex + pageIndex + 1 };
+        } catch (error) {
+            console.warn('Could not resolve PDF link destination:', annotation.dest, error);
+        }
+    }
+    
+    return null;
+}
+
+function createHotspotFromLink(link, editorWidth, editorHeight) {
+    return {
+        id: Date.now() + Math.random(),
+        type: 'hotspot',
+        url: link.url,
+        action: link.action,
+        targetPage: link.targetPage,
+        text: link.url || `Page ${link.targetPage}`,
+        x: Math.round(link.rect.x * editorWidth),
+        y: Math.round(link.rect.y * editorHeight),
+        width: Math.max(Math.round(link.rect.width * editorWidth), 10),
+        height: Math.max(Math.round(link.rect.height * editorHeight), 10),
+        embedded: false,
+        imagePath: null
+    };
 }
 
 // ============================================
@@ -937,8 +1311,7 @@ function addMediaFromURL() {
         embedded: embeddedMode || !!iframeUrl // YouTube/Vimeo are always embedded in popup
     };
     
-    assets.push(asset);
-    renderAssetLibrary();
+    addAssetToLibrary(asset);
     urlInput.value = ''; // Clear input
     
     const modeText = iframeUrl ? ' (will play in popup)' : (embeddedMode ? ' (embedded)' : ' (link)');
@@ -971,8 +1344,7 @@ function uploadMediaFile(type) {
                     embedded: true // Stream videos are always embedded
                 };
                 
-                assets.push(asset);
-                renderAssetLibrary();
+                addAssetToLibrary(asset);
                 showStatus(`✅ ${file.name} uploaded to Cloudflare Stream!`, 'success');
             } else {
                 // For images and audio, upload to R2
@@ -986,8 +1358,7 @@ function uploadMediaFile(type) {
                     embedded: embeddedMode
                 };
                 
-                assets.push(asset);
-                renderAssetLibrary();
+                addAssetToLibrary(asset);
                 showStatus(`✅ ${file.name} uploaded to R2!`, 'success');
             }
         } catch (error) {
@@ -1000,13 +1371,8 @@ function uploadMediaFile(type) {
 
 // Add 3C button (branded button with image)
 function add3CButton(buttonType) {
-    let url = prompt('Enter URL for this 3C button:');
-    if (!url) return;
-    
-    // Ensure URL has protocol
-    if (!url.startsWith('http://') && !url.startsWith('https://')) {
-        url = 'https://' + url;
-    }
+    const target = promptElementAction('Enter the link for this 3C button.');
+    if (!target) return;
     
     // Map button types to their image files
     const buttonImages = {
@@ -1029,26 +1395,20 @@ function add3CButton(buttonType) {
     const asset = {
         id: Date.now(),
         type: '3c-button',
-        url: url,
+        ...target,
         imagePath: imagePath,
         name: buttonName,
         thumbnail: imagePath,
         embedded: false
     };
     
-    assets.push(asset);
-    renderAssetLibrary();
-    showStatus(`✅ ${buttonName} added with URL`, 'success');
+    addAssetToLibrary(asset);
+    showStatus(`✅ ${buttonName} added with ${describeActionKind(target)}`, 'success');
 }
 
 // Add 3C emoji badge (circular emoji badges)
 function add3CEmoji(emojiType) {
-    let url = prompt('Enter URL for this 3C emoji badge (optional - leave empty for decoration only):');
-    
-    // Ensure URL has protocol if provided
-    if (url && !url.startsWith('http://') && !url.startsWith('https://')) {
-        url = 'https://' + url;
-    }
+    const target = promptElementAction('Enter the link for this 3C emoji badge (optional - leave empty for decoration only).');
     
     // Map emoji types to their image files
     const emojiImages = {
@@ -1072,17 +1432,16 @@ function add3CEmoji(emojiType) {
     
     const asset = {
         id: Date.now(),
-        type: url ? '3c-emoji' : '3c-emoji-decoration',
-        url: url || null,
+        type: target ? '3c-emoji' : '3c-emoji-decoration',
+        ...(target || NO_ELEMENT_ACTION),
         imagePath: imagePath,
         name: emojiName,
         thumbnail: imagePath,
         embedded: false
     };
     
-    assets.push(asset);
-    renderAssetLibrary();
-    showStatus(`✅ ${emojiName} added${url ? ' with URL' : ' as decoration'}`, 'success');
+    addAssetToLibrary(asset);
+    showStatus(`✅ ${emojiName} added${target ? ` with ${describeActionKind(target)}` : ' as decoration'}`, 'success');
 }
 
 /**
@@ -1093,12 +1452,7 @@ function addCustomEmoji() {
     const filename = prompt('Enter the filename of your custom emoji (e.g., "Windsurf Link.png"):\n\nPlace your image in: /3C Buttons/Emojis/General/');
     if (!filename) return;
     
-    let url = prompt('Enter URL for this custom emoji (optional - leave empty for decoration only):');
-    
-    // Ensure URL has protocol if provided
-    if (url && !url.startsWith('http://') && !url.startsWith('https://')) {
-        url = 'https://' + url;
-    }
+    const target = promptElementAction('Enter the link for this custom emoji (optional - leave empty for decoration only).');
     
     // Build path to General folder
     const imagePath = '/3C Buttons/Emojis/General/' + filename;
@@ -1108,61 +1462,159 @@ function addCustomEmoji() {
     
     const asset = {
         id: Date.now(),
-        type: url ? '3c-emoji' : '3c-emoji-decoration',
-        url: url || null,
+        type: target ? '3c-emoji' : '3c-emoji-decoration',
+        ...(target || NO_ELEMENT_ACTION),
         imagePath: imagePath,
         name: emojiName,
         thumbnail: imagePath,
         embedded: false
     };
     
-    assets.push(asset);
-    renderAssetLibrary();
-    showStatus(`✅ Custom emoji "${emojiName}" added${url ? ' with URL' : ' as decoration'}`, 'success');
+    addAssetToLibrary(asset);
+    showStatus(`✅ Custom emoji "${emojiName}" added${target ? ` with ${describeActionKind(target)}` : ' as decoration'}`, 'success');
 }
 
 // Add button (interactive element)
 function addButton() {
-    const url = prompt('Enter URL for button:');
-    if (!url) return;
+    const target = promptElementAction('Enter the link for this button.');
+    if (!target) return;
     
     const text = prompt('Enter button text:') || 'Click Here';
     
     const asset = {
         id: Date.now(),
         type: 'button',
-        url: url,
+        ...target,
         name: text,
-        thumbnail: getAssetThumbnail('button', url),
+        thumbnail: getAssetThumbnail('button', target.url),
         embedded: false // Buttons are always links
     };
     
-    assets.push(asset);
-    renderAssetLibrary();
+    addAssetToLibrary(asset);
     showStatus(`✅ Button added`, 'success');
 }
 
 // Add hotspot (interactive element)
 function addHotspot() {
-    const url = prompt('Enter URL for hotspot:');
-    if (!url) return;
+    const target = promptElementAction('Enter the link for this hotspot.');
+    if (!target) return;
     
     const text = prompt('Enter hotspot name (for reference):') || 'Hotspot';
     
     const asset = {
         id: Date.now(),
         type: 'hotspot',
-        url: url,
+        ...target,
         name: text,
-        thumbnail: getAssetThumbnail('hotspot', url),
+        thumbnail: getAssetThumbnail('hotspot', target.url),
         embedded: false // Hotspots are always links
     };
     
-    assets.push(asset);
-    renderAssetLibrary();
+    addAssetToLibrary(asset);
     showStatus(`✅ Hotspot added`, 'success');
 }
 
+// ============================================
+// ELEMENT ACTIONS (external link or page jump)
+// ============================================
+
+const PAGE_JUMP_TARGETS = ['next', 'previous', 'first', 'last'];
+const NO_ELEMENT_ACTION = { action: null, url: null, targetPage: null };
+
+/**
+ * Turns what the user typed into an element action.
+ * A page number ("3" or "page 3") or next/previous/first/last jumps within the
+ * document; anything else is an external URL. Empty input means no action.
+ */
+function parseElementAction(input) {
+    const value = (input || '').trim();
+    if (!value) return null;
+    
+    const pageMatch = value.match(/^(?:page\s*)?(\d+)$/i);
+    if (pageMatch) {
+        return { action: 'goto', url: null, targetPage: parseInt(pageMatch[1], 10) };
+    }
+    
+    const keyword = value.toLowerCase();
+    if (PAGE_JUMP_TARGETS.includes(keyword)) {
+        return { action: 'goto', url: null, targetPage: keyword };
+    }
+    
+    // Ensure URL has protocol
+    const url = value.startsWith('http://') || value.startsWith('https://') ? value : 'https://' + value;
+    return { action: 'link', url: url, targetPage: null };
+}
+
+function promptElementAction(message, currentValue = '') {
+    const input = prompt(`${message}\n\nType a URL, or a page number / next / previous / first / last to jump to a page:`, currentValue);
+    return parseElementAction(input);
+}
+
+function hasElementAction(element) {
+    if (element.action === 'goto') {
+        return element.targetPage !== null && element.targetPage !== undefined;
+    }
+    return !!element.url;
+}
+
+function describeActionKind(target) {
+    return target.action === 'goto' ? 'page jump' : 'URL';
+}
+
+// Human-readable target used in tooltips and prompts ("Page 3", "Next page" or the URL)
+function describeElementAction(element) {
+    if (element.action === 'goto') {
+        if (typeof element.targetPage === 'number') return `Page ${element.targetPage}`;
+        return element.targetPage.charAt(0).toUpperCase() + element.targetPage.slice(1) + ' page';
+    }
+    return element.url || '';
+}
+
+// Returns the 0-based index of the page a jump lands on, clamped to the document
+function resolveTargetPageIndex(targetPage, currentIndex, pageCount) {
+    const targets = {
+        first: 0,
+        last: pageCount - 1,
+        next: currentIndex + 1,
+        previous: currentIndex - 1
+    };
+    const index = targetPage in targets ? targets[targetPage] : Number(targetPage) - 1;
+    return Math.min(Math.max(index, 0), pageCount - 1);
+}
+
+window.editElementAction = function(elementId) {
+    const currentPage = pages[currentPageIndex];
+    const element = currentPage.elements.find(el => el.id === elementId);
+    if (!element) return;
+    
+    if (element.locked) {
+        showStatus('🔒 Element is locked. Unlock it first to edit.', 'warning');
+        return;
+    }
+    
+    const isDecorative = element.type.startsWith('3c-emoji') || element.type.startsWith('3c-custom');
+    const currentValue = element.action === 'goto' ? String(element.targetPage) : (element.url || '');
+    const target = promptElementAction(
+        `Link for "${element.text}"${isDecorative ? ' (leave empty for decoration only)' : ''}.`,
+        currentValue
+    );
+    
+    if (!target && !isDecorative) return;
+    
+    const before = { type: element.type, action: element.action, url: element.url, targetPage: element.targetPage };
+    Object.assign(element, target || NO_ELEMENT_ACTION);
+    if (isDecorative) {
+        const baseType = element.type.replace(/-decoration$/, '');
+        element.type = target ? baseType : `${baseType}-decoration`;
+    }
+    const after = { type: element.type, action: element.action, url: element.url, targetPage: element.targetPage };
+    recordElementChange('edit link', currentPage, element, before, after);
+    
+    renderPages();
+    renderPageElements();
+    showStatus(target ? `✅ Element now links to ${describeElementAction(element)}` : '✅ Link removed', 'success');
+}
+
 function getAcceptType(type) {
     const accepts = {
         video: 'video/*',
@@ -1278,7 +1730,13 @@ function renderAssetLibrary() {
 }
 
 function deleteAsset(assetId) {
-    assets = assets.filter(a => a.id !== assetId);
+    const index = assets.findIndex(a => a.id === assetId);
+    if (index === -1) return;
+    
+    const [asset] = assets.splice(index, 1);
+    recordHistory('delete asset',
+        () => { assets.splice(index, 0, asset); },
+        () => { assets = assets.filter(a => a !== asset); });
     renderAssetLibrary();
     showStatus('Asset deleted', 'info');
 }
@@ -1315,6 +1773,8 @@ function addAssetToPage(asset) {
         id: Date.now(),
         type: asset.type,
         url: asset.url,
+        action: asset.action || 'link',
+        targetPage: asset.targetPage ?? null,
         text: asset.name,
         x: 100,
         y: 100,
@@ -1325,6 +1785,7 @@ function addAssetToPage(asset) {
     };
     
     pages[currentPageIndex].elements.push(element);
+    recordElementAdded(pages[currentPageIndex], element);
     renderPages();
     renderPageElements();
     const modeText = asset.embedded ? ' (embedded)' : '';
@@ -1374,6 +1835,7 @@ document.addEventListener('keydown', (e) => {
             };
             
             pages[currentPageIndex].elements.push(newElement);
+            recordElementAdded(pages[currentPageIndex], newElement);
             renderPages();
             renderPageElements();
             showStatus('✅ Element pasted', 'success');
@@ -1414,11 +1876,14 @@ function createElementDiv(element) {
                 <button onclick="toggleLockElement(${element.id})" class="${lockColor} text-white px-2 py-1 rounded text-xs" title="${element.locked ? 'Unlock' : 'Lock'} element">
                     <i class="fas ${lockIcon}"></i>
                 </button>
+                <button onclick="editElementAction(${element.id})" class="bg-indigo-500 text-white px-2 py-1 rounded text-xs" title="Edit link / page jump">
+                    <i class="fas fa-link"></i>
+                </button>
                 <button onclick="deleteElement(${element.id})" class="bg-red-500 text-white px-2 py-1 rounded text-xs">
                     <i class="fas fa-trash"></i>
                 </button>
             </div>
-            <img src="${element.imagePath}" class="w-full h-full object-contain cursor-pointer" title="${element.text} → ${element.url}">
+            <img src="${element.imagePath}" class="w-full h-full object-contain cursor-pointer" title="${element.text} → ${describeElementAction(element)}">
             <div class="resize-handle"></div>
         `;
         if (element.locked) {
@@ -1427,7 +1892,7 @@ function createElementDiv(element) {
         }
     } else if (element.type === '3c-emoji' || element.type === '3c-emoji-decoration') {
         // 3C Emoji Badge (circular)
-        const title = element.url ? `${element.text} → ${element.url}` : element.text;
+        const title = hasElementAction(element) ? `${element.text} → ${describeElementAction(element)}` : element.text;
         const lockIcon = element.locked ? 'fa-lock' : 'fa-lock-open';
         const lockColor = element.locked ? 'bg-yellow-500' : 'bg-gray-500';
         div.innerHTML = `
@@ -1435,6 +1900,9 @@ function createElementDiv(element) {
                 <button onclick="toggleLockElement(${element.id})" class="${lockColor} text-white px-2 py-1 rounded text-xs" title="${element.locked ? 'Unlock' : 'Lock'} element">
                     <i class="fas ${lockIcon}"></i>
                 </button>
+                <button onclick="editElementAction(${element.id})" class="bg-indigo-500 text-white px-2 py-1 rounded text-xs" title="Edit link / page jump">
+                    <i class="fas fa-link"></i>
+                </button>
                 <button onclick="deleteElement(${element.id})" class="bg-red-500 text-white px-2 py-1 rounded text-xs">
                     <i class="fas fa-trash"></i>
                 </button>
@@ -1455,6 +1923,9 @@ function createElementDiv(element) {
                 <button onclick="toggleLockElement(${element.id})" class="${lockColor} text-white px-2 py-1 rounded text-xs" title="${element.locked ? 'Unlock' : 'Lock'} element">
                     <i class="fas ${lockIcon}"></i>
                 </button>
+                <button onclick="editElementAction(${element.id})" class="bg-indigo-500 text-white px-2 py-1 rounded text-xs" title="Edit link / page jump">
+                    <i class="fas fa-link"></i>
+                </button>
                 <button onclick="deleteElement(${element.id})" class="bg-red-500 text-white px-2 py-1 rounded text-xs">
                     <i class="fas fa-trash"></i>
                 </button>
@@ -1479,6 +1950,9 @@ function createElementDiv(element) {
                 <button onclick="toggleLockElement(${element.id})" class="${lockColor} text-white px-2 py-1 rounded text-xs" title="${element.locked ? 'Unlock' : 'Lock'} element">
                     <i class="fas ${lockIcon}"></i>
                 </button>
+                <button onclick="editElementAction(${element.id})" class="bg-indigo-500 text-white px-2 py-1 rounded text-xs" title="Edit link / page jump">
+                    <i class="fas fa-link"></i>
+                </button>
                 <button onclick="deleteElement(${element.id})" class="bg-red-500 text-white px-2 py-1 rounded text-xs">
                     <i class="fas fa-trash"></i>
                 </button>
@@ -1625,6 +2099,10 @@ function startDrag(e) {
     draggedElement.classList.add('selected');
     draggedElement.style.zIndex = '100'; // Bring to front while dragging
     
+    if (dragElement) {
+        gestureStart = { page: pages[currentPageIndex], element: dragElement, x: dragElement.x, y: dragElement.y };
+    }
+    
     document.addEventListener('mousemove', drag);
     document.addEventListener('mouseup', stopDrag);
     
@@ -1674,6 +2152,14 @@ function drag(e) {
 }
 
 function stopDrag() {
+    if (gestureStart) {
+        const { page, element, x, y } = gestureStart;
+        if (element.x !== x || element.y !== y) {
+            recordElementChange('move element', page, element, { x, y }, { x: element.x, y: element.y });
+        }
+        gestureStart = null;
+    }
+    
     if (draggedElement) {
         draggedElement.classList.remove('selected');
         draggedElement.style.zIndex = '10'; // Reset z-index
@@ -1699,6 +2185,10 @@ function startResize(e) {
     
     resizing = true;
     
+    if (elementData) {
+        gestureStart = { page: currentPage, element: elementData, width: elementData.width, height: elementData.height };
+    }
+    
     document.addEventListener('mousemove', resize);
     document.addEventListener('mouseup', stopResize);
     
@@ -1738,6 +2228,14 @@ function resize(e) {
 }
 
 function stopResize() {
+    if (gestureStart) {
+        const { page, element, width, height } = gestureStart;
+        if (element.width !== width || element.height !== height) {
+            recordElementChange('resize element', page, element, { width, height }, { width: element.width, height: element.height });
+        }
+        gestureStart = null;
+    }
+    
     resizing = false;
     draggedElement = null;
     document.removeEventListener('mousemove', resize);
@@ -1754,7 +2252,13 @@ window.deleteElement = function(elementId) {
         return;
     }
     
-    currentPage.elements = currentPage.elements.filter(el => el.id !== elementId);
+    if (!element) return;
+    
+    const index = removeElement(currentPage, element);
+    recordHistory('delete element',
+        () => insertElement(currentPage, element, index),
+        () => removeElement(currentPage, element));
+    
     renderPages();
     renderPageElements();
     showStatus('Element deleted', 'info');
@@ -1766,13 +2270,348 @@ window.toggleLockElement = function(elementId) {
     const element = currentPage.elements.find(el => el.id === elementId);
     
     if (element) {
-        element.locked = !element.locked;
+        const wasLocked = !!element.locked;
+        element.locked = !wasLocked;
+        recordElementChange(element.locked ? 'lock element' : 'unlock element', currentPage, element,
+            { locked: wasLocked }, { locked: !wasLocked });
         renderPages();
         renderPageElements();
         showStatus(element.locked ? '🔒 Element locked' : '🔓 Element unlocked', 'success');
     }
 }
 
+// ============================================
+// UNDO / REDO HISTORY
+// ============================================
+
+// Commands keep references to the page/element/asset objects they touch rather than
+// snapshots, so a background image is held once no matter how many entries mention it.
+// Only data that has left the project (deleted pages, replaced backgrounds) counts
+// against the retained-bytes budget.
+const HISTORY_LIMIT = 100;
+const HISTORY_MAX_RETAINED_BYTES = 50 * 1024 * 1024;
+
+const undoStack = [];
+const redoStack = [];
+
+function recordHistory(label, undo, redo, retainedBytes = 0) {
+    undoStack.push({ label, undo, redo, retainedBytes });
+    redoStack.length = 0;
+    
+    let totalRetained = undoStack.reduce((sum, command) => sum + command.retainedBytes, 0);
+    while (undoStack.length > HISTORY_LIMIT || (totalRetained > HISTORY_MAX_RETAINED_BYTES && undoStack.length > 1)) {
+        totalRetained -= undoStack.shift().retainedBytes;
+    }
+    
+    updateHistoryButtons();
+    scheduleAutosave();
+}
+
+function clearHistory() {
+    undoStack.length = 0;
+    redoStack.length = 0;
+    updateHistoryButtons();
+}
+
+function undo() {
+    const command = undoStack.pop();
+    if (!command) {
+        showStatus('Nothing to undo', 'info');
+        return;
+    }
+    
+    command.undo();
+    redoStack.push(command);
+    refreshAfterHistoryChange();
+    showStatus(`↩️ Undo: ${command.label}`, 'info');
+}
+
+function redo() {
+    const command = redoStack.pop();
+    if (!command) {
+        showStatus('Nothing to redo', 'info');
+        return;
+    }
+    
+    command.redo();
+    undoStack.push(command);
+    refreshAfterHistoryChange();
+    showStatus(`↪️ Redo: ${command.label}`, 'info');
+}
+
+function refreshAfterHistoryChange() {
+    currentPageIndex = Math.min(Math.max(currentPageIndex, 0), pages.length - 1);
+    renderPages();
+    renderPageThumbnails();
+    renderPageElements();
+    renderAssetLibrary();
+    updatePageCounter();
+    updateHistoryButtons();
+    scheduleAutosave();
+}
+
+function updateHistoryButtons() {
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+    
+    if (undoBtn) {
+        undoBtn.disabled = undoStack.length === 0;
+        undoBtn.title = undoStack.length ? `Undo ${undoStack[undoStack.length - 1].label} (Ctrl+Z)` : 'Nothing to undo';
+    }
+    if (redoBtn) {
+        redoBtn.disabled = redoStack.length === 0;
+        redoBtn.title = redoStack.length ? `Redo ${redoStack[redoStack.length - 1].label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+    }
+}
+
+// Shows the page an undone/redone edit belongs to, if it is still in the project
+function focusPage(page) {
+    const index = pages.indexOf(page);
+    if (index !== -1) {
+        currentPageIndex = index;
+    }
+}
+
+function renumberPages() {
+    pages.forEach((page, index) => {
+        page.pageNumber = index + 1;
+    });
+}
+
+function insertElement(page, element, index = page.elements.length) {
+    page.elements.splice(index, 0, element);
+    focusPage(page);
+}
+
+function removeElement(page, element) {
+    const index = page.elements.indexOf(element);
+    if (index !== -1) {
+        page.elements.splice(index, 1);
+    }
+    focusPage(page);
+    return index;
+}
+
+function recordElementAdded(page, element) {
+    const index = page.elements.indexOf(element);
+    recordHistory('add element',
+        () => removeElement(page, element),
+        () => insertElement(page, element, index));
+}
+
+function recordElementChange(label, page, element, before, after) {
+    recordHistory(label,
+        () => { Object.assign(element, before); focusPage(page); },
+        () => { Object.assign(element, after); focusPage(page); });
+}
+
+function insertPage(page, index) {
+    pages.splice(index, 0, page);
+    renumberPages();
+    currentPageIndex = index;
+}
+
+function removePage(page) {
+    const index = pages.indexOf(page);
+    if (index !== -1) {
+        pages.splice(index, 1);
+        renumberPages();
+    }
+    if (currentPageIndex >= pages.length) {
+        currentPageIndex = pages.length - 1;
+    }
+}
+
+function swapPages(firstIndex, secondIndex) {
+    [pages[firstIndex], pages[secondIndex]] = [pages[secondIndex], pages[firstIndex]];
+    renumberPages();
+}
+
+function addAssetToLibrary(asset) {
+    assets.push(asset);
+    renderAssetLibrary();
+    recordHistory('add asset',
+        () => { assets = assets.filter(a => a !== asset); },
+        () => { assets.push(asset); });
+}
+
+// ============================================
+// LOCAL AUTOSAVE & CRASH RECOVERY
+// ============================================
+
+// Every recorded edit and settings change schedules a write of the project to IndexedDB
+// (see localAutosave.js). Autosave stays off until startup has checked for a leftover
+// copy, so the blank first page can't overwrite work from a crashed session.
+const AUTOSAVE_DELAY_MS = 1500;
+const AUTOSAVE_SETTINGS_FIELDS = ['pdfTitle', 'pdfAuthor', 'pageSize', 'orientation', 'folderName', 'subfolderName', 'partNumber', 'embeddedMode', 'flipbookMode', 'presentationMode'];
+
+let autosaveEnabled = false;
+let autosaveTimer = null;
+let autosaveFailureShown = false;
+
+function getAutosaveKey() {
+    return currentProjectId || UNSAVED_PROJECT_KEY;
+}
+
+function buildAutosaveData() {
+    const { title, settings } = buildProjectExport();
+    return { pages, assets, currentPageIndex, settings: { title, ...settings } };
+}
+
+function setupLocalAutosave() {
+    AUTOSAVE_SETTINGS_FIELDS.forEach(id => {
+        document.getElementById(id)?.addEventListener('input', scheduleAutosave);
+        document.getElementById(id)?.addEventListener('change', scheduleAutosave);
+    });
+    
+    // Write immediately when the tab is hidden or closed rather than waiting out the delay
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden' && autosaveTimer) flushAutosave();
+    });
+    window.addEventListener('pagehide', () => {
+        if (autosaveTimer) flushAutosave();
+    });
+}
+
+function scheduleAutosave() {
+    if (!autosaveEnabled) return;
+    clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(flushAutosave, AUTOSAVE_DELAY_MS);
+}
+
+async function flushAutosave() {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = null;
+    if (!autosaveEnabled) return;
+    
+    try {
+        await saveLocalAutosave(getAutosaveKey(), buildAutosaveData());
+        autosaveFailureShown = false;
+    } catch (error) {
+        console.warn('Local autosave failed:', error);
+        if (!autosaveFailureShown) {
+            autosaveFailureShown = true;
+            showStatus('⚠️ Local autosave failed: ' + error.message, 'warning');
+        }
+    }
+}
+
+// Called once the project has been saved to Supabase/R2 (or reset)
+async function clearLocalAutosave() {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = null;
+    
+    try {
+        await deleteLocalAutosave(UNSAVED_PROJECT_KEY);
+        if (currentProjectId) await deleteLocalAutosave(currentProjectId);
+    } catch (error) {
+        console.warn('Could not clear local autosave:', error);
+    }
+}
+
+function isBlankProject(project) {
+    const projectPages = project.pages || [];
+    return projectPages.length <= 1 &&
+        projectPages.every(page => !page.background && !(page.elements || []).length) &&
+        !(project.assets || []).length;
+}
+
+/**
+ * Offer to restore the local copy if it is newer than the saved draft.
+ * savedProject is the project JSON from R2 (null for a project that was never saved).
+ */
+async function checkForLocalRecovery(savedProject = null, savedAt = null) {
+    try {
+        const snapshot = await getLocalAutosave(getAutosaveKey());
+        if (!snapshot) return;
+        
+        const isStale = savedAt && new Date(snapshot.savedAt) <= new Date(savedAt);
+        const summary = summarizeProjectChanges(snapshot.project, savedProject);
+        
+        if (isStale || !hasProjectChanges(summary) || (!savedProject && isBlankProject(snapshot.project))) {
+            await deleteLocalAutosave(snapshot.key);
+            return;
+        }
+        
+        const restore = await showRecoveryPrompt(snapshot, summary, !!savedProject);
+        if (restore) {
+            restoreLocalSnapshot(snapshot.project);
+            showStatus('♻️ Unsaved changes restored - click Save Draft to keep them', 'success');
+        } else {
+            await deleteLocalAutosave(snapshot.key);
+            showStatus('🗑️ Local changes discarded', 'info');
+        }
+    } catch (error) {
+        console.warn('Local recovery check failed:', error);
+    } finally {
+        autosaveEnabled = true;
+    }
+}
+
+function restoreLocalSnapshot(project) {
+    pages = project.pages || [];
+    assets = project.assets || [];
+    currentPageIndex = Math.min(project.currentPageIndex || 0, Math.max(pages.length - 1, 0));
+    
+    if (project.settings) {
+        applyProjectSettings(project.settings);
+    }
+    
+    renderPages();
+    renderPageThumbnails();
+    renderAssetLibrary();
+    updatePageCounter();
+    clearHistory();
+}
+
+function showRecoveryPrompt(snapshot, summary, hasSavedDraft) {
+    return new Promise((resolve) => {
+        const savedAt = new Date(snapshot.savedAt).toLocaleString();
+        const changes = describeProjectChanges(summary)
+            .map(line => `<li>${line}</li>`)
+            .join('');
+        
+        const overlay = document.createElement('div');
+        overlay.className = 'fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4';
+        
+        const popup = document.createElement('div');
+        popup.className = 'bg-white rounded-lg shadow-2xl max-w-md w-full p-6 relative';
+        popup.innerHTML = `
+            <div class="text-center mb-4">
+                <i class="fas fa-life-ring text-5xl text-purple-600 mb-3"></i>
+                <h3 class="text-xl font-bold text-gray-800 mb-2">Recover Unsaved Changes?</h3>
+                <p class="text-sm text-gray-600 mb-3">
+                    A local copy from <strong>${savedAt}</strong> has changes that
+                    ${hasSavedDraft ? 'are newer than your saved draft' : 'were never saved'}:
+                </p>
+                <ul class="bg-purple-50 border border-purple-200 rounded p-3 mb-4 text-sm text-purple-800 text-left list-disc list-inside">
+                    ${changes}
+                </ul>
+            </div>
+            <div class="flex gap-3">
+                <button id="discardLocalChanges" class="flex-1 bg-gray-200 hover:bg-gray-300 text-gray-800 px-4 py-2 rounded font-medium transition">
+                    <i class="fas fa-trash mr-1"></i>Discard
+                </button>
+                <button id="restoreLocalChanges" class="flex-1 bg-purple-600 hover:bg-purple-700 text-white px-4 py-2 rounded font-medium transition">
+                    <i class="fas fa-undo mr-1"></i>Restore
+                </button>
+            </div>
+        `;
+        
+        overlay.appendChild(popup);
+        document.body.appendChild(overlay);
+        
+        document.getElementById('restoreLocalChanges').onclick = () => {
+            overlay.remove();
+            resolve(true);
+        };
+        document.getElementById('discardLocalChanges').onclick = () => {
+            overlay.remove();
+            resolve(false);
+        };
+    });
+}
+
 // ============================================
 // COPY/PASTE FUNCTIONALITY
 // ============================================
@@ -1795,6 +2634,20 @@ function setupCopyPasteShortcuts() {
             e.preventDefault();
             pasteElement();
         }
+        
+        // Ctrl+Z - Undo, Ctrl+Shift+Z or Ctrl+Y - Redo
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+            e.preventDefault();
+            if (e.shiftKey) {
+                redo();
+            } else {
+                undo();
+            }
+        }
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'y') {
+            e.preventDefault();
+            redo();
+        }
     });
 }
 
@@ -1835,6 +2688,7 @@ function pasteElement() {
     };
     
     currentPage.elements.push(newElement);
+    recordElementAdded(currentPage, newElement);
     
     renderPages();
     renderPageElements();
@@ -1974,6 +2828,10 @@ async function generatePDF() {
                             class="bg-green-600 text-white px-4 py-2 rounded hover:bg-green-700 transition">
                         <i class="fas fa-download mr-2"></i>Export JSON
                     </button>
+                    <button onclick="downloadInteractivePDF()" 
+                            class="bg-purple-600 text-white px-4 py-2 rounded hover:bg-purple-700 transition mt-2">
+                        <i class="fas fa-file-pdf mr-2"></i>Download PDF
+                    </button>
                 </div>
             `;
         }
@@ -2244,6 +3102,8 @@ async function loadProjectFromURL() {
     
     if (projectId) {
         await loadProject(projectId);
+    } else {
+        await checkForLocalRecovery();
     }
 }
 
@@ -2267,6 +3127,20 @@ async function loadProject(projectId) {
             ? JSON.parse(project.project_json) 
             : project.project_json;
         
+        // Move any inline base64 images to R2 and rewrite the draft once
+        const savedAt = projectJson.savedAt || project.updated_at;
+        try {
+            const migrated = await migrateInlineImages(projectJson);
+            if (migrated > 0) {
+                showStatus(`☁️ Moved ${migrated} embedded image(s) to cloud storage, updating draft...`, 'info');
+                await uploadJSONToR2(project.id, projectJson);
+                console.log(`Migrated ${migrated} inline image(s) to R2 for project ${project.id}`);
+            }
+        } catch (error) {
+            console.warn('Image migration failed, keeping inline images:', error);
+            showStatus('⚠️ Could not move embedded images to cloud storage: ' + error.message, 'warning');
+        }
+        
         // Restore pages and assets
         pages = projectJson.pages || [];
         assets = projectJson.assets || [];
@@ -2274,46 +3148,7 @@ async function loadProject(projectId) {
         
         // Restore settings
         if (projectJson.settings) {
-            embeddedMode = projectJson.settings.embeddedMode || false;
-            flipbookMode = projectJson.settings.flipbookMode !== undefined ? projectJson.settings.flipbookMode : true;
-            presentationMode = projectJson.settings.presentationMode !== undefined ? projectJson.settings.presentationMode : false;
-            document.getElementById('pageSize').value = projectJson.settings.pageSize || 'A4';
-            document.getElementById('orientation').value = projectJson.settings.orientation || 'portrait';
-            document.getElementById('pdfTitle').value = projectJson.settings.title || project.title || 'Untitled PDF';
-            document.getElementById('pdfAuthor').value = projectJson.settings.author || project.author || 'PDF Creator';
-            
-            // Restore description if field exists
-            const descField = document.getElementById('pdfDescription');
-            if (descField) {
-                descField.value = projectJson.settings.description || project.description || '';
-            }
-            
-            // Restore folder and subfolder fields
-            console.log('Loading folder/subfolder:', {
-                folderName: projectJson.settings.folderName,
-                subfolderName: projectJson.settings.subfolderName
-            });
-            
-            if (document.getElementById('folderName')) {
-                document.getElementById('folderName').value = projectJson.settings.folderName || '';
-                console.log('Set folder field to:', document.getElementById('folderName').value);
-            }
-            if (document.getElementById('subfolderName')) {
-                document.getElementById('subfolderName').value = projectJson.settings.subfolderName || '';
-                console.log('Set subfolder field to:', document.getElementById('subfolderName').value);
-            }
-            
-            // Update folder path preview
-            updateFolderPathPreview();
-            
-            // Update toggles
-            document.getElementById('embeddedMode').checked = embeddedMode;
-            document.getElementById('flipbookMode').checked = flipbookMode;
-            document.getElementById('presentationMode').checked = presentationMode;
-            
-            // Trigger toggle functions to update UI state
-            toggleFlipbookMode();
-            togglePresentationMode();
+            applyProjectSettings(projectJson.settings, project);
         }
         
         // Render everything
@@ -2321,13 +3156,71 @@ async function loadProject(projectId) {
         renderPageThumbnails();
         renderAssetLibrary();
         updatePageCounter();
+        clearHistory();
         
         showStatus(`✅ Project loaded: ${project.title || 'Untitled'}`, 'success');
         
+        await checkForLocalRecovery(projectJson, savedAt);
+        
     } catch (error) {
         console.error('Load error:', error);
         showStatus('❌ Failed to load project: ' + error.message, 'error');
+        autosaveEnabled = true;
+    }
+}
+
+// Applies saved project settings to the mode flags and Project Settings form.
+// `project` supplies fallbacks from the Supabase row (title, author, description).
+function applyProjectSettings(settings, project = {}) {
+    embeddedMode = settings.embeddedMode || false;
+    flipbookMode = settings.flipbookMode !== undefined ? settings.flipbookMode : true;
+    presentationMode = settings.presentationMode !== undefined ? settings.presentationMode : false;
+    document.getElementById('pageSize').value = settings.pageSize || 'A4';
+    document.getElementById('orientation').value = settings.orientation || 'portrait';
+    document.getElementById('pdfTitle').value = settings.title || project.title || 'Untitled PDF';
+    document.getElementById('pdfAuthor').value = settings.author || project.author || 'PDF Creator';
+    
+    // Restore description if field exists
+    const descField = document.getElementById('pdfDescription');
+    if (descField) {
+        descField.value = settings.description || project.description || '';
+    }
+    
+    // Restore folder and subfolder fields
+    console.log('Loading folder/subfolder:', {
+        folderName: settings.folderName,
+        subfolderName: settings.subfolderName
+    });
+    
+    if (document.getElementById('folderName')) {
+        document.getElementById('folderName').value = settings.folderName || '';
+        console.log('Set folder field to:', document.getElementById('folderName').value);
+    }
+    if (document.getElementById('subfolderName')) {
+        document.getElementById('subfolderName').value = settings.subfolderName || '';
+        console.log('Set subfolder field to:', document.getElementById('subfolderName').value);
+    }
+    
+    const versionField = document.getElementById('versionNumber');
+    if (versionField && settings.versionNumber) {
+        versionField.value = settings.versionNumber;
+    }
+    const partField = document.getElementById('partNumber');
+    if (partField) {
+        partField.value = settings.partNumber || '';
     }
+    
+    // Update folder path preview
+    updateFolderPathPreview();
+    
+    // Update toggles
+    document.getElementById('embeddedMode').checked = embeddedMode;
+    document.getElementById('flipbookMode').checked = flipbookMode;
+    document.getElementById('presentationMode').checked = presentationMode;
+    
+    // Trigger toggle functions to update UI state
+    toggleFlipbookMode();
+    togglePresentationMode();
 }
 
 // ============================================
@@ -2388,6 +3281,7 @@ function resetProject() {
         
         // Clear localStorage
         localStorage.removeItem('pdfCreatorDraft');
+        clearLocalAutosave();
         
         // Update folder path preview
         updateFolderPathPreview();
@@ -2397,6 +3291,7 @@ function resetProject() {
         renderPageThumbnails();
         renderAssetLibrary();
         updatePageCounter();
+        clearHistory();
         
         // Hide results and status
         hideResults();
@@ -2438,11 +3333,12 @@ function previewFlipbook() {
         author: document.getElementById('pdfAuthor').value || 'Chef',
         pages: pages.map((page, index) => ({
             pageNumber: index + 1,
-            background: page.backgroundData,
+            background: getPageBackground(page),
             hotspots: page.elements.map(el => ({
                 type: el.type || 'button',
                 title: el.label || el.text || 'Interactive Element',
                 action: el.action || 'link',
+                targetPage: el.targetPage ?? null,
                 url: el.url || el.link || '#',
                 videoUrl: el.videoUrl,
                 streamId: el.streamId,
@@ -2518,11 +3414,12 @@ function previewPresentation() {
         author: document.getElementById('pdfAuthor').value || 'Chef',
         pages: pages.map((page, index) => ({
             pageNumber: index + 1,
-            background: page.backgroundData,
+            background: getPageBackground(page),
             hotspots: page.elements.map(el => ({
                 type: el.type || 'button',
                 title: el.label || el.text || 'Interactive Element',
                 action: el.action || 'link',
+                targetPage: el.targetPage ?? null,
                 url: el.url || el.link || '#',
                 videoUrl: el.videoUrl,
                 streamId: el.streamId,
@@ -2581,11 +3478,14 @@ setTimeout(() => {
 // CUSTOM 3C BUTTON/EMOJI UPLOAD
 // ============================================
 
-function handleCustom3CUpload(event) {
+async function handleCustom3CUpload(event) {
     const file = event.target.files[0];
     if (!file) return;
     
-    const url = prompt('Enter URL for this custom 3C asset (optional - leave empty for decoration only):');
+    // Reset file input
+    event.target.value = '';
+    
+    const target = promptElementAction('Enter the link for this custom 3C asset (optional - leave empty for decoration only).');
     const name = prompt('Enter a name for this asset:', file.name.replace(/\.[^/.]+$/, ""));
     
     if (!name) {
@@ -2593,26 +3493,25 @@ function handleCustom3CUpload(event) {
         return;
     }
     
-    const reader = new FileReader();
-    reader.onload = function(e) {
-        const asset = {
-            id: Date.now(),
-            type: url ? '3c-custom' : '3c-custom-decoration',
-            url: url || null,
-            imagePath: e.target.result, // Base64 data URL
-            name: name,
-            thumbnail: e.target.result,
-            embedded: false
-        };
-        
-        assets.push(asset);
-        renderAssetLibrary();
-        showStatus(`✅ ${name} uploaded${url ? ' with URL' : ' as decoration'}`, 'success');
+    showStatus(`☁️ Uploading ${name}...`, 'info');
+    const stored = await storeImage(file);
+    
+    const asset = {
+        id: Date.now(),
+        type: target ? '3c-custom' : '3c-custom-decoration',
+        ...(target || NO_ELEMENT_ACTION),
+        imagePath: stored.url, // R2 URL (data URL if the upload failed)
+        name: name,
+        thumbnail: stored.url,
+        embedded: false
     };
-    reader.readAsDataURL(file);
     
-    // Reset file input
-    event.target.value = '';
+    addAssetToLibrary(asset);
+    if (stored.inline) {
+        showStatus(`⚠️ ${name} added, but the upload failed - it is stored in the draft for now`, 'warning');
+    } else {
+        showStatus(`✅ ${name} uploaded${target ? ` with ${describeActionKind(target)}` : ' as decoration'}`, 'success');
+    }
 }
 
 // ============================================
@@ -2785,8 +3684,8 @@ function updatePreviewPage() {
     container.style.overflow = 'hidden';
     
     // Add background
-    if (page.backgroundData) {
-        container.style.backgroundImage = `url('${page.backgroundData}')`;
+    if (getPageBackground(page)) {
+        container.style.backgroundImage = `url('${getPageBackground(page)}')`;
         container.style.backgroundSize = 'cover';
         container.style.backgroundPosition = 'center';
     } else {
@@ -2801,7 +3700,7 @@ function updatePreviewPage() {
         el.style.top = element.y + 'px';
         el.style.width = element.width + 'px';
         el.style.height = element.height + 'px';
-        el.style.cursor = element.url ? 'pointer' : 'default';
+        el.style.cursor = hasElementAction(element) ? 'pointer' : 'default';
         
         if (element.type === '3c-button' || element.type === '3c-emoji' || element.type === '3c-emoji-decoration') {
             const img = document.createElement('img');
@@ -2854,8 +3753,15 @@ function updatePreviewPage() {
             el.style.border = '2px dashed rgba(255, 165, 0, 0.3)';
         }
         
-        // Add click handler for elements with URLs
-        if (element.url) {
+        // Page jumps navigate the preview itself
+        if (element.action === 'goto' && hasElementAction(element)) {
+            el.title = `Go to: ${describeElementAction(element)}`;
+            el.onclick = () => {
+                previewCurrentPage = resolveTargetPageIndex(element.targetPage, previewCurrentPage, pages.length);
+                updatePreviewPage();
+            };
+        } else if (element.url) {
+            // Add click handler for elements with URLs
             el.title = `Click to visit: ${element.url}`;
             el.onclick = () => {
                 console.log('🔗 Editor preview - Opening URL:', element.url);
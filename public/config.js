@@ -142,12 +142,14 @@ window.DEFAULT_CONFIG = {
   actions: {
     enableJavaScript: true,
     maxActionLength: 10000,
+    // Build-time lint for direct this./app. calls in scripts - not a sandbox for untrusted JavaScript
     allowedMethods: [
       'this.print',
       'this.resetForm',
       'this.submitForm',
       'app.alert',
-      'app.response'
+      'app.response',
+      'this.getField'
     ]
   }
 };
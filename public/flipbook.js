@@ -293,7 +293,9 @@ async function renderPagesAtScale() {
             
             // Get background source
             let backgroundSource = null;
-            if (page.backgroundData) {
+            if (page.backgroundUrl) {
+                backgroundSource = page.backgroundUrl;
+            } else if (page.backgroundData) {
                 backgroundSource = page.backgroundData;
             } else if (page.background && page.background.startsWith('data:')) {
                 backgroundSource = page.background;
@@ -560,13 +562,43 @@ function isPointInHotspot(x, y, bounds) {
            y <= bounds.y + bounds.height;
 }
 
+/**
+ * Page-jump actions set in the builder (action 'goto' with a page number or next/previous/first/last)
+ */
+function isPageJump(element) {
+    return element.action === 'goto' && element.targetPage !== undefined && element.targetPage !== null;
+}
+
+function goToTargetPage(targetPage) {
+    const flipbook = $('#flipbook');
+    const current = flipbook.turn('page');
+    const targets = {
+        first: 1,
+        last: totalPages,
+        next: current + 1,
+        previous: current - 1
+    };
+    const page = targetPage in targets ? targets[targetPage] : Number(targetPage);
+    
+    if (!Number.isFinite(page)) {
+        console.warn('Invalid page jump target:', targetPage);
+        return;
+    }
+    
+    const clampedPage = Math.min(Math.max(page, 1), totalPages);
+    console.log('Page jump:', targetPage, '→ page', clampedPage);
+    flipbook.turn('page', clampedPage);
+}
+
 /**
  * Handle hotspot click
  */
 function handleHotspotClick(hotspot) {
     console.log('Hotspot clicked:', hotspot);
     
-    if (hotspot.type === 'video' || hotspot.type === 'cloudflare-stream') {
+    if (isPageJump(hotspot)) {
+        goToTargetPage(hotspot.targetPage);
+    } else if (hotspot.type === 'video' || hotspot.type === 'cloudflare-stream') {
         playVideo(hotspot);
     } else if (hotspot.type === 'audio') {
         playAudio(hotspot);
@@ -1091,7 +1123,9 @@ function renderInteractiveElements(pageDiv, elements, pageWidth, pageHeight) {
                 e.preventDefault();
                 try {
                     console.log('3C Button clicked:', element.text, '| URL:', element.url);
-                    if (element.url) {
+                    if (isPageJump(element)) {
+                        goToTargetPage(element.targetPage);
+                    } else if (element.url) {
                         // Ensure URL has protocol (fix for legacy buttons)
                         let buttonUrl = element.url;
                         if (!buttonUrl.startsWith('http://') && !buttonUrl.startsWith('https://')) {
@@ -1133,11 +1167,11 @@ function renderInteractiveElements(pageDiv, elements, pageWidth, pageHeight) {
                     width: '100%',
                     height: '100%',
                     objectFit: 'contain',
-                    cursor: element.url ? 'pointer' : 'default',
+                    cursor: element.url || isPageJump(element) ? 'pointer' : 'default',
                     transition: 'transform 0.2s'
                 });
                 
-                if (element.url) {
+                if (element.url || isPageJump(element)) {
                     img.hover(
                         function() { $(this).css('transform', 'scale(1.05)'); },
                         function() { $(this).css('transform', 'scale(1)'); }
@@ -1148,6 +1182,10 @@ function renderInteractiveElements(pageDiv, elements, pageWidth, pageHeight) {
                         e.preventDefault();
                         try {
                             console.log('3C Emoji clicked:', element.name, '| URL:', element.url);
+                            if (isPageJump(element)) {
+                                goToTargetPage(element.targetPage);
+                                return;
+                            }
                             let emojiUrl = element.url;
                             if (!emojiUrl.startsWith('http://') && !emojiUrl.startsWith('https://')) {
                                 emojiUrl = 'https://' + emojiUrl;
@@ -1190,7 +1228,9 @@ function renderInteractiveElements(pageDiv, elements, pageWidth, pageHeight) {
                 e.stopPropagation();
                 e.preventDefault();
                 try {
-                    if (element.url) {
+                    if (isPageJump(element)) {
+                        goToTargetPage(element.targetPage);
+                    } else if (element.url) {
                         // Check if it's a video URL - use overlay popup
                         if (isVideoUrl(element.url)) {
                             playVideo(element);
@@ -1220,7 +1260,9 @@ function renderInteractiveElements(pageDiv, elements, pageWidth, pageHeight) {
                 e.stopPropagation();
                 e.preventDefault();
                 try {
-                    if (element.url) {
+                    if (isPageJump(element)) {
+                        goToTargetPage(element.targetPage);
+                    } else if (element.url) {
                         // Check if it's a video URL - use overlay popup
                         if (isVideoUrl(element.url)) {
                             playVideo(element);
@@ -1447,7 +1489,9 @@ function setupInteractiveElementHandlers() {
         console.log('Element data:', elementData);
         
         // Handle different element types
-        if (elementType === '3c-button' || elementType === 'button') {
+        if (isPageJump(elementData)) {
+            goToTargetPage(elementData.targetPage);
+        } else if (elementType === '3c-button' || elementType === 'button') {
             if (elementData.url) {
                 console.log('📍 URL:', elementData.url);
                 
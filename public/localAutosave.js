@@ -0,0 +1,173 @@
+/**
+ * Local Autosave for Interactive PDF Builder
+ * Keeps a crash-safe copy of the open project in the browser's IndexedDB
+ *
+ * - One record per project, keyed by project ID ('unsaved' until the first Save Draft)
+ * - Records hold the same project data saveDraft() uploads to R2, plus savedAt
+ * - Records are removed once the project is saved, so a leftover record means
+ *   the tab closed (or crashed) with unsaved work
+ */
+
+const AUTOSAVE_DB_NAME = 'interactive-pdf-builder';
+const AUTOSAVE_DB_VERSION = 1;
+const AUTOSAVE_STORE = 'autosaves';
+const UNSAVED_PROJECT_KEY = 'unsaved';
+
+let autosaveDBPromise = null;
+
+function openAutosaveDB() {
+    if (!autosaveDBPromise) {
+        autosaveDBPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(AUTOSAVE_DB_NAME, AUTOSAVE_DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(AUTOSAVE_STORE, { keyPath: 'key' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Allow a later call to retry (e.g. after the user frees up storage)
+        autosaveDBPromise.catch(() => { autosaveDBPromise = null; });
+    }
+    return autosaveDBPromise;
+}
+
+async function runAutosaveRequest(mode, makeRequest) {
+    const db = await openAutosaveDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(AUTOSAVE_STORE, mode);
+        const request = makeRequest(transaction.objectStore(AUTOSAVE_STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Autosave transaction aborted'));
+    });
+}
+
+/**
+ * Store a snapshot of the project. Page and asset objects are structured-cloned,
+ * so background images are written as-is without a JSON round trip.
+ */
+async function saveLocalAutosave(key, projectData) {
+    const record = { key, savedAt: new Date().toISOString(), project: projectData };
+    await runAutosaveRequest('readwrite', store => store.put(record));
+    return record;
+}
+
+async function getLocalAutosave(key) {
+    return (await runAutosaveRequest('readonly', store => store.get(key))) || null;
+}
+
+async function deleteLocalAutosave(key) {
+    await runAutosaveRequest('readwrite', store => store.delete(key));
+}
+
+/**
+ * Compare a local snapshot against the saved project (or null for a brand-new one).
+ * Pages and elements are matched by ID so reordering does not count as a change.
+ */
+function summarizeProjectChanges(localProject, savedProject) {
+    const localPages = localProject?.pages || [];
+    const savedPages = savedProject?.pages || [];
+    const savedPagesById = new Map(savedPages.map(page => [page.id, page]));
+    const localPageIds = new Set(localPages.map(page => page.id));
+
+    const summary = {
+        pagesAdded: 0,
+        pagesRemoved: savedPages.filter(page => !localPageIds.has(page.id)).length,
+        pagesChanged: 0,
+        pagesReordered: false,
+        elementsAdded: 0,
+        elementsRemoved: 0,
+        elementsChanged: 0,
+        backgroundsChanged: 0,
+        assetsAdded: 0,
+        assetsRemoved: 0,
+        settingsChanged: []
+    };
+
+    const sharedLocalOrder = localPages.filter(page => savedPagesById.has(page.id)).map(page => page.id);
+    const sharedSavedOrder = savedPages.filter(page => localPageIds.has(page.id)).map(page => page.id);
+    summary.pagesReordered = sharedLocalOrder.join('|') !== sharedSavedOrder.join('|');
+
+    localPages.forEach(page => {
+        const savedPage = savedPagesById.get(page.id);
+        if (!savedPage) {
+            summary.pagesAdded++;
+            summary.elementsAdded += (page.elements || []).length;
+            return;
+        }
+
+        const elements = page.elements || [];
+        const savedElements = new Map((savedPage.elements || []).map(element => [element.id, element]));
+        const elementIds = new Set(elements.map(element => element.id));
+        let pageChanged = false;
+
+        elements.forEach(element => {
+            const savedElement = savedElements.get(element.id);
+            if (!savedElement) {
+                summary.elementsAdded++;
+                pageChanged = true;
+            } else if (JSON.stringify(savedElement) !== JSON.stringify(element)) {
+                summary.elementsChanged++;
+                pageChanged = true;
+            }
+        });
+
+        savedElements.forEach((element, id) => {
+            if (!elementIds.has(id)) {
+                summary.elementsRemoved++;
+                pageChanged = true;
+            }
+        });
+
+        if ((page.background || null) !== (savedPage.background || null)) {
+            summary.backgroundsChanged++;
+            pageChanged = true;
+        }
+
+        if (pageChanged) summary.pagesChanged++;
+    });
+
+    const localAssetIds = new Set((localProject?.assets || []).map(asset => asset.id));
+    const savedAssetIds = new Set((savedProject?.assets || []).map(asset => asset.id));
+    summary.assetsAdded = [...localAssetIds].filter(id => !savedAssetIds.has(id)).length;
+    summary.assetsRemoved = [...savedAssetIds].filter(id => !localAssetIds.has(id)).length;
+
+    const localSettings = localProject?.settings || {};
+    const savedSettings = savedProject?.settings || {};
+    summary.settingsChanged = Object.keys(localSettings).filter(name =>
+        savedProject && (localSettings[name] ?? '') !== (savedSettings[name] ?? '')
+    );
+
+    return summary;
+}
+
+function hasProjectChanges(summary) {
+    return summary.pagesAdded + summary.pagesRemoved + summary.pagesChanged +
+        summary.assetsAdded + summary.assetsRemoved + summary.settingsChanged.length > 0 ||
+        summary.pagesReordered;
+}
+
+function describeProjectChanges(summary) {
+    const lines = [];
+    const count = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+    if (summary.pagesAdded) lines.push(`${count(summary.pagesAdded, 'page')} added`);
+    if (summary.pagesRemoved) lines.push(`${count(summary.pagesRemoved, 'page')} removed`);
+    if (summary.pagesChanged) lines.push(`${count(summary.pagesChanged, 'page')} edited`);
+    if (summary.pagesReordered) lines.push('Pages reordered');
+    if (summary.elementsAdded) lines.push(`${count(summary.elementsAdded, 'element')} added`);
+    if (summary.elementsRemoved) lines.push(`${count(summary.elementsRemoved, 'element')} removed`);
+    if (summary.elementsChanged) lines.push(`${count(summary.elementsChanged, 'element')} moved or edited`);
+    if (summary.backgroundsChanged) lines.push(`${count(summary.backgroundsChanged, 'background')} changed`);
+    if (summary.assetsAdded) lines.push(`${count(summary.assetsAdded, 'asset')} added to the library`);
+    if (summary.assetsRemoved) lines.push(`${count(summary.assetsRemoved, 'asset')} removed from the library`);
+    if (summary.settingsChanged.length) lines.push(`Settings changed: ${summary.settingsChanged.join(', ')}`);
+
+    return lines;
+}
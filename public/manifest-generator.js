@@ -108,6 +108,7 @@ function elementToHotspot(element) {
         hotspot.url = element.url;
         hotspot.title = element.name || element.text || 'Click Here';
         hotspot.action = element.action || 'link';
+        hotspot.targetPage = element.targetPage ?? null;
     } else if (element.type === 'gif') {
         hotspot.mediaUrl = element.url;
         hotspot.title = element.name || 'GIF';
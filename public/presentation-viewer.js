@@ -441,7 +441,9 @@ async function renderPagesAtScale() {
             
             // Get background source
             let backgroundSource = null;
-            if (page.backgroundData) {
+            if (page.backgroundUrl) {
+                backgroundSource = page.backgroundUrl;
+            } else if (page.backgroundData) {
                 backgroundSource = page.backgroundData;
             } else if (page.background && page.background.startsWith('data:')) {
                 backgroundSource = page.background;
@@ -653,7 +655,9 @@ function renderInteractiveElements(pageDiv, elements, pageWidth, pageHeight) {
                 console.log('✅ CLICK DETECTED!');
                 try {
                     console.log('🔘 3C Button clicked:', element);
-                    if (element.url) {
+                    if (isPageJump(element)) {
+                        goToTargetPage(element.targetPage);
+                    } else if (element.url) {
                         console.log('📍 Button URL:', element.url);
                         if (isVideoUrl(element.url)) {
                             console.log('🎥 Detected as video URL, opening in popup...');
@@ -706,7 +710,9 @@ function renderInteractiveElements(pageDiv, elements, pageWidth, pageHeight) {
                     e.stopPropagation();
                     try {
                         console.log('🔘 3C Button (no image) clicked:', element);
-                        if (element.url) {
+                        if (isPageJump(element)) {
+                            goToTargetPage(element.targetPage);
+                        } else if (element.url) {
                             console.log('📍 Button URL:', element.url);
                             if (isVideoUrl(element.url)) {
                                 console.log('🎥 Detected as video URL, opening in popup...');
@@ -759,7 +765,9 @@ function renderInteractiveElements(pageDiv, elements, pageWidth, pageHeight) {
                     console.log('Element.iframeUrl:', element.iframeUrl);
                     console.log('Element.streamId:', element.streamId);
                     
-                    if (element.url) {
+                    if (isPageJump(element)) {
+                        goToTargetPage(element.targetPage);
+                    } else if (element.url) {
                         console.log('📍 Button URL:', element.url);
                         const isVideo = isVideoUrl(element.url);
                         console.log('🔍 isVideoUrl() result:', isVideo);
@@ -810,12 +818,12 @@ function renderInteractiveElements(pageDiv, elements, pageWidth, pageHeight) {
                     width: '100%',
                     height: '100%',
                     objectFit: 'contain',
-                    cursor: element.url ? 'pointer' : 'default',
+                    cursor: element.url || isPageJump(element) ? 'pointer' : 'default',
                     transition: 'transform 0.2s',
                     borderRadius: '50%'
                 });
                 
-                if (element.url) {
+                if (element.url || isPageJump(element)) {
                     img.hover(
                         function() { $(this).css('transform', 'scale(1.1)'); },
                         function() { $(this).css('transform', 'scale(1)'); }
@@ -826,7 +834,9 @@ function renderInteractiveElements(pageDiv, elements, pageWidth, pageHeight) {
                         console.log('\n🎭 ========== EMOJI CLICKED ==========');
                         try {
                             console.log('🎭 3C Emoji clicked:', element);
-                            if (element.url) {
+                            if (isPageJump(element)) {
+                                goToTargetPage(element.targetPage);
+                            } else if (element.url) {
                                 console.log('📍 Emoji URL:', element.url);
                                 
                                 // Ensure URL has protocol
@@ -882,7 +892,9 @@ function renderInteractiveElements(pageDiv, elements, pageWidth, pageHeight) {
                 e.stopPropagation();
                 try {
                     console.log('🎯 Hotspot/Link clicked:', element);
-                    if (element.url) {
+                    if (isPageJump(element)) {
+                        goToTargetPage(element.targetPage);
+                    } else if (element.url) {
                         console.log('📍 Hotspot URL:', element.url);
                         if (isVideoUrl(element.url)) {
                             console.log('🎥 Detected as video URL, opening in popup...');
@@ -1008,6 +1020,34 @@ function renderInteractiveElements(pageDiv, elements, pageWidth, pageHeight) {
     });
 }
 
+/**
+ * Page-jump actions set in the builder (action 'goto' with a page number or next/previous/first/last)
+ */
+function isPageJump(element) {
+    return element.action === 'goto' && element.targetPage !== undefined && element.targetPage !== null;
+}
+
+function goToTargetPage(targetPage) {
+    const presentation = $('#presentation');
+    const current = presentation.turn('page');
+    const targets = {
+        first: 1,
+        last: totalPages,
+        next: current + 1,
+        previous: current - 1
+    };
+    const page = targetPage in targets ? targets[targetPage] : Number(targetPage);
+    
+    if (!Number.isFinite(page)) {
+        console.warn('⚠️ Invalid page jump target:', targetPage);
+        return;
+    }
+    
+    const clampedPage = Math.min(Math.max(page, 1), totalPages);
+    console.log('📖 Page jump:', targetPage, '→ page', clampedPage);
+    presentation.turn('page', clampedPage);
+}
+
 /**
  * Detect if URL is a video platform link
  */
@@ -1592,7 +1632,9 @@ function setupInteractiveElementHandlers() {
         console.log('Element data:', elementData);
         
         // Handle different element types
-        if (elementType === '3c-button' || elementType === 'button') {
+        if (isPageJump(elementData)) {
+            goToTargetPage(elementData.targetPage);
+        } else if (elementType === '3c-button' || elementType === 'button') {
             if (elementData.url) {
                 console.log('📍 URL:', elementData.url);
                 if (isVideoUrl(elementData.url)) {
@@ -7,6 +7,8 @@
  * - Project JSON is stored in Cloudflare R2 (drafts/project-id.json) — no size limit
  * - Supabase stores metadata only: title, author, pages, draft_url, etc.
  * - Load: fetches row from Supabase → reads draft_url → fetches JSON from R2
+ * - Page backgrounds and custom images live in R2 under images/{sha256}.{ext};
+ *   the project JSON stores only their URLs
  *
  * FIXES:
  * - Added 520 error detection with clear messaging
@@ -96,6 +98,73 @@ async function uploadJSONToR2(projectId, jsonData) {
     return publicUrl;
 }
 
+/**
+ * Upload an image to R2 under a content-addressed key: interactive-pdf/images/{sha256}.{ext}
+ * Identical images share one object across pages and projects — if the key already
+ * exists the upload is skipped and the existing URL is returned.
+ */
+const R2_IMAGE_FOLDER = 'interactive-pdf/images';
+const IMAGE_EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/gif': 'gif', 'image/webp': 'webp', 'image/svg+xml': 'svg' };
+const uploadedImageUrls = new Map(); // hash → public URL, so repeat uploads in a session skip the network
+
+async function uploadImageToR2(blob) {
+    const hash = await hashBlob(blob);
+    if (uploadedImageUrls.has(hash)) return uploadedImageUrls.get(hash);
+
+    const filename = `${hash}.${IMAGE_EXTENSIONS[blob.type] || 'bin'}`;
+    let publicUrl = await findR2Object(`${R2_IMAGE_FOLDER}/${filename}`);
+
+    if (publicUrl) {
+        console.log(`♻️ Image already in R2: ${filename}`);
+    } else {
+        console.log(`☁️ Uploading image to R2: ${R2_IMAGE_FOLDER}/${filename} (${(blob.size / 1024).toFixed(0)} KB)`);
+        const formData = new FormData();
+        formData.append('file', blob, filename);
+        formData.append('filename', filename);
+        formData.append('folder', R2_IMAGE_FOLDER);
+
+        const response = await fetch(`${WORKER_API}/api/upload-media`, {
+            method: 'POST',
+            body: formData
+        });
+
+        if (!response.ok) {
+            const err = await response.text();
+            throw new Error(`R2 upload failed: ${err}`);
+        }
+
+        const result = await response.json();
+        publicUrl = result.browserUrl || result.publicUrl;
+        if (!publicUrl) throw new Error('R2 upload succeeded but no URL returned');
+    }
+
+    uploadedImageUrls.set(hash, publicUrl);
+    return publicUrl;
+}
+
+async function hashBlob(blob) {
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Returns the public URL of an existing R2 object, or null if it is missing (or the lookup fails)
+async function findR2Object(key) {
+    try {
+        const response = await fetch(`${WORKER_API}/api/info/${key}`);
+        if (!response.ok) return null;
+        const info = await response.json();
+        return info.url || null;
+    } catch (err) {
+        console.warn('⚠️ R2 lookup failed, uploading anyway:', err.message);
+        return null;
+    }
+}
+
+async function dataURLToBlob(dataUrl) {
+    const response = await fetch(dataUrl);
+    return response.blob();
+}
+
 /**
  * Save new project draft
  * Step 1: POST metadata to Supabase → get ID
@@ -0,0 +1,406 @@
+/**
+ * Quiz - Self-scoring knowledge checks laid out as form fields, scored by a "Check answers" button
+ *
+ * Quiz: { name: 'quiz1', questions: [...], x, y (top edge), width, size: 12, font, gap: 'md',
+ *         passMark: 0.7, checkLabel: 'Check answers', correctText: 'Correct', incorrectText: 'Incorrect',
+ *         correctColor: '#2E7D32', incorrectColor: '#C62828',
+ *         answerKey: false | true | { label: 'Show answers', button: true, layer: 'answers' } }
+ * Questions (points default 1):
+ *   { type: 'single', question: 'Capital of France?', options: ['Lyon', 'Paris'], answer: 'Paris' }
+ *   { type: 'multiple', question, options: [...], answer: ['A', 'C'] }  every box must match
+ *   { type: 'trueFalse', question, answer: true, options: ['True', 'False'] }
+ *   { type: 'short', question, answer: 'Paris' | ['Paris', 'City of Paris'], caseSensitive: false }
+ * Fields are named <name>_q<n> (checkboxes <name>_q<n>_<option>), <name>_feedback<n>, <name>_score and,
+ * with an answer key, <name>_key<n>: hidden read-only fields that the "Show answers" button toggles
+ * (button: false leaves the toggle out). With `layer` the key fields go on that layer (see layers.js)
+ * instead, so its visible/printOnly settings apply and the button toggles the layer.
+ */
+
+import { AnnotationFlags } from 'pdf-lib';
+import { resolveSpacing } from './flow-layout.js';
+
+export const QUESTION_TYPES = ['single', 'multiple', 'trueFalse', 'short'];
+
+const QUIZ_DEFAULTS = {
+  size: 12,
+  font: 'Helvetica',
+  gap: 'md',
+  passMark: null,
+  checkLabel: 'Check answers',
+  correctText: 'Correct',
+  incorrectText: 'Incorrect',
+  correctColor: '#2E7D32',
+  incorrectColor: '#C62828',
+  answerKey: false
+};
+
+const FEEDBACK_WIDTH = 90;
+const SHORT_ANSWER_WIDTH = 260;
+const BUTTON_HEIGHT = 26;
+
+export class Quiz {
+  constructor(generator) {
+    this.generator = generator;
+    this.pdfCreator = generator.pdfCreator;
+    this.interactiveElements = generator.interactiveElements;
+  }
+
+  /**
+   * Lays out the questions from the top-left corner down, moving to `nextArea()` ({ x, top })
+   * - a new page by default - when a question doesn't fit above the bottom margin.
+   * Returns where the quiz ended and the names of its fields.
+   */
+  async add(definition, options = {}) {
+    const quiz = normalizeQuiz(definition, this.interactiveElements);
+    const safeArea = this.pdfCreator.getSafeArea();
+    const { nextArea = async () => this.nextPage() } = options;
+
+    if (quiz.answerKey?.layer) {
+      this.generator.layers.get(quiz.answerKey.layer);
+    }
+
+    this.area = {
+      x: quiz.x ?? safeArea.x,
+      top: quiz.y ?? safeArea.y + safeArea.height,
+      width: Math.min(quiz.width ?? safeArea.width, safeArea.width)
+    };
+    this.cursor = this.area.top;
+    this.nextArea = nextArea;
+    this.pagesAdded = 0;
+
+    const startPageIndex = this.pdfCreator.currentPageIndex;
+    const fields = { questions: [], feedback: [], keys: [], score: `${quiz.name}_score` };
+
+    for (const [index, question] of quiz.questions.entries()) {
+      await this.addQuestion(quiz, question, index + 1, fields);
+    }
+    await this.addControls(quiz, fields);
+
+    const elementInfo = {
+      type: 'quiz',
+      name: quiz.name,
+      pageIndex: startPageIndex,
+      questions: quiz.questions.length,
+      points: quiz.questions.reduce((total, question) => total + question.points, 0),
+      answers: quiz.questions.map(question => question.answer),
+      answerKey: Boolean(quiz.answerKey),
+      fields
+    };
+
+    this.interactiveElements.elements.push(elementInfo);
+    this.interactiveElements.updateStats('quiz');
+
+    return { ...elementInfo, bottom: this.cursor, pagesAdded: this.pagesAdded };
+  }
+
+  async addQuestion(quiz, question, number, fields) {
+    const { size, font } = quiz;
+    const indent = size * 1.5;
+    const box = size + 2;
+    const questionText = [{ text: `${number}. `, bold: true }, question.question];
+    const textOptions = { size, font, maxWidth: this.area.width - FEEDBACK_WIDTH - 8 };
+
+    const labelWidth = this.area.width - indent - box - 6;
+    const labelHeights = [];
+    for (const option of question.options) {
+      labelHeights.push((await this.pdfCreator.measureRichText([option], { size, font, maxWidth: labelWidth })).height);
+    }
+
+    const questionHeight = (await this.pdfCreator.measureRichText(questionText, textOptions)).height;
+    const bodyHeight = question.type === 'short'
+      ? size * 2
+      : labelHeights.reduce((total, height) => total + Math.max(box, height) + 4, 0);
+    const keyHeight = quiz.answerKey ? size + 10 : 0;
+    const top = await this.ensureRoom(questionHeight + 6 + bodyHeight + keyHeight);
+    const { x, width } = this.area;
+    const fieldName = `${quiz.name}_q${number}`;
+
+    const text = await this.pdfCreator.addRichText(questionText, { ...textOptions, x, y: top - size, continueOnNewPage: false });
+    this.interactiveElements.addTextField({
+      name: `${quiz.name}_feedback${number}`,
+      x: x + width - FEEDBACK_WIDTH,
+      y: top - size - 4,
+      width: FEEDBACK_WIDTH,
+      height: size + 6,
+      fontSize: size - 1,
+      borderWidth: 0,
+      readOnly: true
+    });
+    fields.feedback.push(`${quiz.name}_feedback${number}`);
+
+    let rowTop = text.bottom - 6;
+
+    if (question.type === 'short') {
+      this.interactiveElements.addTextField({
+        name: fieldName,
+        x: x + indent,
+        y: rowTop - size * 2,
+        width: Math.min(SHORT_ANSWER_WIDTH, width - indent),
+        height: size * 2,
+        fontSize: size
+      });
+      fields.questions.push(fieldName);
+      rowTop -= size * 2;
+    } else {
+      const positions = [];
+      for (const [index, option] of question.options.entries()) {
+        positions.push({ value: option, x: x + indent, y: rowTop - box });
+        await this.pdfCreator.addRichText([option], {
+          size, font,
+          x: x + indent + box + 6,
+          y: rowTop - box + (box - size * 0.7) / 2,
+          maxWidth: labelWidth,
+          continueOnNewPage: false
+        });
+        rowTop -= Math.max(box, labelHeights[index]) + 4;
+      }
+
+      if (question.type === 'multiple') {
+        const names = positions.map((position, index) => `${fieldName}_${index + 1}`);
+        positions.forEach((position, index) => {
+          this.interactiveElements.addCheckbox({ name: names[index], x: position.x, y: position.y, size: box });
+        });
+        fields.questions.push(names);
+      } else {
+        this.interactiveElements.addRadioGroup({ name: fieldName, options: positions, buttonSize: box });
+        fields.questions.push(fieldName);
+      }
+    }
+
+    if (quiz.answerKey) {
+      const keyName = `${quiz.name}_key${number}`;
+      const answer = Array.isArray(question.answer) ? question.answer.join(', ') : String(question.answer);
+      const { layer } = quiz.answerKey;
+
+      if (layer) {
+        this.generator.layers.begin(layer);
+      }
+      try {
+        const keyField = this.interactiveElements.addTextField({
+          name: keyName,
+          x: x + indent,
+          y: rowTop - size - 8,
+          width: width - indent,
+          height: size + 6,
+          fontSize: size - 1,
+          defaultValue: `Answer: ${answer}`,
+          borderWidth: 0,
+          readOnly: true
+        });
+        if (!layer) {
+          keyField.acroField.getWidgets()[0].setFlagTo(AnnotationFlags.Hidden, true);
+        }
+      } finally {
+        if (layer) {
+          this.generator.layers.end();
+        }
+      }
+      fields.keys.push(keyName);
+      rowTop -= keyHeight;
+    }
+
+    this.cursor = rowTop - resolveSpacing(quiz.gap);
+  }
+
+  async addControls(quiz, fields) {
+    const top = await this.ensureRoom(BUTTON_HEIGHT);
+    const { x, width } = this.area;
+    const y = top - BUTTON_HEIGHT;
+    const buttonWidth = Math.min(140, width / 3);
+
+    await this.interactiveElements.addButton({
+      name: `${quiz.name}_check`,
+      text: quiz.checkLabel,
+      x, y,
+      width: buttonWidth,
+      height: BUTTON_HEIGHT,
+      fontSize: quiz.size - 1,
+      script: scoreScript(quiz, fields, this.interactiveElements)
+    });
+
+    this.interactiveElements.addTextField({
+      name: fields.score,
+      x: x + buttonWidth + 10,
+      y,
+      width: Math.min(160, width - buttonWidth - 10),
+      height: BUTTON_HEIGHT,
+      fontSize: quiz.size,
+      borderWidth: 0,
+      readOnly: true
+    });
+
+    if (quiz.answerKey?.button) {
+      await this.interactiveElements.addButton({
+        name: `${quiz.name}_answers`,
+        text: quiz.answerKey.label,
+        x: x + width - buttonWidth,
+        y,
+        width: buttonWidth,
+        height: BUTTON_HEIGHT,
+        fontSize: quiz.size - 1,
+        backgroundColor: '#6C757D',
+        borderColor: '#545B62',
+        ...(quiz.answerKey.layer
+          ? { action: this.generator.layers.action({ toggleLayer: quiz.answerKey.layer }) }
+          : { script: toggleScript(fields.keys) })
+      });
+    }
+
+    this.cursor = y;
+  }
+
+  /**
+   * Moves to the next area unless `height` fits below the cursor, then returns the top y to use
+   */
+  async ensureRoom(height) {
+    const atTop = this.cursor >= this.area.top;
+
+    if (!atTop && this.cursor - height < this.pdfCreator.getSafeArea().y) {
+      const area = await this.nextArea();
+      this.area = { ...this.area, x: area.x ?? this.area.x, top: area.top };
+      this.cursor = area.top;
+    }
+
+    return this.cursor;
+  }
+
+  nextPage() {
+    this.pdfCreator.addContinuationPage();
+    this.pagesAdded++;
+    const safeArea = this.pdfCreator.getSafeArea();
+    return { x: this.area.x, top: safeArea.y + safeArea.height };
+  }
+}
+
+function normalizeQuiz(definition, interactiveElements) {
+  const quiz = {
+    ...QUIZ_DEFAULTS,
+    name: `quiz${(interactiveElements.elementStats.byType.quiz || 0) + 1}`,
+    ...definition
+  };
+
+  if (!Array.isArray(quiz.questions) || quiz.questions.length === 0) {
+    throw new Error('Quiz questions array is required and must not be empty');
+  }
+  if (quiz.passMark !== null && !(quiz.passMark > 0 && quiz.passMark <= 1)) {
+    throw new Error(`Invalid pass mark ${quiz.passMark} (use a fraction between 0 and 1)`);
+  }
+
+  quiz.answerKey = quiz.answerKey === true ? {} : quiz.answerKey || false;
+  if (quiz.answerKey) {
+    quiz.answerKey = { label: 'Show answers', button: true, ...quiz.answerKey };
+  }
+  quiz.questions = quiz.questions.map((question, index) => normalizeQuestion(question, index + 1));
+  return quiz;
+}
+
+function normalizeQuestion(question, number) {
+  const { type = 'single', points = 1, caseSensitive = false } = question;
+
+  if (!QUESTION_TYPES.includes(type)) {
+    throw new Error(`Question ${number}: invalid type '${type}' (use ${QUESTION_TYPES.join(', ')})`);
+  }
+  if (!question.question) {
+    throw new Error(`Question ${number}: question text is required`);
+  }
+  if (!(points > 0)) {
+    throw new Error(`Question ${number}: points must be a positive number`);
+  }
+
+  if (type === 'short') {
+    const answers = [].concat(question.answer ?? []).map(answer => String(answer).trim()).filter(Boolean);
+    if (answers.length === 0) {
+      throw new Error(`Question ${number}: short answer needs an answer`);
+    }
+    return { type, question: question.question, points, caseSensitive, options: [], answer: answers };
+  }
+
+  if (type === 'trueFalse') {
+    if (typeof question.answer !== 'boolean') {
+      throw new Error(`Question ${number}: true/false answer must be true or false`);
+    }
+    const options = (question.options ?? ['True', 'False']).map(String);
+    return { type, question: question.question, points, options, answer: options[question.answer ? 0 : 1] };
+  }
+
+  const options = (question.options ?? []).map(String);
+  if (options.length < 2 || new Set(options).size !== options.length) {
+    throw new Error(`Question ${number}: needs at least two distinct options`);
+  }
+
+  const answers = [].concat(question.answer ?? []).map(String);
+  const unknown = answers.filter(answer => !options.includes(answer));
+  if (unknown.length > 0 || answers.length === 0 || (type === 'single' && answers.length !== 1)) {
+    throw new Error(`Question ${number}: answer must be ${type === 'single' ? 'one' : 'one or more'} of the options`);
+  }
+
+  return { type, question: question.question, points, options, answer: type === 'single' ? answers[0] : answers };
+}
+
+/**
+ * Button script that marks each question, colours its feedback and writes the score
+ */
+function scoreScript(quiz, fields, interactiveElements) {
+  const toColor = (hex) => {
+    const { red, green, blue } = interactiveElements.parseColor(hex);
+    return `"RGB", ${[red, green, blue].map(value => +value.toFixed(3)).join(', ')}`;
+  };
+
+  const questions = quiz.questions.map((question, index) => {
+    const entry = { type: question.type, field: fields.questions[index], feedback: fields.feedback[index], points: question.points };
+    if (question.type === 'multiple') {
+      entry.correct = question.options.map(option => question.answer.includes(option));
+    } else if (question.type === 'short') {
+      entry.answers = question.caseSensitive ? question.answer : question.answer.map(answer => answer.toLowerCase());
+      entry.caseSensitive = question.caseSensitive;
+    } else {
+      entry.answer = question.answer;
+    }
+    return entry;
+  });
+
+  return [
+    '(function (doc) {',
+    `  var questions = ${JSON.stringify(questions)};`,
+    `  var correctColor = [${toColor(quiz.correctColor)}];`,
+    `  var incorrectColor = [${toColor(quiz.incorrectColor)}];`,
+    '  var score = 0;',
+    '  var total = 0;',
+    '  for (var i = 0; i < questions.length; i++) {',
+    '    var question = questions[i];',
+    '    var correct = true;',
+    '    if (question.type === "multiple") {',
+    '      for (var j = 0; j < question.field.length; j++) {',
+    '        if ((doc.getField(question.field[j]).value !== "Off") !== question.correct[j]) correct = false;',
+    '      }',
+    '    } else if (question.type === "short") {',
+    '      var given = String(doc.getField(question.field).value).replace(/^\\s+|\\s+$/g, "");',
+    '      if (!question.caseSensitive) given = given.toLowerCase();',
+    '      correct = question.answers.indexOf(given) !== -1;',
+    '    } else {',
+    '      correct = doc.getField(question.field).value === question.answer;',
+    '    }',
+    '    total += question.points;',
+    '    if (correct) score += question.points;',
+    '    var feedback = doc.getField(question.feedback);',
+    `    feedback.value = correct ? ${JSON.stringify(quiz.correctText)} : ${JSON.stringify(quiz.incorrectText)};`,
+    '    feedback.textColor = correct ? correctColor : incorrectColor;',
+    '  }',
+    `  var scoreField = doc.getField(${JSON.stringify(fields.score)});`,
+    '  scoreField.value = score + " / " + total + " (" + Math.round(score / total * 100) + "%)";',
+    `  scoreField.textColor = ${quiz.passMark === null ? 'correctColor' : `score / total >= ${quiz.passMark} ? correctColor : incorrectColor`};`,
+    '})(this);'
+  ].join('\n');
+}
+
+function toggleScript(keys) {
+  return [
+    '(function (doc) {',
+    `  var keys = ${JSON.stringify(keys)};`,
+    '  var show = doc.getField(keys[0]).display !== display.visible;',
+    '  for (var i = 0; i < keys.length; i++) {',
+    '    doc.getField(keys[i]).display = show ? display.visible : display.hidden;',
+    '  }',
+    '})(this);'
+  ].join('\n');
+}
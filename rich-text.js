@@ -0,0 +1,132 @@
+/**
+ * Rich Text - Normalizes rich text input into blocks of styled runs for PDFCreator.addRichText
+ *
+ * Markdown-ish strings:
+ *   **bold**, *italic* or _italic_, __underline__, [label](https://...) or [label](#3 | #next | #previous | #first | #last)
+ *   "- " / "* " bullet items, "1. " numbered items, blank line between paragraphs, single newline = line break
+ *   Backslash escapes a marker: \* \_ \[ \] \\
+ *
+ * Run arrays: ['plain', { text, bold, italic, underline, url, page, color, size, font }, ...] form one paragraph.
+ * Block arrays: [{ type: 'paragraph' | 'bullet' | 'numbered', runs: [...] | text: '**markdown**' }, ...]
+ */
+
+export const BLOCK_TYPES = ['paragraph', 'bullet', 'numbered'];
+
+const INLINE_PATTERN = /\\([*_[\]\\])|\[([^\]]+)\]\(([^)\s]+)\)|\*\*|__|\*|_/g;
+const PAGE_TARGET_PATTERN = /^#(?:page=)?(\d+|next|previous|first|last)$/i;
+
+export function normalizeRichText(content) {
+  if (typeof content === 'string') {
+    return parseMarkdown(content);
+  }
+
+  if (!Array.isArray(content)) {
+    throw new Error('Rich text must be a markdown string or an array of runs or blocks');
+  }
+
+  const isBlocks = content.length > 0 && content.every(item => item && typeof item === 'object' && ('runs' in item || 'type' in item));
+  if (!isBlocks) {
+    return [{ type: 'paragraph', runs: content.map(normalizeRun) }];
+  }
+
+  return content.map(block => {
+    const type = block.type || 'paragraph';
+    if (!BLOCK_TYPES.includes(type)) {
+      throw new Error(`Invalid rich text block type '${type}' (use ${BLOCK_TYPES.join(', ')})`);
+    }
+
+    const runs = block.runs ? block.runs.map(normalizeRun) : parseInline(block.text || '');
+    return { ...block, type, runs };
+  });
+}
+
+export function parseMarkdown(markdown) {
+  const blocks = [];
+  let paragraphLines = [];
+
+  const flushParagraph = () => {
+    if (paragraphLines.length) {
+      blocks.push({ type: 'paragraph', runs: parseInline(paragraphLines.join('\n')) });
+      paragraphLines = [];
+    }
+  };
+
+  for (const line of markdown.replace(/\r\n?/g, '\n').split('\n')) {
+    const bullet = line.match(/^\s*[-*•]\s+(.*)$/);
+    const numbered = line.match(/^\s*(\d+)[.)]\s+(.*)$/);
+
+    if (!line.trim()) {
+      flushParagraph();
+    } else if (bullet) {
+      flushParagraph();
+      blocks.push({ type: 'bullet', runs: parseInline(bullet[1]) });
+    } else if (numbered) {
+      flushParagraph();
+      blocks.push({ type: 'numbered', number: parseInt(numbered[1], 10), runs: parseInline(numbered[2]) });
+    } else {
+      paragraphLines.push(line.trim());
+    }
+  }
+
+  flushParagraph();
+  return blocks;
+}
+
+/**
+ * Inline markers toggle styles, so unclosed markers run to the end of the block.
+ * Underscores inside a word (snake_case) are kept as text.
+ */
+export function parseInline(text, baseStyle = {}) {
+  const runs = [];
+  const style = { bold: false, italic: false, underline: false, ...baseStyle };
+  let lastIndex = 0;
+
+  const push = (value, overrides = {}) => {
+    if (value) runs.push({ ...style, ...overrides, text: value });
+  };
+
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    const [marker, escaped, label, href] = match;
+    push(text.slice(lastIndex, match.index));
+    lastIndex = match.index + marker.length;
+
+    if (escaped !== undefined) {
+      push(escaped);
+    } else if (label !== undefined) {
+      runs.push(...parseInline(label, { ...style, ...parseLinkTarget(href) }));
+    } else if (marker.startsWith('_') && /\w/.test(text[match.index - 1] || '') && /\w/.test(text[lastIndex] || '')) {
+      push(marker);
+    } else if (marker === '**') {
+      style.bold = !style.bold;
+    } else if (marker === '__') {
+      style.underline = !style.underline;
+    } else {
+      style.italic = !style.italic;
+    }
+  }
+
+  push(text.slice(lastIndex));
+  return runs;
+}
+
+function parseLinkTarget(href) {
+  const pageMatch = href.match(PAGE_TARGET_PATTERN);
+  if (!pageMatch) {
+    return { url: href };
+  }
+
+  const target = pageMatch[1].toLowerCase();
+  return { page: /^\d+$/.test(target) ? parseInt(target, 10) : target };
+}
+
+function normalizeRun(run) {
+  if (typeof run === 'string') {
+    return { text: run };
+  }
+
+  if (!run || typeof run.text !== 'string') {
+    throw new Error('Each rich text run needs a text string');
+  }
+
+  return run;
+}
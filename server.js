@@ -1,6 +1,10 @@
-import { S3Client, PutObjectCommand, GetObjectCommand, ListObjectsCommand } from '@aws-sdk/client-s3';
+import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, ListObjectsCommand } from '@aws-sdk/client-s3';
 import { PDFGenerator } from './pdf-generator.js';
-import { writeFile } from 'fs/promises';
+import { createPDFRegistry } from './pdf-registry.js';
+import { renderProject } from './project-renderer.js';
+import { FormDataExtractor } from './form-data-extractor.js';
+import { writeFile, unlink } from 'fs/promises';
+import path from 'path';
 import crypto from 'crypto';
 
 // Wasabi Configuration using your actual environment variable names
@@ -24,12 +28,24 @@ const s3Client = new S3Client({
   forcePathStyle: true
 });
 
-// In-memory storage for PDF metadata
-const pdfStore = new Map();
+// Where /api/render-project may fetch remote images from besides R2 (IMAGE_SOURCES: comma-separated URL prefixes)
+const projectImageSources = [
+  `${wasabiConfig.endpoint}/${wasabiConfig.bucketName}/`,
+  ...(process.env.IMAGE_SOURCES || '').split(',').map(source => source.trim()).filter(Boolean)
+];
+
+// Persistent PDF metadata - PDF_REGISTRY=file (default) or s3 to list the Wasabi bucket instead
+const pdfStore = createPDFRegistry({
+  type: process.env.PDF_REGISTRY || 'file',
+  filePath: process.env.PDF_REGISTRY_PATH || './storage-logs/pdf-registry.json',
+  s3Client,
+  bucketName: wasabiConfig.bucketName,
+  prefix: wasabiConfig.defaultFolder
+});
 
 export default async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
 
   if (req.method === 'OPTIONS') {
@@ -42,6 +58,18 @@ export default async function handler(req, res) {
     return await generatePDF(req, res);
   }
   
+  if (pathname === '/api/render-project' && req.method === 'POST') {
+    return await renderProjectPDF(req, res);
+  }
+  
+  if (pathname === '/api/extract-form' && req.method === 'POST') {
+    return await extractFormData(req, res);
+  }
+  
+  if (pathname === '/api/course-pack' && req.method === 'POST') {
+    return await buildCoursePack(req, res);
+  }
+  
   if (pathname.startsWith('/api/view/') && req.method === 'GET') {
     const pdfId = pathname.split('/').pop();
     return await servePDF(req, res, pdfId);
@@ -51,6 +79,15 @@ export default async function handler(req, res) {
     return await healthCheck(req, res);
   }
 
+  if (pathname === '/api/pdfs' && req.method === 'GET') {
+    return await listPDFs(req, res);
+  }
+
+  if (pathname.startsWith('/api/pdfs/') && req.method === 'DELETE') {
+    const pdfId = pathname.split('/').pop();
+    return await deletePDF(req, res, pdfId);
+  }
+
   if (pathname === '/api' && req.method === 'GET') {
     return res.json({ 
       status: 'active', 
@@ -59,7 +96,12 @@ export default async function handler(req, res) {
       endpoints: {
         health: '/api/health',
         generatePdf: 'POST /api/generate-pdf',
-        viewPdf: 'GET /api/view/{id}'
+        renderProject: 'POST /api/render-project',
+        extractForm: 'POST /api/extract-form?format=json|csv&nameField={field}',
+        coursePack: 'POST /api/course-pack',
+        viewPdf: 'GET /api/view/{id}',
+        listPdfs: 'GET /api/pdfs?page=1&limit=20',
+        deletePdf: 'DELETE /api/pdfs/{id}'
       }
     });
   }
@@ -68,9 +110,20 @@ export default async function handler(req, res) {
 }
 
 async function generatePDF(req, res) {
+  const tempFiles = [];
+  let body;
+
   try {
-    const body = await parseMultipartData(req);
-    const { pdfName, elements, originalPdf, mediaFiles } = body;
+    body = await parseMultipartData(req);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid PDF request: ${error.message}`
+    });
+  }
+
+  try {
+    const { pdfName, elements, originalPdf, mediaFiles, watermarks, stampData } = body;
 
     if (!originalPdf) {
       return res.status(400).json({ 
@@ -79,42 +132,88 @@ async function generatePDF(req, res) {
       });
     }
 
+    let parsedElements;
+    try {
+      parsedElements = JSON.parse(elements || '[]');
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid elements JSON: ${error.message}`
+      });
+    }
+
+    if (!Array.isArray(parsedElements)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Elements must be a JSON array'
+      });
+    }
+
+    let parsedWatermarks;
+    let parsedStampData;
+    try {
+      parsedWatermarks = JSON.parse(watermarks || '[]');
+      parsedStampData = JSON.parse(stampData || '{}');
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid watermarks/stampData JSON: ${error.message}`
+      });
+    }
+
+    if (!Array.isArray(parsedWatermarks)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Watermarks must be a JSON array'
+      });
+    }
+
     const generator = new PDFGenerator({
       output: { directory: '/tmp', filename: 'temp.pdf' }
     });
 
     const tempPdfPath = `/tmp/original-${Date.now()}.pdf`;
     await writeFile(tempPdfPath, originalPdf);
+    tempFiles.push(tempPdfPath);
+
+    const mediaPaths = await writeMediaFiles(mediaFiles, tempFiles);
+
+    // Missing uploads are the client's mistake, so they're found before generation starts
+    let items;
+    let marks;
+    try {
+      items = parsedElements.map(element => ({ page: element.page, item: normalizeElement(element, mediaPaths) }));
+      marks = parsedWatermarks.map(watermark => normalizeWatermark(watermark, mediaPaths));
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
 
     await generator.initialize({ templatePdf: tempPdfPath });
-
-    const parsedElements = JSON.parse(elements || '[]');
     
-    for (const element of parsedElements) {
-      if (element.page) {
-        generator.setCurrentPage(element.page);
+    for (const { page, item } of items) {
+      if (page) {
+        generator.setCurrentPage(page);
       }
 
-      switch (element.type) {
-        case 'textField':
-          generator.addTextField({
-            name: element.name || `field_${Math.random()}`,
-            x: element.x, 
-            y: element.y,
-            width: element.width || 200,
-            height: element.height || 25,
-            placeholder: element.placeholder
-          });
-          break;
+      await generator.addContent([item]);
+    }
+
+    for (const mark of marks) {
+      const { type = 'watermark', ...definition } = mark;
+      if (type === 'stamp') {
+        generator.addStamp(definition);
+      } else {
+        generator.addWatermark(definition);
       }
     }
 
-    const pdfBuffer = await generator.generateBuffer();
+    const pdfBuffer = await generator.generateBuffer({ stampData: parsedStampData });
 
     const uniqueId = crypto.randomUUID();
     const cloudFilename = `${wasabiConfig.defaultFolder}/${uniqueId}.pdf`;
-    
-    await uploadToWasabi(pdfBuffer, cloudFilename);
 
     const pdfData = {
       id: uniqueId,
@@ -125,7 +224,8 @@ async function generatePDF(req, res) {
       elements: parsedElements.length
     };
     
-    pdfStore.set(uniqueId, pdfData);
+    await uploadToWasabi(pdfBuffer, cloudFilename, pdfData);
+    await pdfStore.set(uniqueId, pdfData);
 
     const browserUrl = `${wasabiConfig.endpoint}/${wasabiConfig.bucketName}/${cloudFilename}`;
     const apiViewUrl = `https://${req.headers.host}/api/view/${uniqueId}`;
@@ -146,12 +246,266 @@ async function generatePDF(req, res) {
       success: false,
       message: error.message
     });
+  } finally {
+    await Promise.all(tempFiles.map(file => unlink(file).catch(() => {})));
   }
 }
 
+/**
+ * Writes uploaded media parts to /tmp so PDFGenerator can read them by path.
+ * Returns a lookup of both the form field name and the original filename to the temp path.
+ */
+async function writeMediaFiles(mediaFiles = [], tempFiles = []) {
+  const mediaPaths = {};
+
+  for (const file of mediaFiles) {
+    const safeName = path.basename(file.filename).replace(/[^a-zA-Z0-9._-]/g, '_');
+    const tempPath = `/tmp/media-${Date.now()}-${crypto.randomBytes(4).toString('hex')}-${safeName}`;
+
+    await writeFile(tempPath, file.data);
+    tempFiles.push(tempPath);
+
+    mediaPaths[file.filename] = tempPath;
+    if (file.fieldName && file.fieldName !== 'mediaFiles') {
+      mediaPaths[file.fieldName] = tempPath;
+    }
+  }
+
+  return mediaPaths;
+}
+
+/**
+ * Maps a client element onto the item shape PDFGenerator.addContent expects.
+ * File references (src/path/file) are resolved against the uploaded media parts.
+ */
+function normalizeElement(element, mediaPaths) {
+  const { page, ...item } = element;
+
+  if (['watermark', 'stamp'].includes(item.type)) {
+    return normalizeWatermark(item, mediaPaths);
+  }
+
+  const fileRef = item.file || item.src || item.path;
+  if (fileRef && ['image', 'media'].includes(item.type)) {
+    const resolved = mediaPaths[fileRef];
+    if (!resolved) {
+      throw new Error(`Media file "${fileRef}" was not included in the upload`);
+    }
+    item.path = resolved;
+    delete item.src;
+    delete item.file;
+  }
+
+  // Posters are read from disk like the media itself, so they must be uploaded parts too
+  if (item.poster && item.type === 'media') {
+    const resolved = mediaPaths[item.poster];
+    if (!resolved) {
+      throw new Error(`Poster image "${item.poster}" was not included in the upload`);
+    }
+    item.poster = resolved;
+  }
+
+  if (item.type === 'text' && item.content === undefined) {
+    item.content = item.text;
+  }
+
+  if (['textField', 'checkbox', 'dropdown', 'radioGroup'].includes(item.type) && !item.name) {
+    item.name = `${item.type}_${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  return item;
+}
+
+// Watermark images come in as uploaded media parts, referenced by field name or filename
+function normalizeWatermark(watermark, mediaPaths) {
+  const item = typeof watermark === 'string' ? { text: watermark } : { ...watermark };
+
+  if (item.image) {
+    const resolved = mediaPaths[item.image];
+    if (!resolved) {
+      throw new Error(`Watermark image "${item.image}" was not included in the upload`);
+    }
+    item.image = resolved;
+  }
+
+  return item;
+}
+
+async function renderProjectPDF(req, res) {
+  let project;
+
+  try {
+    project = await readJsonBody(req);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid project JSON: ${error.message}`
+    });
+  }
+
+  try {
+    const pdfBuffer = await renderProject(project, { imageSources: projectImageSources });
+    const title = project.title || project.settings?.title || 'interactive-pdf';
+    const filename = `${title.replace(/[^a-z0-9]/gi, '-')}.pdf`;
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+
+    res.send(pdfBuffer);
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Reads filled form values from returned PDFs (multipart, one or more PDF parts).
+ * One PDF gives its field list; several give one row per PDF keyed by `nameField`.
+ */
+async function extractFormData(req, res) {
+  try {
+    const { searchParams } = new URL(req.url, `http://${req.headers.host}`);
+    const format = searchParams.get('format') || 'json';
+    const nameField = searchParams.get('nameField');
+
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid format: ${format} (use json or csv)`
+      });
+    }
+
+    let pdfFiles;
+    try {
+      ({ pdfFiles } = await parseMultipartData(req));
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid form data request: ${error.message}`
+      });
+    }
+
+    if (pdfFiles.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one PDF file is required'
+      });
+    }
+
+    const extractor = new FormDataExtractor({ nameField });
+
+    if (pdfFiles.length === 1 && !nameField) {
+      const { file, fields } = await extractor.extract(pdfFiles[0].data, pdfFiles[0].name);
+
+      if (format === 'csv') {
+        return sendCSV(res, extractor.fieldsToCSV(fields), `${path.basename(file, '.pdf')}-form-data.csv`);
+      }
+      return res.json({ success: true, file, fields });
+    }
+
+    const batch = await extractor.extractBatch(pdfFiles, { nameField });
+
+    if (format === 'csv') {
+      return sendCSV(res, extractor.batchToCSV(batch), 'form-data.csv');
+    }
+    res.json({ success: true, ...batch });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Merges uploaded PDFs into one course pack (multipart: the PDF parts plus an `operations` JSON field):
+ *   { sources: [{ file: 'unit1.pdf' | 0, pages: '1-5', title }], outline: true, title,
+ *     delete: '3', rotate: [{ pages: '2', angle: 90 }], order: [2, 1, 3], extract: '1-4', name }
+ * Without `sources` every PDF is used whole, in upload order. Page numbers after the merge
+ * refer to the merged document; operations run merge, delete, rotate, reorder, then extract.
+ */
+async function buildCoursePack(req, res) {
+  let pdfFiles;
+  let operations;
+
+  try {
+    const body = await parseMultipartData(req);
+    pdfFiles = body.pdfFiles;
+    operations = JSON.parse(body.operations || '{}');
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid course pack request: ${error.message}`
+    });
+  }
+
+  if (pdfFiles.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'At least one PDF file is required'
+    });
+  }
+
+  try {
+    const sources = (operations.sources || pdfFiles.map((file, index) => ({ file: index }))).map(source => {
+      const file = typeof source.file === 'number'
+        ? pdfFiles[source.file]
+        : pdfFiles.find(pdf => pdf.name === source.file);
+
+      if (!file) {
+        throw new Error(`No uploaded PDF matches source '${source.file}'`);
+      }
+      return { data: file.data, name: file.name, pages: source.pages, title: source.title };
+    });
+
+    const generator = await PDFGenerator.mergePDFs(sources, {
+      config: { pdf: { title: operations.title || 'Course Pack' } },
+      outline: Boolean(operations.outline)
+    });
+
+    if (operations.delete) {
+      generator.deletePages(operations.delete);
+    }
+    for (const { pages, angle } of operations.rotate || []) {
+      generator.rotatePages(pages, angle);
+    }
+    if (operations.order) {
+      generator.reorderPages(operations.order);
+    }
+
+    const pdfBuffer = operations.extract
+      ? await generator.extractPages(operations.extract)
+      : await generator.generateBuffer();
+    const filename = `${(operations.name || operations.title || 'course-pack').replace(/[^a-z0-9]/gi, '-')}.pdf`;
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+
+    res.send(pdfBuffer);
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+function sendCSV(res, csv, filename) {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename.replace(/[^a-zA-Z0-9._-]/g, '_')}"`);
+  res.send(csv);
+}
+
 async function servePDF(req, res, pdfId) {
   try {
-    const pdfData = pdfStore.get(pdfId);
+    const pdfData = await pdfStore.get(pdfId);
 
     if (!pdfData) {
       return res.status(404).json({
@@ -191,7 +545,7 @@ async function healthCheck(req, res) {
       timestamp: new Date(),
       services: {
         wasabi: 'connected',
-        pdfs: pdfStore.size
+        pdfs: await pdfStore.count()
       },
       config: {
         bucket: wasabiConfig.bucketName,
@@ -207,7 +561,74 @@ async function healthCheck(req, res) {
   }
 }
 
-async function uploadToWasabi(pdfBuffer, filename) {
+// Query string integer, or the fallback when it's missing, not a number or below 1
+function positiveIntParam(value, fallback) {
+  const number = parseInt(value, 10);
+  return Number.isInteger(number) && number >= 1 ? number : fallback;
+}
+
+async function listPDFs(req, res) {
+  try {
+    const { searchParams } = new URL(req.url, `http://${req.headers.host}`);
+    const page = positiveIntParam(searchParams.get('page'), 1);
+    const limit = Math.min(100, positiveIntParam(searchParams.get('limit'), 20));
+
+    const { items, total } = await pdfStore.list({ offset: (page - 1) * limit, limit });
+
+    res.json({
+      success: true,
+      pdfs: items.map(pdfData => ({
+        ...pdfData,
+        browserUrl: `${wasabiConfig.endpoint}/${wasabiConfig.bucketName}/${pdfData.filename}`,
+        apiViewUrl: `https://${req.headers.host}/api/view/${pdfData.id}`
+      })),
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+async function deletePDF(req, res, pdfId) {
+  try {
+    const pdfData = await pdfStore.get(pdfId);
+
+    if (!pdfData) {
+      return res.status(404).json({
+        success: false,
+        message: 'PDF not found'
+      });
+    }
+
+    await s3Client.send(new DeleteObjectCommand({
+      Bucket: wasabiConfig.bucketName,
+      Key: pdfData.filename
+    }));
+
+    await pdfStore.delete(pdfId);
+
+    res.json({
+      success: true,
+      id: pdfId,
+      message: 'PDF deleted successfully'
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+}
+
+async function uploadToWasabi(pdfBuffer, filename, pdfData = {}) {
   const uploadParams = {
     Bucket: wasabiConfig.bucketName,
     Key: filename,
@@ -217,7 +638,9 @@ async function uploadToWasabi(pdfBuffer, filename) {
     ACL: 'public-read',
     Metadata: {
       'upload-timestamp': Date.now().toString(),
-      'generated-by': 'interactive-pdf-creator'
+      'generated-by': 'interactive-pdf-creator',
+      'pdf-name': encodeURIComponent(pdfData.name || ''),
+      'elements': String(pdfData.elements ?? '')
     }
   };
 
@@ -242,6 +665,15 @@ async function fetchFromWasabi(filename) {
   return Buffer.concat(chunks);
 }
 
+async function readJsonBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+
+  return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+}
+
 async function parseMultipartData(req) {
   const chunks = [];
   for await (const chunk of req) {
@@ -249,11 +681,70 @@ async function parseMultipartData(req) {
   }
   
   const buffer = Buffer.concat(chunks);
-  
-  return {
+  const contentType = req.headers['content-type'] || '';
+  const boundaryMatch = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+
+  if (!contentType.startsWith('multipart/form-data') || !boundaryMatch) {
+    throw new Error('Request must be multipart/form-data');
+  }
+
+  const boundary = Buffer.from(`--${boundaryMatch[1] || boundaryMatch[2]}`);
+  const result = {
     pdfName: 'interactive-pdf',
     elements: '[]',
-    originalPdf: buffer,
-    mediaFiles: []
+    originalPdf: null,
+    mediaFiles: [],
+    pdfFiles: []
   };
+
+  let position = buffer.indexOf(boundary);
+
+  while (position !== -1) {
+    const partStart = position + boundary.length;
+
+    // "--" straight after the boundary marks the end of the body
+    if (buffer.slice(partStart, partStart + 2).toString() === '--') {
+      break;
+    }
+
+    const nextBoundary = buffer.indexOf(boundary, partStart);
+    if (nextBoundary === -1) {
+      break;
+    }
+
+    const part = buffer.slice(partStart + 2, nextBoundary - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+
+    if (headerEnd !== -1) {
+      const headers = part.slice(0, headerEnd).toString('utf8');
+      const data = part.slice(headerEnd + 4);
+
+      const name = headers.match(/name="([^"]*)"/i)?.[1];
+      const filename = headers.match(/filename="([^"]*)"/i)?.[1];
+      const partType = headers.match(/content-type:\s*([^\r\n]+)/i)?.[1]?.trim();
+
+      if (filename !== undefined) {
+        if (filename && (partType === 'application/pdf' || filename.toLowerCase().endsWith('.pdf'))) {
+          result.pdfFiles.push({ name: filename, data });
+        }
+
+        if (name === 'originalPdf' || name === 'template' || (!result.originalPdf && partType === 'application/pdf')) {
+          result.originalPdf = data;
+        } else if (filename) {
+          result.mediaFiles.push({
+            fieldName: name,
+            filename,
+            contentType: partType || 'application/octet-stream',
+            data
+          });
+        }
+      } else if (['pdfName', 'elements', 'watermarks', 'stampData', 'operations'].includes(name)) {
+        result[name] = data.toString('utf8');
+      }
+    }
+
+    position = nextBoundary;
+  }
+  
+  return result;
 }
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PDFDocument, decodePDFRawStream } from 'pdf-lib';
+import { PDFGenerator } from '../pdf-generator.js';
+import { SPACING_TOKENS } from '../flow-layout.js';
+
+// A4 with the default 50pt margins
+const TOP = 841.89 - 50;
+const LEFT = 50;
+const CONTENT_WIDTH = 595.28 - 100;
+
+async function flow(items, options = {}) {
+  const generator = new PDFGenerator();
+  await generator.initialize();
+  generator.addPage();
+  await generator.addContent(items, { layout: 'flow', ...options });
+  return PDFDocument.load(await generator.generateBuffer());
+}
+
+// Rectangles drawn on each page as { x, y, width, height }, y being the bottom edge
+function rectangles(document) {
+  return document.getPages().map(page => page.node.Contents().asArray()
+    .map(ref => Buffer.from(decodePDFRawStream(document.context.lookup(ref)).decode()).toString('latin1'))
+    .flatMap(content => [...content.matchAll(/1 0 0 1 (\S+) (\S+) cm\n(?:1 0 0 1 0 0 cm\n)*0 0 m\n0 (\S+) l\n(\S+) \S+ l/g)])
+    .map(([, x, y, height, width]) => ({ x: Number(x), y: Number(y), width: Number(width), height: Number(height) })));
+}
+
+const box = (height, extra = {}) => ({ type: 'rectangle', width: 100, height, ...extra });
+const top = (rectangle) => rectangle.y + rectangle.height;
+
+test('flow stacks items from the top margin with the gap between them', async () => {
+  const [page] = rectangles(await flow([box(40), box(60)]));
+
+  assert.equal(page.length, 2);
+  assert.equal(page[0].x, LEFT);
+  assert.ok(Math.abs(top(page[0]) - TOP) < 0.01);
+  assert.ok(Math.abs(page[0].y - top(page[1]) - SPACING_TOKENS.sm) < 0.01);
+});
+
+test('flow spacers add their size and spaceBefore replaces the gap', async () => {
+  const [plain] = rectangles(await flow([box(40), box(40)]));
+  const [spaced] = rectangles(await flow([box(40), { type: 'spacer', size: 'xl' }, box(40, { spaceBefore: 'md' })]));
+
+  const drop = (page) => page[0].y - top(page[1]);
+  assert.ok(Math.abs(drop(spaced) - drop(plain) - (SPACING_TOKENS.xl + SPACING_TOKENS.md - SPACING_TOKENS.sm)) < 0.01);
+});
+
+test('flow breaks to a new page when an item does not fit', async () => {
+  const document = await flow([box(200), box(200), box(200), box(200), box(200)]);
+  const pages = rectangles(document);
+
+  assert.equal(document.getPageCount(), 2);
+  assert.deepEqual(pages.map(page => page.length), [3, 2]);
+  assert.ok(Math.abs(top(pages[1][0]) - TOP) < 0.01);
+});
+
+test('flow pageBreak starts the next item on a new page', async () => {
+  const document = await flow([box(40), { type: 'pageBreak' }, box(40)]);
+  const pages = rectangles(document);
+
+  assert.equal(document.getPageCount(), 2);
+  assert.ok(Math.abs(top(pages[1][0]) - TOP) < 0.01);
+});
+
+test('flow columns place items side by side', async () => {
+  const [page] = rectangles(await flow([{ type: 'columns', count: 2 }, box(40), { type: 'columnBreak' }, box(40)]));
+  const columnWidth = (CONTENT_WIDTH - SPACING_TOKENS.md) / 2;
+
+  assert.equal(page.length, 2);
+  assert.ok(Math.abs(page[1].x - (LEFT + columnWidth + SPACING_TOKENS.md)) < 0.01);
+  assert.ok(Math.abs(top(page[1]) - top(page[0])) < 0.01);
+});
+
+test('flow moves a keepTogether group whole to the next page', async () => {
+  const fill = [box(200), box(200), box(200)];
+  const group = { type: 'group', keepTogether: true, items: [box(100), box(100)] };
+
+  const together = rectangles(await flow([...fill, group]));
+  const apart = rectangles(await flow([...fill, ...group.items]));
+
+  assert.deepEqual(together.map(page => page.length), [3, 2]);
+  assert.deepEqual(apart.map(page => page.length), [4, 1]);
+  assert.ok(Math.abs(top(together[1][0]) - TOP) < 0.01);
+});
@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runMailMerge, parseArgs } from '../mail-merge-cli.js';
+
+test('runMailMerge --help prints the usage and merges nothing', async (t) => {
+  const log = t.mock.method(console, 'log', () => {});
+
+  assert.equal(await runMailMerge(['--help']), null);
+  assert.match(log.mock.calls[0].arguments[0], /^Usage: node mail-merge-cli\.js --data/);
+});
+
+test('runMailMerge needs data and a template or content', async () => {
+  await assert.rejects(runMailMerge(['--data', 'rows.csv']), /--data and either --template or --content are required/);
+});
+
+test('parseArgs rejects unknown options', () => {
+  assert.throws(() => parseArgs(['--data', 'rows.csv', '--colour']), /Unknown option: --colour/);
+});
@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PDFDocument, PDFDict, PDFArray, PDFName, StandardFonts } from 'pdf-lib';
+import { splitDocument } from '../page-operations.js';
+import { encryptPDF } from '../pdf-encryption.js';
+import { PDFGenerator } from '../pdf-generator.js';
+
+async function documentWithPages(count) {
+  const document = await PDFDocument.create();
+  const font = await document.embedFont(StandardFonts.Helvetica);
+
+  for (let page = 1; page <= count; page++) {
+    document.addPage([300, 300]).drawText(`Page ${page}`, { x: 20, y: 260, font, size: 12 });
+  }
+  return document.save();
+}
+
+// The encryption settings PDFGenerator passes to protectOutput for output.encryption
+const encryption = { userPassword: 'learner', ownerPassword: 'teacher' };
+
+test('splitDocument encrypts every part of an encrypted configuration', async () => {
+  const bytes = await documentWithPages(5);
+
+  const parts = await splitDocument(bytes, ['1-2', '3-5'], {
+    title: 'Course pack',
+    protect: (pdfBytes) => encryptPDF(pdfBytes, encryption)
+  });
+
+  assert.equal(parts.length, 2);
+  for (const [index, part] of parts.entries()) {
+    await assert.rejects(PDFDocument.load(part), /encrypted/);
+    const document = await PDFDocument.load(part, { ignoreEncryption: true });
+    assert.equal(document.getPageCount(), [2, 3][index]);
+  }
+});
+
+test('splitDocument needs the unencrypted source', async () => {
+  const encrypted = await encryptPDF(await documentWithPages(2), encryption);
+
+  await assert.rejects(splitDocument(encrypted, ['1']), /encrypted/);
+});
+
+test('splitDocument leaves parts unencrypted without protect', async () => {
+  const [part] = await splitDocument(await documentWithPages(3), ['2-3']);
+
+  assert.equal((await PDFDocument.load(part)).getPageCount(), 2);
+});
+
+// Page 1 is plain; page 2 has a hidden answers layer and a locked print-only notes layer
+async function layeredDocument() {
+  const generator = new PDFGenerator();
+  await generator.initialize();
+  generator.addLayer('answers', { visible: false });
+  generator.addLayer('notes', { printOnly: true, locked: true });
+
+  generator.addPage();
+  await generator.addText('Question 1', { x: 50, y: 760 });
+  generator.addPage();
+  generator.beginLayer('answers');
+  await generator.addText('Answer: 42', { x: 50, y: 760 });
+  generator.endLayer();
+  generator.beginLayer('notes');
+  await generator.addText('Marking notes', { x: 50, y: 720 });
+  generator.endLayer();
+
+  return generator.generateBuffer();
+}
+
+// Default state of each layer listed in /OCProperties, by name
+function layerStates(document) {
+  const properties = document.catalog.lookupMaybe(PDFName.of('OCProperties'), PDFDict);
+  if (!properties) {
+    return {};
+  }
+
+  const config = properties.lookup(PDFName.of('D'), PDFDict);
+  const refs = (array) => (array?.asArray() ?? []).map(String);
+  const printed = (config.lookupMaybe(PDFName.of('AS'), PDFArray)?.asArray() ?? [])
+    .flatMap(usage => refs(document.context.lookup(usage, PDFDict).lookupMaybe(PDFName.of('OCGs'), PDFArray)));
+
+  return Object.fromEntries(properties.lookup(PDFName.of('OCGs'), PDFArray).asArray().map(ref => {
+    const group = document.context.lookup(ref, PDFDict);
+    return [group.lookup(PDFName.of('Name')).decodeText(), {
+      visible: refs(config.lookupMaybe(PDFName.of('ON'), PDFArray)).includes(String(ref)),
+      locked: refs(config.lookupMaybe(PDFName.of('Locked'), PDFArray)).includes(String(ref)),
+      printUsage: printed.includes(String(ref))
+    }];
+  }));
+}
+
+// The layers the page's marked content refers to
+function pageLayerRefs(page) {
+  const properties = page.node.Resources()?.lookupMaybe(PDFName.of('Properties'), PDFDict);
+  return properties ? properties.values().map(String) : [];
+}
+
+test('splitDocument keeps the default state of the layers a part uses', async () => {
+  const [part] = await splitDocument(await layeredDocument(), ['2']);
+  const document = await PDFDocument.load(part);
+
+  assert.deepEqual(layerStates(document), {
+    answers: { visible: false, locked: false, printUsage: false },
+    notes: { visible: false, locked: true, printUsage: true }
+  });
+
+  const listed = document.catalog.lookup(PDFName.of('OCProperties'), PDFDict).lookup(PDFName.of('OCGs'), PDFArray).asArray().map(String);
+  assert.equal(pageLayerRefs(document.getPage(0)).length, 2);
+  assert.ok(pageLayerRefs(document.getPage(0)).every(ref => listed.includes(ref)));
+});
+
+test('splitDocument leaves out layers a part does not use', async () => {
+  const [part] = await splitDocument(await layeredDocument(), ['1']);
+
+  assert.deepEqual(layerStates(await PDFDocument.load(part)), {});
+});
+
+test('appending a layered PDF keeps its layers next to the generator\'s own', async () => {
+  const generator = new PDFGenerator();
+  await generator.initialize();
+  generator.addLayer('cover', { visible: true });
+  generator.addPage();
+  generator.beginLayer('cover');
+  await generator.addText('Course pack', { x: 50, y: 760 });
+  generator.endLayer();
+  await generator.appendPDF(await layeredDocument());
+
+  const document = await PDFDocument.load(await generator.generateBuffer());
+  const states = layerStates(document);
+
+  assert.deepEqual(Object.keys(states).sort(), ['answers', 'cover', 'notes']);
+  assert.equal(states.cover.visible, true);
+  assert.equal(states.answers.visible, false);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PDFDocument } from 'pdf-lib';
+import { PDFGenerator, DEFAULT_CONFIG, validateConfig } from '../pdf-generator.js';
+
+test('PDFGenerator builds a document with text and a form field', async () => {
+  const generator = new PDFGenerator({ pdf: { title: 'Worksheet' } });
+  await generator.initialize();
+  generator.addPage();
+  await generator.addText('Name', { x: 50, y: 760 });
+  generator.addTextField({ name: 'learner', x: 50, y: 720, width: 200, height: 24 });
+  generator.addPage({ orientation: 'landscape' });
+
+  const document = await PDFDocument.load(await generator.generateBuffer());
+
+  assert.equal(document.getPageCount(), 2);
+  assert.equal(document.getTitle(), 'Worksheet');
+  assert.deepEqual(document.getForm().getFields().map(field => field.getName()), ['learner']);
+  const { width, height } = document.getPage(1).getSize();
+  assert.ok(width > height);
+});
+
+test('validateConfig merges overrides over the defaults', () => {
+  const config = validateConfig({ page: { size: 'Letter', margins: { top: 72 } }, output: { compress: false } });
+
+  assert.equal(config.page.size, 'Letter');
+  assert.equal(config.page.margins.top, 72);
+  assert.equal(config.page.margins.left, DEFAULT_CONFIG.page.margins.left);
+  assert.equal(config.output.compress, false);
+  assert.equal(config.output.filename, DEFAULT_CONFIG.output.filename);
+});
+
+test('validateConfig rejects unknown page sizes', () => {
+  assert.throws(() => validateConfig({ page: { size: 'B7' } }), /Unknown page size 'B7'/);
+});
+
+test('PDFGenerator refuses to sign an encrypted configuration', async () => {
+  const generator = new PDFGenerator({ output: { encryption: { ownerPassword: 'teacher' } } });
+  await generator.initialize();
+  generator.addPage();
+
+  await assert.rejects(generator.generateBuffer({ sign: { p12: 'certificate.p12' } }), /cannot be both signed and encrypted/);
+});
+
+test('PDFGenerator encrypts each part it splits from an encrypted configuration', async () => {
+  const generator = new PDFGenerator({ output: { encryption: { userPassword: 'learner', ownerPassword: 'teacher' } } });
+  await generator.initialize();
+  for (let page = 0; page < 3; page++) {
+    generator.addPage();
+  }
+
+  const parts = await generator.splitPages(['1', '2-3']);
+
+  assert.equal(parts.length, 2);
+  for (const [index, part] of parts.entries()) {
+    await assert.rejects(PDFDocument.load(part), /encrypted/);
+    assert.equal((await PDFDocument.load(part, { ignoreEncryption: true })).getPageCount(), [1, 2][index]);
+  }
+});
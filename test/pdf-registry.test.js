@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { FilePDFRegistry } from '../pdf-registry.js';
+
+test('FilePDFRegistry keeps writing after a failed write', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pdf-registry-'));
+  const filePath = path.join(dir, 'pdf-registry.json');
+  const registry = new FilePDFRegistry({ filePath });
+
+  try {
+    // A directory where the temp file goes makes the next write fail
+    await fs.ensureDir(`${filePath}.tmp`);
+    await assert.rejects(registry.set('first', { filename: 'first.pdf' }));
+
+    await fs.remove(`${filePath}.tmp`);
+    await registry.set('second', { filename: 'second.pdf' });
+
+    const { pdfs } = await fs.readJson(filePath);
+    assert.deepEqual(Object.keys(pdfs).sort(), ['first', 'second']);
+  } finally {
+    await fs.remove(dir);
+  }
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+import { PDFDocument } from 'pdf-lib';
+import handler from '../server.js';
+
+// Just enough of the Vercel-style response object the handler writes to
+function mockResponse() {
+  const response = { statusCode: 200, headers: {}, body: undefined };
+  response.setHeader = (name, value) => { response.headers[name.toLowerCase()] = value; };
+  response.status = (code) => { response.statusCode = code; return response; };
+  response.json = (body) => { response.body = body; return response; };
+  response.end = () => response;
+  return response;
+}
+
+const request = (method, url) => ({ method, url, headers: { host: 'localhost' } });
+
+// A POST request streaming `body`, like the one the handler reads uploads from
+function postRequest(url, body, contentType) {
+  return Object.assign(Readable.from([Buffer.from(body)]), {
+    method: 'POST',
+    url,
+    headers: { host: 'localhost', 'content-type': contentType }
+  });
+}
+
+function multipartRequest(url, parts) {
+  const boundary = 'test-boundary';
+  const chunks = parts.flatMap(({ name, filename, type, data }) => [
+    Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"` +
+      (filename ? `; filename="${filename}"\r\nContent-Type: ${type}` : '') + '\r\n\r\n'),
+    Buffer.from(data),
+    Buffer.from('\r\n')
+  ]);
+  chunks.push(Buffer.from(`--${boundary}--\r\n`));
+
+  return postRequest(url, Buffer.concat(chunks), `multipart/form-data; boundary=${boundary}`);
+}
+
+async function templatePart() {
+  const document = await PDFDocument.create();
+  document.addPage([300, 300]);
+  return { name: 'originalPdf', filename: 'template.pdf', type: 'application/pdf', data: await document.save() };
+}
+
+test('server lists its endpoints', async () => {
+  const response = mockResponse();
+  await handler(request('GET', '/api'), response);
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.body.endpoints.generatePdf, 'POST /api/generate-pdf');
+});
+
+test('server answers unknown routes with 404', async () => {
+  const response = mockResponse();
+  await handler(request('GET', '/api/nope'), response);
+
+  assert.equal(response.statusCode, 404);
+});
+
+test('server answers non-multipart uploads with 400', async () => {
+  for (const url of ['/api/generate-pdf', '/api/extract-form']) {
+    const response = mockResponse();
+    await handler(postRequest(url, '{}', 'application/json'), response);
+
+    assert.equal(response.statusCode, 400, url);
+    assert.match(response.body.message, /multipart\/form-data/);
+  }
+});
+
+test('server answers elements that reference missing media with 400', async () => {
+  const response = mockResponse();
+  const elements = JSON.stringify([{ type: 'image', file: 'missing.png', x: 10, y: 10 }]);
+
+  await handler(multipartRequest('/api/generate-pdf', [await templatePart(), { name: 'elements', data: elements }]), response);
+
+  assert.equal(response.statusCode, 400);
+  assert.match(response.body.message, /"missing\.png" was not included in the upload/);
+});
+
+test('server only embeds watermark images from the upload', async () => {
+  const response = mockResponse();
+  const elements = JSON.stringify([{ type: 'watermark', image: '/etc/hostname' }]);
+
+  await handler(multipartRequest('/api/generate-pdf', [await templatePart(), { name: 'elements', data: elements }]), response);
+
+  assert.equal(response.statusCode, 400);
+  assert.match(response.body.message, /Watermark image "\/etc\/hostname" was not included in the upload/);
+});
+
+test('server only reads media posters from the upload', async () => {
+  const response = mockResponse();
+  const elements = JSON.stringify([{ type: 'media', file: 'clip.mp4', poster: '/etc/hostname', x: 10, y: 10 }]);
+  const clip = { name: 'mediaFiles', filename: 'clip.mp4', type: 'video/mp4', data: 'not really a video' };
+
+  await handler(multipartRequest('/api/generate-pdf', [await templatePart(), clip, { name: 'elements', data: elements }]), response);
+
+  assert.equal(response.statusCode, 400);
+  assert.match(response.body.message, /Poster image "\/etc\/hostname" was not included in the upload/);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PDFDocument, PDFDict, PDFName, decodePDFRawStream } from 'pdf-lib';
+import { PDFGenerator } from '../pdf-generator.js';
+
+// Number of entries in each resource category of the first page
+function resourceCounts(document) {
+  const resources = document.getPage(0).node.Resources();
+  return Object.fromEntries(resources.entries().map(([category, entries]) => {
+    const dict = document.context.lookup(entries);
+    return [category.decodeText(), dict instanceof PDFDict ? dict.keys().length : null];
+  }));
+}
+
+test('regenerating a watermarked document does not pile up page resources', async () => {
+  const generator = new PDFGenerator();
+  await generator.initialize();
+  generator.addPage();
+  await generator.addText('Worksheet', { x: 50, y: 760, opacity: 0.5 });
+  generator.setHeader({ center: 'Unit 1' });
+  generator.addWatermark({ text: 'DRAFT' });
+  generator.addStamp({ text: 'Licensed to {{name}}' });
+
+  const runs = [];
+  for (const name of ['Ada', 'Bob', 'Cy']) {
+    const bytes = await generator.generateBuffer({ stampData: { name } });
+    runs.push({ size: bytes.length, resources: resourceCounts(await PDFDocument.load(bytes)) });
+  }
+
+  assert.deepEqual(runs[1].resources, runs[0].resources);
+  assert.deepEqual(runs[2].resources, runs[0].resources);
+  assert.ok(Math.abs(runs[2].size - runs[0].size) < 16, `output grew from ${runs[0].size} to ${runs[2].size} bytes`);
+});
+
+test('page content drawn after a generation keeps its own font resources', async () => {
+  const generator = new PDFGenerator();
+  await generator.initialize();
+  generator.addPage();
+  generator.addWatermark({ text: 'DRAFT' });
+  await generator.generateBuffer();
+  await generator.addText('Added later', { x: 50, y: 700 });
+
+  const document = await PDFDocument.load(await generator.generateBuffer());
+  const fonts = document.getPage(0).node.Resources().lookup(PDFName.of('Font'), PDFDict);
+  const content = document.getPage(0).node.Contents().asArray()
+    .map(ref => Buffer.from(decodePDFRawStream(document.context.lookup(ref)).decode()).toString('latin1'));
+  const usedFonts = content.join('\n').match(/\/[\w-]+ [\d.]+ Tf/g).map(operator => operator.split(' ')[0].slice(1));
+
+  assert.ok(usedFonts.every(name => fonts.has(PDFName.of(name))), `missing font resource among ${usedFonts.join(', ')}`);
+});
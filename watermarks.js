@@ -0,0 +1,207 @@
+/**
+ * Watermarks - Text/image marks and personalised stamps drawn over (or under) pages at generation time
+ *
+ * Watermark: { text: 'DRAFT' | image: 'logo.png', size: 72, font, color: '#999999', opacity: 0.15,
+ *              rotate: 45 (text) / 0 (image), width, height, scale, position: 'center', inset,
+ *              tile: false | true | { gap: 120 }, pages: 'all', layer: 'over' | 'under' }
+ * Stamp: same shape with small bottom-of-page defaults; text fills {{placeholders}} from the stamp
+ *        data (e.g. 'Licensed to {{name}} – {{email}}'), plus {{page}} and {{pages}}.
+ * position: center | top | bottom | left | right | top-left | top-right | bottom-left | bottom-right,
+ *           or { x, y } for the centre of the mark. inset is the gap to the page edge (default: centred in the margin).
+ * pages: 'all' | 'odd' | 'even' | 'first' | 'last' | '1-3,7' | [1, 2, 5]
+ */
+
+import { degrees } from 'pdf-lib';
+import { fillPlaceholders } from './mail-merge.js';
+import { parsePageRange } from './page-operations.js';
+
+const WATERMARK_DEFAULTS = { size: 72, color: '#999999', opacity: 0.15, position: 'center', layer: 'over' };
+const STAMP_DEFAULTS = { size: 8, color: '#555555', opacity: 1, position: 'bottom', inset: 8, layer: 'over' };
+const POSITIONS = ['center', 'top', 'bottom', 'left', 'right', 'top-left', 'top-right', 'bottom-left', 'bottom-right'];
+const LAYERS = ['over', 'under'];
+
+export class Watermarks {
+  constructor(pdfCreator) {
+    this.pdfCreator = pdfCreator;
+    this.marks = [];
+    this.drawnStreams = [];
+  }
+
+  add(definition, options = {}) {
+    const { stamp = false } = options;
+    const mark = normalizeMark(typeof definition === 'string' ? { text: definition } : definition, stamp);
+
+    if (!mark.text && !mark.image) {
+      throw new Error('Watermark needs text or an image');
+    }
+    if (typeof mark.position === 'string' && !POSITIONS.includes(mark.position)) {
+      throw new Error(`Invalid watermark position '${mark.position}' (use ${POSITIONS.join(', ')} or { x, y })`);
+    }
+    if (!LAYERS.includes(mark.layer)) {
+      throw new Error(`Invalid watermark layer '${mark.layer}' (use ${LAYERS.join(' or ')})`);
+    }
+
+    this.marks.push(mark);
+    return mark;
+  }
+
+  hasContent() {
+    return this.marks.length > 0 || this.drawnStreams.length > 0;
+  }
+
+  /**
+   * Draws every mark on the pages it applies to, replacing what an earlier save drew.
+   * Returns how many marks were drawn and which stamp placeholders had no data.
+   */
+  async apply(stampData = {}) {
+    const pages = this.pdfCreator.document.getPages();
+    const missing = new Set();
+    const missingGlyphs = new Set();
+    let fontChain = null;
+    let drawn = 0;
+
+    this.removeDrawn();
+
+    for (const mark of this.marks) {
+      const pageNumbers = parsePageRange(mark.pages, pages.length);
+      const image = mark.image ? await this.pdfCreator.embedImage(mark.image) : null;
+
+      for (const [pageIndex, page] of pages.entries()) {
+        if (!pageNumbers.has(pageIndex + 1)) {
+          continue;
+        }
+
+        const text = mark.text && fillPlaceholders(mark.text, { ...stampData, page: pageIndex + 1, pages: pages.length }, { missing });
+        let runs = null;
+        if (text) {
+          fontChain = await this.pdfCreator.loadFontChain(mark.font, text);
+          runs = this.pdfCreator.splitTextRuns(text, fontChain, missingGlyphs);
+        }
+
+        const box = image
+          ? markImageSize(mark, image)
+          : { width: this.pdfCreator.widthOfRuns(runs, mark.size), height: mark.size * 0.7 };
+
+        const overlay = await this.pdfCreator.drawOverlay(page, pageIndex, () => {
+          for (const center of this.markCenters(mark, box, page.getSize())) {
+            this.drawMark(page, mark, { runs, image, box, center });
+          }
+        }, { under: mark.layer === 'under' });
+
+        this.drawnStreams.push({ page, overlay });
+        drawn++;
+      }
+    }
+
+    if (fontChain) {
+      this.pdfCreator.warnMissingGlyphs(missingGlyphs, fontChain);
+    }
+
+    return { drawn, missing: [...missing] };
+  }
+
+  /**
+   * Centre points for one page: one for a positioned mark, a staggered grid covering the
+   * page for a tiled one
+   */
+  markCenters(mark, box, { width, height }) {
+    const radians = mark.rotate * Math.PI / 180;
+    const bounds = {
+      width: Math.abs(box.width * Math.cos(radians)) + Math.abs(box.height * Math.sin(radians)),
+      height: Math.abs(box.width * Math.sin(radians)) + Math.abs(box.height * Math.cos(radians))
+    };
+
+    if (mark.tile) {
+      const gap = mark.tile.gap ?? mark.size * 1.5;
+      const stepX = bounds.width + gap;
+      const stepY = bounds.height + gap;
+      const centers = [];
+
+      for (let row = 0, y = height - bounds.height / 2; y > -bounds.height / 2; row++, y -= stepY) {
+        for (let x = (row % 2) * stepX / 2; x < width + bounds.width / 2; x += stepX) {
+          centers.push({ x, y });
+        }
+      }
+      return centers;
+    }
+
+    if (typeof mark.position === 'object') {
+      return [mark.position];
+    }
+
+    const margins = this.pdfCreator.getPageMargins();
+    const inset = (side, extent) => mark.inset ?? Math.max(0, (margins[side] - extent) / 2);
+    const [vertical, horizontal] = mark.position.includes('-')
+      ? mark.position.split('-')
+      : ['top', 'bottom'].includes(mark.position) ? [mark.position, 'center'] : ['center', mark.position];
+
+    const x = horizontal === 'left' ? inset('left', bounds.width) + bounds.width / 2
+      : horizontal === 'right' ? width - inset('right', bounds.width) - bounds.width / 2
+        : width / 2;
+    const y = vertical === 'bottom' ? inset('bottom', bounds.height) + bounds.height / 2
+      : vertical === 'top' ? height - inset('top', bounds.height) - bounds.height / 2
+        : height / 2;
+
+    return [{ x, y }];
+  }
+
+  // pdf-lib rotates about the lower-left corner, so start from the corner that puts the centre where it belongs
+  drawMark(page, mark, { runs, image, box, center }) {
+    const radians = mark.rotate * Math.PI / 180;
+    const origin = {
+      x: center.x - (box.width / 2) * Math.cos(radians) + (box.height / 2) * Math.sin(radians),
+      y: center.y - (box.width / 2) * Math.sin(radians) - (box.height / 2) * Math.cos(radians)
+    };
+
+    if (image) {
+      page.drawImage(image, { ...origin, ...box, opacity: mark.opacity, rotate: degrees(mark.rotate) });
+      return;
+    }
+
+    this.pdfCreator.drawTextRuns(runs, {
+      ...origin,
+      size: mark.size,
+      color: this.pdfCreator.parseColor(mark.color),
+      opacity: mark.opacity,
+      rotate: mark.rotate
+    });
+  }
+
+  removeDrawn() {
+    for (const { page, overlay } of this.drawnStreams) {
+      this.pdfCreator.removeOverlay(page, overlay);
+    }
+
+    this.drawnStreams = [];
+  }
+}
+
+function normalizeMark(definition, stamp) {
+  const defaults = stamp ? STAMP_DEFAULTS : WATERMARK_DEFAULTS;
+  const mark = {
+    ...defaults,
+    font: 'Helvetica',
+    rotate: stamp || definition.image ? 0 : 45,
+    pages: 'all',
+    ...definition
+  };
+
+  mark.tile = mark.tile === true ? {} : mark.tile || false;
+  return mark;
+}
+
+function markImageSize(mark, image) {
+  const intrinsic = image.size();
+  const scale = mark.scale ?? 1;
+
+  if (mark.width && mark.height) {
+    return { width: mark.width, height: mark.height };
+  }
+  if (mark.width) {
+    return { width: mark.width, height: mark.width / intrinsic.width * intrinsic.height };
+  }
+  if (mark.height) {
+    return { width: mark.height / intrinsic.height * intrinsic.width, height: mark.height };
+  }
+  return { width: intrinsic.width * scale, height: intrinsic.height * scale };
+}
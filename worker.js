@@ -320,7 +320,7 @@ async function handleList(request, env, corsHeaders) {
 async function handleInfo(request, env, corsHeaders) {
   try {
     const url = new URL(request.url);
-    const key = url.pathname.replace('/api/info/', '');
+    const key = decodeURIComponent(url.pathname.replace(/^\/pdf/, '').replace('/api/info/', ''));
 
     const object = await env.R2_BUCKET.head(key);
 